@@ -0,0 +1,94 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: precacheManifest.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * A Vite build plugin that tells the service worker what to cache.
+ *
+ * Once the build is written, it lists the files in the output directory
+ * (the hashed bundles under `assets/` plus everything copied from
+ * `public/`) and fills them into `service-worker.js` in place of
+ * `self.__PRECACHE_MANIFEST`, together with a version hashed from their
+ * contents. A build that changes any file therefore ships a new cache
+ * version, and an unchanged rebuild keeps the old one.
+ *
+ */
+
+import { createHash } from 'node:crypto';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const SERVICE_WORKER = 'service-worker.js';
+const PLACEHOLDER = 'self.__PRECACHE_MANIFEST';
+
+// Served by the host but never needed offline
+const EXCLUDED = [SERVICE_WORKER, '404.html', 'robots.txt'];
+
+/**
+ * Lists the files under a directory, as '/'-separated paths relative to it.
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+const listFiles = async (dir) => {
+    const entries = await readdir(dir, { withFileTypes: true, recursive: true });
+    return entries
+        .filter((entry) => entry.isFile())
+        .map((entry) => path.relative(dir, path.join(entry.parentPath, entry.name)).split(path.sep).join('/'))
+        .sort();
+};
+
+/**
+ * Builds the manifest from the output files, leaving out the `EXCLUDED` ones.
+ * @param {Array<{ file: string, content: Buffer }>} files
+ * @returns {{ version: string, files: string[] }} Paths relative to the app's base URL;
+ *   './' stands for the start page.
+ */
+export const createPrecacheManifest = (files) => {
+    const cached = files.filter(({ file }) => !EXCLUDED.includes(file));
+    const hash = createHash('sha256');
+    cached.forEach(({ file, content }) => hash.update(file).update(content));
+    return {
+        version: hash.digest('hex').slice(0, 12),
+        files: ['./', ...cached.map(({ file }) => file)],
+    };
+};
+
+/**
+ * The plugin. Does nothing in the dev server, where no service worker is registered.
+ * @returns {import('vite').Plugin}
+ */
+export default function precacheManifest() {
+    let outDir;
+
+    return {
+        name: 'precache-manifest',
+        apply: 'build',
+        configResolved(config) {
+            outDir = path.resolve(config.root, config.build.outDir);
+        },
+        async writeBundle() {
+            const names = await listFiles(outDir);
+            const files = await Promise.all(names.map(async (file) => ({ file, content: await readFile(path.join(outDir, file)) })));
+            const manifest = createPrecacheManifest(files);
+
+            const workerPath = path.join(outDir, SERVICE_WORKER);
+            const worker = await readFile(workerPath, 'utf8');
+            if (!worker.includes(PLACEHOLDER)) {
+                throw new Error(`${SERVICE_WORKER} has no ${PLACEHOLDER} placeholder to fill`);
+            }
+            await writeFile(workerPath, worker.replace(PLACEHOLDER, JSON.stringify(manifest, null, 4)));
+            this.info(`precached ${manifest.files.length} files as version ${manifest.version}`);
+        },
+    };
+}
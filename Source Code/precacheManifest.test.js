@@ -0,0 +1,58 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: precacheManifest.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the service worker's precache manifest: which files it lists
+ * and when its version changes.
+ *
+ */
+
+import { createPrecacheManifest } from './precacheManifest';
+
+const build = (overrides = {}) => Object.entries({
+    '404.html': '<p>Not found</p>',
+    'assets/index-C89jwVmw.js': 'console.log("app");',
+    'assets/index-DhZvAJsi.css': 'body { margin: 0; }',
+    'index.html': '<div id="root"></div>',
+    'manifest.json': '{}',
+    'robots.txt': 'User-agent: *',
+    'service-worker.js': 'self.__PRECACHE_MANIFEST',
+    ...overrides,
+}).map(([file, content]) => ({ file, content: Buffer.from(content) }));
+
+test('lists the start page, index.html and the hashed assets', () => {
+    expect(createPrecacheManifest(build()).files).toEqual([
+        './',
+        'assets/index-C89jwVmw.js',
+        'assets/index-DhZvAJsi.css',
+        'index.html',
+        'manifest.json',
+    ]);
+});
+
+test('leaves out 404.html, robots.txt and the service worker itself', () => {
+    const { files } = createPrecacheManifest(build());
+    expect(files).not.toContain('404.html');
+    expect(files).not.toContain('robots.txt');
+    expect(files).not.toContain('service-worker.js');
+});
+
+test('changes the version only when a cached file changes', () => {
+    const { version } = createPrecacheManifest(build());
+    expect(createPrecacheManifest(build()).version).toBe(version);
+    expect(createPrecacheManifest(build({ 'index.html': '<div id="app"></div>' })).version).not.toBe(version);
+    expect(createPrecacheManifest(build({ 'assets/index-C89jwVmw.js': 'console.log("fix");' })).version).not.toBe(version);
+    expect(createPrecacheManifest(build({ '404.html': '<p>Gone</p>' })).version).toBe(version);
+});
@@ -18,55 +18,111 @@
  * It acts as a network proxy, intercepting network requests to provide
  * offline capabilities by serving cached assets.
  *
- * Strategy: Cache-First
+ * The build fills in the list of files to cache and a version hashed from
+ * their contents (see `precacheManifest.js`), so every release that
+ * changes a file gets a fresh cache and the previous ones are removed.
+ *
+ * Strategy: Stale-While-Revalidate, for requests within the app's base path
  * 1. Serve content from cache (instant loading).
- * 2. If not in cache, fetch from network.
+ * 2. Refresh the cached copy from the network in the background.
+ * 3. If not in cache, fetch from network (and keep a copy).
+ * Hashed build assets never change, so they skip step 2.
  *
  */
 
-// Cache Versioning: usage of a unique name guarantees updates when the version changes.
-const CACHE_NAME = 'react-todo-app-v1';
+// Replaced at build time with { version, files }; file paths are relative to the base path
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST;
+
+// Cache Versioning: every build that changes a file gets a new cache name
+const CACHE_PREFIX = 'react-todo-app-';
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE_MANIFEST.version}`;
+
+// The app's base path ('/REACT-TODO-APP/' on GitHub Pages): the folder this worker is served from
+const BASE_URL = new URL('./', self.location.href);
+const ASSETS_URL = new URL('assets/', BASE_URL);
+
+// Start page, served for every navigation within the app while offline
+const APP_SHELL = new URL('index.html', BASE_URL).href;
 
-// Assets to cache immediately on installation
-const urlsToCache = [
-    '/',
-    '/index.html',
-    '/static/js/bundle.js',
-    '/manifest.json',
-    '/favicon.ico',
-    '/logo192.png'
-];
+/**
+ * Whether a request is for this app: same origin and inside the base path.
+ * Other requests (e.g. Google Fonts) go straight to the network.
+ */
+const isAppRequest = (url) => url.origin === BASE_URL.origin && url.pathname.startsWith(BASE_URL.pathname);
 
 /**
  * Event: Install
  * Triggered when the browser sees this service worker for the first time.
- * We use this opportunity to open the cache and store core assets.
+ * We use this opportunity to open the cache and store every built file.
  */
 self.addEventListener('install', event => {
     event.waitUntil(
         caches.open(CACHE_NAME)
-            .then(cache => {
-                return cache.addAll(urlsToCache);
-            })
+            .then(cache => cache.addAll(PRECACHE_MANIFEST.files.map(file => new URL(file, BASE_URL).href)))
+    );
+});
+
+/**
+ * Event: Activate
+ * Triggered once this version takes over. Deletes the caches left behind
+ * by earlier versions of the app.
+ */
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
     );
 });
 
+/**
+ * Fetches a request and stores a successful response in the cache.
+ * @param {Cache} cache
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+const fetchAndCache = (cache, request) =>
+    fetch(request).then(response => {
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
 /**
  * Event: Fetch
  * Intercepts every network request initiated by the application.
- * Returns cached response if available, otherwise falls back to network.
+ * Answers from the cache when possible and refreshes it in the background;
+ * navigations fall back to the cached start page.
  */
 self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || !isAppRequest(url)) {
+        return;
+    }
+
     event.respondWith(
-        caches.match(event.request)
-            .then(response => {
-                // Cache hit - return response
-                if (response) {
-                    return response;
-                }
-                // Cache miss - fetch from network
-                return fetch(event.request);
-            }
-            )
+        caches.open(CACHE_NAME).then(cache =>
+            cache.match(request, { ignoreSearch: request.mode === 'navigate' })
+                .then(cached => cached || (request.mode === 'navigate' ? cache.match(APP_SHELL) : undefined))
+                .then(cached => {
+                    if (cached && url.href.startsWith(ASSETS_URL.href)) {
+                        return cached;
+                    }
+                    const refresh = fetchAndCache(cache, request);
+                    if (cached) {
+                        // Cache hit - return it now, keep the refresh alive until it lands
+                        event.waitUntil(refresh.catch(() => undefined));
+                        return cached;
+                    }
+                    // Cache miss - wait for the network
+                    return refresh;
+                })
+        )
     );
 });
@@ -0,0 +1,147 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: CommandPalette.jsx
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The command palette (Ctrl/Cmd+K): a search box over every command in the
+ * registry (`commands.js`), with recently used commands on top. Arrow keys
+ * pick a command, Enter runs it and Escape closes the palette.
+ *
+ * Features contribute commands with the `useCommands` hook exported here.
+ *
+ */
+
+import React, { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { rankCommands } from './commands';
+import useFocusTrap from './useFocusTrap';
+
+/**
+ * Hook: Register Commands.
+ * Keeps one source's commands in the registry up to date with the latest
+ * render, and removes them when the component unmounts.
+ *
+ * @param {Object} registry - From `createCommandRegistry`.
+ * @param {string} source - Unique name of the contributing feature.
+ * @param {Array<Object>} commands
+ */
+export const useCommands = (registry, source, commands) => {
+  useEffect(() => {
+    registry.register(source, commands);
+  });
+  useEffect(() => () => registry.unregister(source), [registry, source]);
+};
+
+/**
+ * Search box and result list. Mounted only while open, so every opening
+ * starts with an empty query.
+ */
+const PaletteDialog = ({ registry, recents, onRun, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(0);
+  const [panel, setPanel] = useState(null);
+  useFocusTrap(panel, onClose);
+
+  const results = rankCommands(registry.commands(), query, recents);
+  const active = Math.min(selected, results.length - 1);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSelected((active + step + results.length) % Math.max(results.length, 1));
+    } else if (e.key === 'Enter' && results[active]) {
+      e.preventDefault();
+      onRun(results[active]);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="Modal-backdrop Palette-backdrop"
+      onClick={onClose}
+    >
+      <motion.div
+        ref={setPanel}
+        initial={{ scale: 0.95, y: -10 }}
+        animate={{ scale: 1, y: 0 }}
+        className="Modal-panel Palette-panel"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Command palette"
+        tabIndex={-1}
+      >
+        <input
+          type="text"
+          className="Palette-input"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setSelected(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Type a command or a task..."
+          aria-label="Search commands"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="palette-results"
+          aria-activedescendant={results[active] ? `palette-${results[active].id}` : undefined}
+        />
+        <ul className="Palette-results" id="palette-results" role="listbox">
+          {results.length === 0 && <li className="Palette-empty">No matching commands</li>}
+          {results.map((command, index) => (
+            <li
+              key={command.id}
+              id={`palette-${command.id}`}
+              role="option"
+              aria-selected={index === active}
+              className={`Palette-item ${index === active ? 'active' : ''}`}
+              onMouseEnter={() => setSelected(index)}
+              onClick={() => onRun(command)}
+            >
+              <span className="Palette-title">{command.title}</span>
+              {query.trim() === '' && recents.includes(command.id)
+                ? <span className="Palette-section recent">Recent</span>
+                : <span className="Palette-section">{command.section}</span>}
+            </li>
+          ))}
+        </ul>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+/**
+ * Command palette dialog.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Object} props.registry - From `createCommandRegistry`.
+ * @param {Array<string>} props.recents - Recently used command ids, most recent first.
+ * @param {Function} props.onRun - Called with the chosen command.
+ * @param {Function} props.onClose
+ */
+const CommandPalette = ({ open, registry, recents, onRun, onClose }) =>
+  createPortal(
+    <AnimatePresence>
+      {open && <PaletteDialog key="command-palette" registry={registry} recents={recents} onRun={onRun} onClose={onClose} />}
+    </AnimatePresence>,
+    document.body
+  );
+
+export default CommandPalette;
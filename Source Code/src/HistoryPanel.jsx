@@ -0,0 +1,138 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: HistoryPanel.jsx
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The history of archived (finished) tasks for the active list, grouped by
+ * the day they were completed. Each entry can be restored to the list or
+ * deleted for good, and the retention period is chosen here.
+ *
+ */
+
+import React from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { RETENTION_OPTIONS, groupByDay } from './archive';
+
+/**
+ * "Today", "Yesterday" or a short date for a day heading.
+ * @param {number} day - Local midnight timestamp.
+ * @param {number} now
+ */
+const dayLabel = (day, now) => {
+  const today = new Date(now);
+  const midnight = new Date(today.getFullYear(), today.getMonth(), today.getDate()).getTime();
+  if (day === midnight) return 'Today';
+  if (day === new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1).getTime()) return 'Yesterday';
+  return new Date(day).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+/**
+ * Archive browser dialog.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Array<Object>} props.archived - Archived tasks of the active list.
+ * @param {number|null} props.retentionDays
+ * @param {number} props.now
+ * @param {Function} props.onRestore - Called with a task id.
+ * @param {Function} props.onDelete - Called with an array of task ids.
+ * @param {Function} props.onRetentionChange - Called with days or null.
+ * @param {Function} props.onClose
+ */
+const HistoryPanel = ({ open, archived, retentionDays, now, onRestore, onDelete, onRetentionChange, onClose }) =>
+  createPortal(
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          key="history-panel"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="Modal-backdrop"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, y: 10 }}
+            animate={{ scale: 1, y: 0 }}
+            className="Modal-panel"
+            onClick={(e) => e.stopPropagation()}
+            role="dialog"
+            aria-label="History"
+          >
+            <h3 className="Modal-title">History</h3>
+            <p className="Modal-subtitle">
+              {archived.length === 0 ? 'Nothing archived yet.' : `${archived.length} finished task(s)`}
+            </p>
+
+            <div className="History-days">
+              {groupByDay(archived).map(({ day, todos }) => (
+                <section key={day} className="History-day">
+                  <h4 className="History-day-title">{dayLabel(day, now)}</h4>
+                  <ul className="History-list">
+                    {todos.map((todo) => (
+                      <li key={todo.id} className={`History-item ${todo.priority || 'Medium'}`}>
+                        <span className="History-text">{todo.text}</span>
+                        <span className="History-time">
+                          {new Date(todo.completedAt || todo.archivedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                        </span>
+                        <button className="History-action" onClick={() => onRestore(todo.id)} title="Put back on the list">
+                          Restore
+                        </button>
+                        <button
+                          className="History-action danger"
+                          onClick={() => onDelete([todo.id])}
+                          title="Delete permanently"
+                          aria-label={`Delete "${todo.text}" permanently`}
+                        >
+                          ×
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              ))}
+            </div>
+
+            <label className="History-retention">
+              Keep history for
+              <select
+                value={retentionDays === null ? '' : String(retentionDays)}
+                onChange={(e) => onRetentionChange(e.target.value === '' ? null : Number(e.target.value))}
+              >
+                {RETENTION_OPTIONS.map(({ days, label }) => (
+                  <option key={label} value={days === null ? '' : String(days)}>{label}</option>
+                ))}
+              </select>
+            </label>
+
+            <div className="Modal-actions">
+              {archived.length > 0 && (
+                <button
+                  className="Clear-all-btn-subtle"
+                  onClick={() => window.confirm('Delete the whole history of this list permanently?') && onDelete(archived.map((todo) => todo.id))}
+                >
+                  Empty history
+                </button>
+              )}
+              <button className="Modal-confirm-btn" onClick={onClose}>Done</button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>,
+    document.body
+  );
+
+export default HistoryPanel;
@@ -0,0 +1,41 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: HistoryPanel.test.jsx
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the archive dialog's per-task actions.
+ *
+ */
+
+import { render, screen, fireEvent } from '@testing-library/react';
+import HistoryPanel from './HistoryPanel';
+
+test('names the permanent delete button after the task', () => {
+  const now = Date.now();
+  const deleted = [];
+  render(
+    <HistoryPanel
+      open
+      archived={[{ id: 1, text: 'File taxes', completed: true, completedAt: now, archivedAt: now }]}
+      retentionDays={null}
+      now={now}
+      onRestore={() => { }}
+      onDelete={(ids) => deleted.push(...ids)}
+      onRetentionChange={() => { }}
+      onClose={() => { }}
+    />
+  );
+  fireEvent.click(screen.getByRole('button', { name: 'Delete "File taxes" permanently' }));
+  expect(deleted).toEqual([1]);
+});
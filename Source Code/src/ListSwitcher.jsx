@@ -0,0 +1,141 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: ListSwitcher.jsx
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The row of list tabs under the app title. Tabs switch the active list,
+ * double-click renames, the "+" tab creates a list and "×" deletes one.
+ *
+ * Each tab carries a `data-list-id` attribute so a task dragged from the
+ * list can be dropped onto it (hit-tested by `TodoItem` on drag end).
+ *
+ */
+
+import React, { useRef, useState } from 'react';
+import { DEFAULT_LIST } from './todoLists';
+
+/**
+ * Inline text field used for both creating and renaming lists.
+ * Enter or blur commits, Escape cancels. Only the first of them counts:
+ * Enter unmounts the field, which fires a blur that must not commit again.
+ */
+const ListNameInput = ({ initialValue, onCommit, onCancel }) => {
+  const [value, setValue] = useState(initialValue);
+  const doneRef = useRef(false);
+  const finish = (callback) => {
+    if (doneRef.current) return;
+    doneRef.current = true;
+    callback();
+  };
+  const commit = () => finish(() => (value.trim() ? onCommit(value.trim()) : onCancel()));
+
+  return (
+    <input
+      className="List-name-input"
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') finish(onCancel);
+      }}
+      onBlur={commit}
+      placeholder="List name"
+      maxLength={40}
+      autoFocus
+    />
+  );
+};
+
+/**
+ * List tabs with create, rename, delete and drop-target support.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.lists - List metadata `{ id, name }`.
+ * @param {string} props.activeListId - The list currently shown.
+ * @param {Object} props.counts - Open task count per list id.
+ * @param {string|null} props.dropTargetId - List tab currently under a dragged task.
+ * @param {Function} props.onSelect - Called with a list id.
+ * @param {Function} props.onCreate - Called with the new list name.
+ * @param {Function} props.onRename - Called with `(id, name)`.
+ * @param {Function} props.onDelete - Called with a list id.
+ */
+const ListSwitcher = ({ lists, activeListId, counts, dropTargetId, onSelect, onCreate, onRename, onDelete }) => {
+  const [renamingId, setRenamingId] = useState(null);
+  const [creating, setCreating] = useState(false);
+
+  return (
+    <nav className="List-switcher" aria-label="Task lists">
+      {lists.map((list) => (
+        renamingId === list.id ? (
+          <ListNameInput
+            key={list.id}
+            initialValue={list.name}
+            onCommit={(name) => {
+              onRename(list.id, name);
+              setRenamingId(null);
+            }}
+            onCancel={() => setRenamingId(null)}
+          />
+        ) : (
+          <div
+            key={list.id}
+            data-list-id={list.id}
+            className={`List-tab ${list.id === activeListId ? 'active' : ''} ${list.id === dropTargetId ? 'drop-target' : ''}`}
+          >
+            <button
+              className="List-tab-btn"
+              onClick={() => onSelect(list.id)}
+              onDoubleClick={() => setRenamingId(list.id)}
+              title={`${list.name} (double-click to rename, drop a task here to move it)`}
+            >
+              {list.name}
+              {counts[list.id] > 0 && <span className="List-tab-count">{counts[list.id]}</span>}
+            </button>
+            {list.id === activeListId && list.id !== DEFAULT_LIST.id && (
+              <button
+                className="List-tab-delete"
+                onClick={() => onDelete(list.id)}
+                title={`Delete "${list.name}" and its tasks`}
+                aria-label={`Delete list ${list.name}`}
+              >
+                ×
+              </button>
+            )}
+          </div>
+        )
+      ))}
+      {creating ? (
+        <ListNameInput
+          initialValue=""
+          onCommit={(name) => {
+            onCreate(name);
+            setCreating(false);
+          }}
+          onCancel={() => setCreating(false)}
+        />
+      ) : (
+        <button
+          className="List-tab List-tab-add"
+          onClick={() => setCreating(true)}
+          title="Create a new list"
+          aria-label="Create a new list"
+        >
+          +
+        </button>
+      )}
+    </nav>
+  );
+};
+
+export default ListSwitcher;
@@ -0,0 +1,67 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: ListSwitcher.test.jsx
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the list tabs: the inline name field and the button names.
+ *
+ */
+
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import ListSwitcher from './ListSwitcher';
+import { DEFAULT_LIST } from './todoLists';
+
+test('Enter commits a new list once, even though the field then blurs', () => {
+  const created = [];
+  render(
+    <ListSwitcher
+      lists={[DEFAULT_LIST]}
+      activeListId={DEFAULT_LIST.id}
+      counts={{}}
+      dropTargetId={null}
+      onSelect={() => { }}
+      onCreate={(name) => created.push(name)}
+      onRename={() => { }}
+      onDelete={() => { }}
+    />
+  );
+  fireEvent.click(screen.getByRole('button', { name: 'Create a new list' }));
+  const input = screen.getByPlaceholderText('List name');
+  fireEvent.change(input, { target: { value: 'Groceries' } });
+  // The blur lands before React re-renders, as it does in the browser
+  act(() => {
+    fireEvent.keyDown(input, { key: 'Enter' });
+    fireEvent.blur(input);
+  });
+
+  expect(created).toEqual(['Groceries']);
+});
+
+test('the icon-only buttons are named for screen readers', () => {
+  const work = { id: 'work', name: 'Work' };
+  render(
+    <ListSwitcher
+      lists={[DEFAULT_LIST, work]}
+      activeListId="work"
+      counts={{}}
+      dropTargetId={null}
+      onSelect={() => { }}
+      onCreate={() => { }}
+      onRename={() => { }}
+      onDelete={() => { }}
+    />
+  );
+  expect(screen.getByRole('button', { name: 'Delete list Work' })).toHaveTextContent('×');
+  expect(screen.getByRole('button', { name: 'Create a new list' })).toHaveTextContent('+');
+});
@@ -0,0 +1,185 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: RecurrenceDialog.jsx
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The "Repeat" dialog opened from a task's recurrence badge. It edits the
+ * task's rule through a few presets (daily, weekdays, weekly on chosen days,
+ * monthly on a day, every N days, yearly) and offers to skip the next
+ * occurrence or end the series.
+ *
+ */
+
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion } from 'framer-motion';
+import { WEEKDAY_NAMES, WORKING_DAYS, describeRecurrence } from './recurrence';
+
+const KINDS = {
+  none: 'Does not repeat',
+  daily: 'Daily',
+  weekdays: 'Every weekday',
+  weekly: 'Weekly on…',
+  monthly: 'Monthly on day…',
+  'every-n': 'Every N days',
+  yearly: 'Yearly',
+};
+
+/**
+ * Maps a stored rule onto the dialog's form fields.
+ */
+const ruleToForm = (rule, dueDate) => {
+  const form = { kind: 'none', interval: 1, weekdays: [dueDate.getDay()], monthDay: dueDate.getDate() };
+  if (!rule) return form;
+  if (rule.unit === 'day') return { ...form, kind: rule.interval === 1 ? 'daily' : 'every-n', interval: rule.interval };
+  if (rule.unit === 'month') return { ...form, kind: 'monthly', interval: rule.interval, monthDay: rule.monthDay || form.monthDay };
+  if (rule.unit === 'year') return { ...form, kind: 'yearly' };
+  const weekdays = rule.weekdays || form.weekdays;
+  if (rule.interval === 1 && weekdays.join() === WORKING_DAYS.join()) return { ...form, kind: 'weekdays' };
+  return { ...form, kind: 'weekly', interval: rule.interval, weekdays };
+};
+
+/**
+ * Builds a rule from the form fields (`null` for "Does not repeat").
+ */
+const formToRule = ({ kind, interval, weekdays, monthDay }) => {
+  switch (kind) {
+    case 'daily': return { interval: 1, unit: 'day' };
+    case 'every-n': return { interval, unit: 'day' };
+    case 'weekdays': return { interval: 1, unit: 'week', weekdays: WORKING_DAYS };
+    case 'weekly': return { interval, unit: 'week', weekdays: [...weekdays].sort((a, b) => a - b) };
+    case 'monthly': return { interval: 1, unit: 'month', monthDay };
+    case 'yearly': return { interval: 1, unit: 'year' };
+    default: return null;
+  }
+};
+
+/**
+ * Repeat rule editor for one task. Mounted only while open.
+ *
+ * @param {Object} props
+ * @param {Object} props.todo - The task being edited.
+ * @param {Function} props.onSave - Called with the new rule, or null to stop repeating.
+ * @param {Function} props.onSkip - Moves the task to its next occurrence.
+ * @param {Function} props.onClose
+ */
+const RecurrenceDialog = ({ todo, onSave, onSkip, onClose }) => {
+  const [form, setForm] = useState(() => ruleToForm(todo.recurrence, new Date(todo.dueAt || Date.now())));
+  const update = (changes) => setForm((prev) => ({ ...prev, ...changes }));
+  const rule = formToRule(form);
+  const valid = form.kind !== 'weekly' || form.weekdays.length > 0;
+
+  const toggleWeekday = (day) => {
+    update({
+      weekdays: form.weekdays.includes(day) ? form.weekdays.filter((d) => d !== day) : [...form.weekdays, day],
+    });
+  };
+
+  return createPortal(
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="Modal-backdrop"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95, y: 10 }}
+        animate={{ scale: 1, y: 0 }}
+        className="Modal-panel"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Repeat"
+      >
+        <h3 className="Modal-title">Repeat</h3>
+        <p className="Modal-subtitle">{todo.text}</p>
+
+        <select
+          className="Repeat-kind-select"
+          value={form.kind}
+          onChange={(e) => update({ kind: e.target.value })}
+          aria-label="Repeat rule"
+        >
+          {Object.entries(KINDS).map(([kind, label]) => (
+            <option key={kind} value={kind}>{label}</option>
+          ))}
+        </select>
+
+        {(form.kind === 'weekly' || form.kind === 'every-n') && (
+          <label className="Repeat-field">
+            Every
+            <input
+              type="number"
+              min="1"
+              max="365"
+              value={form.interval}
+              onChange={(e) => update({ interval: Math.max(1, Math.floor(Number(e.target.value)) || 1) })}
+              className="Repeat-number"
+            />
+            {form.kind === 'weekly' ? 'week(s)' : 'day(s)'}
+          </label>
+        )}
+
+        {form.kind === 'weekly' && (
+          <div className="Repeat-weekdays" role="group" aria-label="Days of the week">
+            {WEEKDAY_NAMES.map((name, day) => (
+              <button
+                key={name}
+                className={`Filter-tab ${form.weekdays.includes(day) ? 'active' : ''}`}
+                onClick={() => toggleWeekday(day)}
+                aria-pressed={form.weekdays.includes(day)}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {form.kind === 'monthly' && (
+          <label className="Repeat-field">
+            On day
+            <input
+              type="number"
+              min="1"
+              max="31"
+              value={form.monthDay}
+              onChange={(e) => update({ monthDay: Math.min(31, Math.max(1, Math.floor(Number(e.target.value)) || 1)) })}
+              className="Repeat-number"
+            />
+          </label>
+        )}
+
+        <p className="Repeat-summary">{rule ? `Repeats ${describeRecurrence(rule)}` : 'This task does not repeat.'}</p>
+
+        <div className="Modal-actions">
+          {todo.recurrence && (
+            <>
+              <button className="Clear-all-btn-subtle" onClick={onSkip} title="Move this task to its next date without completing it">
+                Skip next
+              </button>
+              <button className="Clear-all-btn-subtle" onClick={() => onSave(null)} title="Keep this task but stop repeating it">
+                End series
+              </button>
+            </>
+          )}
+          <button className="Modal-confirm-btn" onClick={() => onSave(rule)} disabled={!valid}>
+            Save
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>,
+    document.body
+  );
+};
+
+export default RecurrenceDialog;
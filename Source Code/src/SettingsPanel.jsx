@@ -0,0 +1,291 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: SettingsPanel.jsx
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The settings dialog. Its "Appearance" section picks the theme (or follows
+ * the system) and the accent color: a preset, any color from the picker, or
+ * the theme's own. Its "Sound" section holds the master switch, the
+ * master volume, the sound pack (built-in or loaded from a JSON file) and
+ * one switch per sound event, each with a preview button that plays the
+ * sound even while it is switched off. The "Motion" section sets the
+ * animation intensity and whether the loading sequence plays.
+ *
+ * The panel is controlled: `TodoApp` owns the settings, saves them and
+ * applies them to `SoundEngine`, the animations and the theme tokens.
+ *
+ */
+
+import React, { useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import soundEngine from './SoundEngine';
+import { SOUND_EVENTS } from './soundSettings';
+import { SOUND_PACKS, parseSoundPack, resolveSoundPack } from './soundPacks';
+import { MOTION_CHOICES } from './motionSettings';
+import { THEME_CHOICES, ACCENT_PRESETS } from './themes';
+import useFocusTrap from './useFocusTrap';
+
+/**
+ * Dialog body. Mounted only while open so the focus trap starts fresh.
+ */
+const SettingsDialog = ({ sound, onSoundChange, customPack, onCustomPack, motion: motionSettings, onMotionChange, theme, onThemeChange, onClose }) => {
+  const [panel, setPanel] = useState(null);
+  const [packError, setPackError] = useState(null);
+  const fileInputRef = useRef(null);
+  useFocusTrap(panel, onClose);
+
+  const setEvent = (id, on) => onSoundChange({ ...sound, events: { ...sound.events, [id]: on } });
+  const packs = customPack ? [...SOUND_PACKS, customPack] : SOUND_PACKS;
+
+  const handlePackFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file) return;
+
+    file.text().then((text) => {
+      const pack = parseSoundPack(text);
+      setPackError(null);
+      onCustomPack(pack);
+      soundEngine.setPack(pack);
+      soundEngine.preview('add');
+    }).catch((error) => {
+      setPackError(`Could not load ${file.name}: ${error.message}`);
+    });
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="Modal-backdrop"
+      onClick={onClose}
+    >
+      <motion.div
+        ref={setPanel}
+        initial={{ scale: 0.95, y: 10 }}
+        animate={{ scale: 1, y: 0 }}
+        className="Modal-panel Settings-panel"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-labelledby="settings-title"
+        tabIndex={-1}
+      >
+        <h3 className="Modal-title" id="settings-title">Settings</h3>
+
+        <fieldset className="Settings-section">
+          <legend className="Settings-legend">Appearance</legend>
+          <div className="Settings-row">
+            <span className="Settings-label" id="settings-theme-label">Theme</span>
+            <div className="Filter-tabs" role="radiogroup" aria-labelledby="settings-theme-label">
+              {THEME_CHOICES.map(({ id, label }) => (
+                <button
+                  key={id}
+                  className={`Filter-tab ${theme.theme === id ? 'active' : ''}`}
+                  onClick={() => onThemeChange({ ...theme, theme: id })}
+                  role="radio"
+                  aria-checked={theme.theme === id}
+                  title={id === 'system' ? 'Follow the light, dark or high-contrast setting of your device' : undefined}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="Settings-row">
+            <span className="Settings-label" id="settings-accent-label">Accent</span>
+            <div className="Tag-swatches" role="radiogroup" aria-labelledby="settings-accent-label">
+              {ACCENT_PRESETS.map(({ color, label }) => (
+                <button
+                  key={color}
+                  className={`Tag-swatch ${theme.accent === color ? 'active' : ''}`}
+                  style={{ backgroundColor: color }}
+                  onClick={() => onThemeChange({ ...theme, accent: color })}
+                  role="radio"
+                  aria-checked={theme.accent === color}
+                  aria-label={label}
+                  title={label}
+                />
+              ))}
+            </div>
+            <input
+              type="color"
+              className="Settings-color"
+              value={theme.accent || ACCENT_PRESETS[0].color}
+              onChange={(e) => onThemeChange({ ...theme, accent: e.target.value })}
+              aria-label="Custom accent color"
+              title="Pick any color"
+            />
+            <button
+              className="Clear-all-btn-subtle Settings-preview"
+              onClick={() => onThemeChange({ ...theme, accent: null })}
+              disabled={!theme.accent}
+              title="Use the theme's own accent"
+            >
+              Default
+            </button>
+          </div>
+        </fieldset>
+
+        <fieldset className="Settings-section">
+          <legend className="Settings-legend">Sound</legend>
+          <label className="Settings-row">
+            <input
+              type="checkbox"
+              checked={sound.enabled}
+              onChange={(e) => onSoundChange({ ...sound, enabled: e.target.checked })}
+            />
+            <span className="Settings-label">Sound effects</span>
+          </label>
+          <label className={`Settings-row ${sound.enabled ? '' : 'muted'}`}>
+            <span className="Settings-label">Volume</span>
+            <input
+              type="range"
+              className="Settings-volume"
+              min="0"
+              max="100"
+              step="5"
+              value={Math.round(sound.volume * 100)}
+              onChange={(e) => onSoundChange({ ...sound, volume: Number(e.target.value) / 100 })}
+              onPointerUp={() => soundEngine.preview('click')}
+              disabled={!sound.enabled}
+            />
+            <span className="Settings-value">{Math.round(sound.volume * 100)}%</span>
+          </label>
+          <div className={`Settings-row ${sound.enabled ? '' : 'muted'}`}>
+            <label className="Settings-label" htmlFor="settings-sound-pack">Sound pack</label>
+            <select
+              id="settings-sound-pack"
+              className="Settings-select"
+              value={resolveSoundPack(sound.pack, customPack).id}
+              onChange={(e) => onSoundChange({ ...sound, pack: e.target.value })}
+              disabled={!sound.enabled}
+            >
+              {packs.map((pack) => (
+                <option key={pack.id} value={pack.id}>
+                  {pack.id === 'custom' ? `Custom: ${pack.name}` : pack.name}
+                </option>
+              ))}
+            </select>
+            <button className="Clear-all-btn-subtle Settings-preview" onClick={() => fileInputRef.current.click()}>
+              Load pack...
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handlePackFile}
+              style={{ display: 'none' }}
+            />
+          </div>
+          {packError && <p className="Settings-error" role="alert">{packError}</p>}
+          <ul className={`Settings-events ${sound.enabled ? '' : 'muted'}`}>
+            {SOUND_EVENTS.map(({ id, label }) => (
+              <li key={id} className="Settings-row">
+                <label className="Settings-event">
+                  <input
+                    type="checkbox"
+                    checked={sound.events[id]}
+                    onChange={(e) => setEvent(id, e.target.checked)}
+                    disabled={!sound.enabled}
+                  />
+                  <span className="Settings-label">{label}</span>
+                </label>
+                <button
+                  className="Clear-all-btn-subtle Settings-preview"
+                  onClick={() => soundEngine.preview(id)}
+                  aria-label={`Preview ${label} sound`}
+                >
+                  ▶ Preview
+                </button>
+              </li>
+            ))}
+          </ul>
+        </fieldset>
+
+        <fieldset className="Settings-section">
+          <legend className="Settings-legend">Motion</legend>
+          <div className="Settings-row">
+            <span className="Settings-label" id="settings-motion-label">Animations</span>
+            <div className="Filter-tabs" role="radiogroup" aria-labelledby="settings-motion-label">
+              {MOTION_CHOICES.map(({ id, label }) => (
+                <button
+                  key={id}
+                  className={`Filter-tab ${motionSettings.intensity === id ? 'active' : ''}`}
+                  onClick={() => onMotionChange({ ...motionSettings, intensity: id })}
+                  role="radio"
+                  aria-checked={motionSettings.intensity === id}
+                  title={id === 'system' ? 'Follow the reduced-motion setting of your device' : undefined}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <label className="Settings-row">
+            <input
+              type="checkbox"
+              checked={motionSettings.skipIntro}
+              onChange={(e) => onMotionChange({ ...motionSettings, skipIntro: e.target.checked })}
+            />
+            <span className="Settings-label">Skip the loading sequence</span>
+          </label>
+        </fieldset>
+
+        <div className="Modal-actions">
+          <button className="Modal-confirm-btn" onClick={onClose}>Done</button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+/**
+ * Settings dialog.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {{ enabled: boolean, volume: number, events: Object<string, boolean>, pack: string }} props.sound
+ * @param {Function} props.onSoundChange - Called with the complete new sound settings.
+ * @param {Object|null} props.customPack - The user's loaded sound pack, if any.
+ * @param {Function} props.onCustomPack - Called with a newly loaded, validated pack.
+ * @param {{ intensity: string, skipIntro: boolean }} props.motion
+ * @param {Function} props.onMotionChange - Called with the complete new motion settings.
+ * @param {{ theme: string, accent: string|null }} props.theme
+ * @param {Function} props.onThemeChange - Called with the complete new theme settings.
+ * @param {Function} props.onClose
+ */
+const SettingsPanel = ({ open, sound, onSoundChange, customPack, onCustomPack, motion: motionSettings, onMotionChange, theme, onThemeChange, onClose }) =>
+  createPortal(
+    <AnimatePresence>
+      {open && (
+        <SettingsDialog
+          key="settings-panel"
+          sound={sound}
+          onSoundChange={onSoundChange}
+          customPack={customPack}
+          onCustomPack={onCustomPack}
+          motion={motionSettings}
+          onMotionChange={onMotionChange}
+          theme={theme}
+          onThemeChange={onThemeChange}
+          onClose={onClose}
+        />
+      )}
+    </AnimatePresence>,
+    document.body
+  );
+
+export default SettingsPanel;
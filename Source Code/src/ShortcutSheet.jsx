@@ -0,0 +1,76 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: ShortcutSheet.jsx
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The keyboard shortcut cheat-sheet, opened with "?". The rows come from
+ * `SHORTCUTS` so the sheet always matches what the keys actually do.
+ *
+ */
+
+import React from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { SHORTCUTS } from './keyboardShortcuts';
+
+/**
+ * Cheat-sheet dialog.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Function} props.onClose
+ */
+const ShortcutSheet = ({ open, onClose }) =>
+  createPortal(
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          key="shortcut-sheet"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="Modal-backdrop"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, y: 10 }}
+            animate={{ scale: 1, y: 0 }}
+            className="Modal-panel"
+            onClick={(e) => e.stopPropagation()}
+            role="dialog"
+            aria-label="Keyboard shortcuts"
+          >
+            <h3 className="Modal-title">Keyboard Shortcuts</h3>
+            <p className="Modal-subtitle">Shortcuts are paused while you type in a field.</p>
+            <dl className="Shortcut-list">
+              {SHORTCUTS.map(({ keys, description }) => (
+                <div key={description} className="Shortcut-row">
+                  <dt className="Shortcut-keys">
+                    {keys.map((name) => <kbd key={name} className="Shortcut-key">{name}</kbd>)}
+                  </dt>
+                  <dd className="Shortcut-description">{description}</dd>
+                </div>
+              ))}
+            </dl>
+            <div className="Modal-actions">
+              <button className="Modal-confirm-btn" onClick={onClose}>Got it</button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>,
+    document.body
+  );
+
+export default ShortcutSheet;
@@ -26,9 +26,22 @@
  * - Manages the AudioContext state (lazy initialization to comply with browser
  *   autoplay policies).
  * - Provides public methods for distinct application events (click, add, delete, completion).
+ * - Every note is routed through one master GainNode, so the user's volume
+ *   applies to all sounds; note levels are relative to it.
+ * - Each event can be muted on its own (see `soundSettings.js`).
+ * - The sounds themselves are data: the active sound pack (`soundPacks.js`)
+ *   describes every event as notes, scheduled on the AudioContext clock.
  *
  */
 
+import { SOUND_PACKS, scheduleSound, soundNotes } from './soundPacks';
+
+/**
+ * Gain of the master node at 100% volume. At the default 70% the app sounds
+ * as loud as it did before the volume control existed.
+ */
+const MAX_OUTPUT = 0.07;
+
 /**
  * Singleton service for procedural audio generation.
  * Encapsulates Web Audio API complexity to provide simple trigger methods.
@@ -37,8 +50,18 @@ class SoundEngine {
     constructor() {
         /** @type {AudioContext|null} The main web audio context. */
         this.audioCtx = null;
+        /** @type {GainNode|null} Master volume; every note connects here. */
+        this.master = null;
         /** @type {boolean} Master switch for audio feedback. */
         this.enabled = true;
+        /** @type {number} Master volume (0.0 to 1.0). */
+        this.volume = 0.7;
+        /** @type {Object<string, boolean>} Per-event switches; missing events play. */
+        this.events = {};
+        /** @type {Object} The active sound pack. */
+        this.pack = SOUND_PACKS[0];
+        /** @type {boolean} Whether `warmUp` is waiting for a user gesture. */
+        this.warming = false;
     }
 
     /**
@@ -50,9 +73,29 @@ class SoundEngine {
     init() {
         if (!this.audioCtx) {
             this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+            this.master = this.audioCtx.createGain();
+            this.master.gain.value = this.volume * MAX_OUTPUT;
+            this.master.connect(this.audioCtx.destination);
         }
     }
 
+    /**
+     * Prepares audio during startup. Browsers keep an AudioContext created
+     * before the first user gesture suspended, so the context is created on
+     * that gesture instead, ahead of the first sound it triggers.
+     */
+    warmUp() {
+        if (this.audioCtx || this.warming) return;
+        this.warming = true;
+        const start = () => {
+            window.removeEventListener('pointerdown', start, true);
+            window.removeEventListener('keydown', start, true);
+            this.init();
+        };
+        window.addEventListener('pointerdown', start, true);
+        window.addEventListener('keydown', start, true);
+    }
+
     /**
      * Sets the enabled state of the sound engine.
      * @param {boolean} val - True to enable sound, false to mute.
@@ -62,54 +105,86 @@ class SoundEngine {
     }
 
     /**
-     * Core synthesizer method.
-     * Generates a sound wave with specific frequency, type, duration, and volume.
-     * 
-     * @param {number} freq - Frequency in Hertz.
-     * @param {string} type - Waveform type ('sine', 'square', 'sawtooth', 'triangle').
-     * @param {number} duration - Duration of the sound in seconds.
-     * @param {number} volume - Peak gain volume (0.0 to 1.0).
+     * Sets the master volume. Takes effect immediately, also on sounds that
+     * are still ringing.
+     * @param {number} volume - 0.0 (silent) to 1.0 (full).
      */
-    createOscillator(freq, type = 'sine', duration = 0.1, volume = 0.1) {
-        // Guard clause: Exit if context missing or engine disabled
-        if (!this.audioCtx || !this.enabled) return;
+    setVolume(volume) {
+        this.volume = volume;
+        if (this.master) {
+            this.master.gain.setValueAtTime(volume * MAX_OUTPUT, this.audioCtx.currentTime);
+        }
+    }
 
-        const osc = this.audioCtx.createOscillator();
-        const gain = this.audioCtx.createGain();
+    /**
+     * Switches to another sound pack.
+     * @param {Object} pack - A built-in or validated custom pack.
+     */
+    setPack(pack) {
+        this.pack = pack;
+    }
 
-        osc.type = type;
-        osc.frequency.setValueAtTime(freq, this.audioCtx.currentTime);
+    /**
+     * Applies the user's sound settings in one go.
+     * @param {{ enabled: boolean, volume: number, events: Object<string, boolean> }} settings
+     */
+    configure({ enabled, volume, events }) {
+        this.setEnabled(enabled);
+        this.setVolume(volume);
+        this.events = { ...events };
+    }
 
-        // Envelope shaping: Instant attack, exponential decay
-        gain.gain.setValueAtTime(volume, this.audioCtx.currentTime);
-        gain.gain.exponentialRampToValueAtTime(0.0001, this.audioCtx.currentTime + duration);
+    /**
+     * Whether a sound event should currently be heard.
+     * @param {string} event - One of the `SOUND_EVENTS` ids.
+     * @returns {boolean}
+     */
+    isAudible(event) {
+        return this.enabled && this.events[event] !== false;
+    }
 
-        // Signal routing: Oscillator -> Gain -> Destination (Speakers)
-        osc.connect(gain);
-        gain.connect(this.audioCtx.destination);
+    /**
+     * Plays one sound of the active pack, starting now.
+     * @param {string} name - One of the pack's sound names.
+     */
+    playSound(name) {
+        this.init();
+        scheduleSound(this.audioCtx, this.master, soundNotes(this.pack, name));
+    }
 
-        osc.start();
-        osc.stop(this.audioCtx.currentTime + duration);
+    /**
+     * Plays a sound event if it is switched on.
+     * @param {string} event - One of the `SOUND_EVENTS` ids.
+     * @param {boolean} [completed] - For 'toggle': the new state of the task.
+     */
+    play(event, completed) {
+        if (!this.isAudible(event)) return;
+        this.playSound(soundName(event, completed));
+    }
+
+    /**
+     * Plays a sound event even when it (or all sound) is switched off.
+     * Used by the preview buttons in the settings panel.
+     * @param {string} event
+     */
+    preview(event) {
+        this.playSound(soundName(event, true));
     }
 
     /**
-     * Triggers a short, high-pitched mechanical click.
+     * Triggers the short interface click.
      * Used for UI interactions like button presses.
      */
     playClick() {
-        this.init();
-        this.createOscillator(800, 'square', 0.05, 0.02);
+        this.play('click');
     }
 
     /**
-     * Triggers a two-tone ascending "add" sound.
+     * Triggers the "add" sound.
      * Indicates successful item creation.
      */
     playAdd() {
-        this.init();
-        this.createOscillator(400, 'sine', 0.1, 0.05);
-        // Second tone delayed by 50ms to create a chordal/arpeggio effect
-        setTimeout(() => this.createOscillator(600, 'sine', 0.15, 0.05), 50);
+        this.play('add');
     }
 
     /**
@@ -117,73 +192,43 @@ class SoundEngine {
      * @param {boolean} completed - The new state of the task (true = done).
      */
     playToggle(completed) {
-        this.init();
-        if (completed) {
-            // High-pitched success shimmer (Major 3rd interval)
-            this.createOscillator(1200, 'sine', 0.1, 0.03);
-            setTimeout(() => this.createOscillator(1500, 'sine', 0.2, 0.02), 40);
-        } else {
-            // Low-pitched "uncheck" sound
-            this.createOscillator(600, 'sine', 0.1, 0.03);
-        }
+        this.play('toggle', completed);
     }
 
     /**
-     * Triggers a harsh, "sawtooth" deletion sound.
+     * Triggers the deletion sound.
      * Provides tactile feedback for destructive actions.
      */
     playDelete() {
-        this.init();
-        this.createOscillator(300, 'sawtooth', 0.1, 0.02);
+        this.play('delete');
     }
 
     /**
-     * Triggers a complex, multi-harmonic victory chord.
-     * executed when the user clears all tasks or hits a specific milestone.
+     * Triggers the victory sound.
+     * Executed when the user clears all tasks or hits a specific milestone.
      */
     playVictory() {
-        this.init();
-        if (!this.audioCtx) return;
-
-        const baseFreq = 220; // A3
-        const duration = 2.5;
-
-        // Harmonic swell: Plays a sequence of harmonics to build a major chord
-        [1, 1.5, 2, 2.5, 3].forEach((harmonic, i) => {
-            setTimeout(() => {
-                const osc = this.audioCtx.createOscillator();
-                const gain = this.audioCtx.createGain();
-
-                osc.type = 'sine';
-                osc.frequency.setValueAtTime(baseFreq * harmonic, this.audioCtx.currentTime);
-                // Pitch bend effect: Slight frequency slide up for "uplifting" feel
-                osc.frequency.exponentialRampToValueAtTime(baseFreq * harmonic * 1.5, this.audioCtx.currentTime + duration);
-
-                // Volume envelope: Linear fade in, exponential fade out
-                gain.gain.setValueAtTime(0, this.audioCtx.currentTime);
-                gain.gain.linearRampToValueAtTime(0.05, this.audioCtx.currentTime + 0.5);
-                gain.gain.exponentialRampToValueAtTime(0.0001, this.audioCtx.currentTime + duration);
-
-                osc.connect(gain);
-                gain.connect(this.audioCtx.destination);
-
-                osc.start();
-                osc.stop(this.audioCtx.currentTime + duration);
-            }, i * 150); // Staggered entry
-        });
+        this.play('victory');
     }
 
     /**
-     * Plays a gentle ambient chime for the credits sequence.
+     * Plays the ambient sound of the credits sequence.
      */
     playCredits() {
-        this.init();
-        if (!this.audioCtx) return;
-        // Pleasing ambient chime (Perfect 5th)
-        this.createOscillator(660, 'sine', 1.2, 0.02);
-        setTimeout(() => this.createOscillator(440, 'sine', 1.5, 0.02), 100);
+        this.play('credits');
     }
 }
 
+/**
+ * The pack sound for an event; toggling has one sound for each direction.
+ * @param {string} event
+ * @param {boolean} [completed]
+ * @returns {string}
+ */
+const soundName = (event, completed) => {
+    if (event !== 'toggle') return event;
+    return completed ? 'complete' : 'uncomplete';
+};
+
 // Export as a Singleton instance
 export default new SoundEngine();
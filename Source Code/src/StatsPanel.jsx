@@ -0,0 +1,191 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: StatsPanel.jsx
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The productivity dashboard: completions per day or week as a bar chart,
+ * the current streak, the average time to finish a task, the priority
+ * breakdown and a heatmap of the busiest hours. Figures come from
+ * `stats.js` and cover either the active list or all lists, including the
+ * archived history. Nothing leaves the browser.
+ *
+ */
+
+import React, { useMemo, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { computeStats, formatDuration } from './stats';
+import { WEEKDAY_NAMES } from './recurrence';
+
+// Heatmap rows run Monday to Sunday, matching `hourHeatmap`
+const HEATMAP_DAYS = [...WEEKDAY_NAMES.slice(1), WEEKDAY_NAMES[0]];
+
+/**
+ * Bar chart of completion buckets.
+ * @param {Object} props
+ * @param {Array<{ start: number, count: number }>} props.buckets
+ * @param {Function} props.label - Formats a bucket start for the axis and tooltip.
+ */
+const BarChart = ({ buckets, label }) => {
+  const max = Math.max(1, ...buckets.map((bucket) => bucket.count));
+  return (
+    <div className="Stats-chart" role="img" aria-label={buckets.map((b) => `${label(b.start)}: ${b.count}`).join(', ')}>
+      {buckets.map(({ start, count }) => (
+        <div key={start} className="Stats-bar-column" title={`${label(start)}: ${count} completed`}>
+          <div className="Stats-bar" style={{ height: `${(count / max) * 100}%` }} />
+          <span className="Stats-bar-label">{label(start)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Statistics dialog.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Array<Object>} props.listTodos - Tasks of the active list, archived ones included.
+ * @param {Array<Object>} props.allTodos - Tasks of every list, archived ones included.
+ * @param {string} props.listName
+ * @param {number} props.now
+ * @param {Function} props.onClose
+ */
+const StatsPanel = ({ open, listTodos, allTodos, listName, now, onClose }) => {
+  const [scope, setScope] = useState('list');
+  const [period, setPeriod] = useState('day');
+
+  const source = scope === 'list' ? listTodos : allTodos;
+  const stats = useMemo(() => (open ? computeStats(source, now) : null), [open, source, now]);
+  const heatMax = stats ? Math.max(1, ...stats.heatmap.flat()) : 1;
+
+  return createPortal(
+    <AnimatePresence>
+      {open && stats && (
+        <motion.div
+          key="stats-panel"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="Modal-backdrop"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, y: 10 }}
+            animate={{ scale: 1, y: 0 }}
+            className="Modal-panel Stats-panel"
+            onClick={(e) => e.stopPropagation()}
+            role="dialog"
+            aria-label="Statistics"
+          >
+            <h3 className="Modal-title">Statistics</h3>
+            <div className="Filter-tabs" role="group" aria-label="Scope">
+              <button className={`Filter-tab ${scope === 'list' ? 'active' : ''}`} onClick={() => setScope('list')}>
+                {listName}
+              </button>
+              <button className={`Filter-tab ${scope === 'all' ? 'active' : ''}`} onClick={() => setScope('all')}>
+                All lists
+              </button>
+            </div>
+
+            <div className="Stats-body">
+              <div className="Stats-tiles">
+                <div className="Stats-tile">
+                  <span className="Stats-tile-value">{stats.totalCompleted}</span>
+                  <span className="Stats-tile-label">completed</span>
+                </div>
+                <div className="Stats-tile">
+                  <span className="Stats-tile-value">{stats.streak}</span>
+                  <span className="Stats-tile-label">day streak</span>
+                </div>
+                <div className="Stats-tile">
+                  <span className="Stats-tile-value">
+                    {stats.averageCompletion === null ? '–' : formatDuration(stats.averageCompletion)}
+                  </span>
+                  <span className="Stats-tile-label">avg. to finish</span>
+                </div>
+              </div>
+
+              <section className="Stats-section">
+                <div className="Stats-section-header">
+                  <h4 className="Stats-section-title">Completions</h4>
+                  <div className="Filter-tabs" role="group" aria-label="Period">
+                    <button className={`Filter-tab ${period === 'day' ? 'active' : ''}`} onClick={() => setPeriod('day')}>
+                      Daily
+                    </button>
+                    <button className={`Filter-tab ${period === 'week' ? 'active' : ''}`} onClick={() => setPeriod('week')}>
+                      Weekly
+                    </button>
+                  </div>
+                </div>
+                {period === 'day' ? (
+                  <BarChart buckets={stats.perDay} label={(start) => new Date(start).toLocaleDateString([], { weekday: 'narrow' })} />
+                ) : (
+                  <BarChart buckets={stats.perWeek} label={(start) => new Date(start).toLocaleDateString([], { month: 'numeric', day: 'numeric' })} />
+                )}
+              </section>
+
+              <section className="Stats-section">
+                <h4 className="Stats-section-title">By priority</h4>
+                <ul className="Stats-priorities">
+                  {stats.byPriority.map(({ priority, total, completed }) => (
+                    <li key={priority} className={`Stats-priority ${priority}`}>
+                      <span className="Stats-priority-name">{priority}</span>
+                      <div className="Stats-priority-bar">
+                        <div className="Stats-priority-fill" style={{ width: total ? `${Math.round((completed / total) * 100)}%` : 0 }} />
+                      </div>
+                      <span className="Stats-priority-count">{completed}/{total}</span>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+
+              <section className="Stats-section">
+                <h4 className="Stats-section-title">Busiest hours</h4>
+                <div className="Stats-heatmap" role="img" aria-label="Completions by weekday and hour">
+                  {stats.heatmap.map((row, dayIndex) => (
+                    <React.Fragment key={HEATMAP_DAYS[dayIndex]}>
+                      <span className="Stats-heatmap-day">{HEATMAP_DAYS[dayIndex]}</span>
+                      {row.map((count, hour) => (
+                        <span
+                          key={hour}
+                          className="Stats-heatmap-cell"
+                          style={{ '--heat': count / heatMax }}
+                          title={`${HEATMAP_DAYS[dayIndex]} ${hour}:00: ${count} completed`}
+                        />
+                      ))}
+                    </React.Fragment>
+                  ))}
+                  <span />
+                  {[0, 6, 12, 18].map((hour) => (
+                    <span key={hour} className="Stats-heatmap-hour" style={{ gridColumn: `${hour + 2} / span 6` }}>
+                      {hour}h
+                    </span>
+                  ))}
+                </div>
+              </section>
+            </div>
+
+            <div className="Modal-actions">
+              <button className="Modal-confirm-btn" onClick={onClose}>Done</button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>,
+    document.body
+  );
+};
+
+export default StatsPanel;
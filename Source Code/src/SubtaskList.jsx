@@ -0,0 +1,128 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: SubtaskList.jsx
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The inline checklist shown under an expanded `TodoItem`. Steps can be
+ * ticked off, removed, reordered by their own drag handle, and added by
+ * typing into the field at the bottom and pressing Enter.
+ *
+ * The component holds no task data; every change is reported to the parent
+ * as a whole new `subtasks` array plus the name of the action for undo.
+ *
+ */
+
+import React, { useState } from 'react';
+import { Reorder, useDragControls } from 'framer-motion';
+import { createSubtask } from './subtasks';
+
+/**
+ * One checklist row with its own drag handle.
+ */
+const SubtaskItem = ({ subtask, onToggle, onDelete }) => {
+  const controls = useDragControls();
+
+  return (
+    <Reorder.Item
+      value={subtask}
+      dragListener={false}
+      dragControls={controls}
+      className={`Subtask-item ${subtask.completed ? 'completed' : ''}`}
+    >
+      <span
+        className="Subtask-handle"
+        title="Drag to reorder"
+        onPointerDown={(e) => {
+          e.stopPropagation(); // Keep the parent task from starting its own drag
+          controls.start(e);
+        }}
+        style={{ touchAction: "none" }}
+      >
+        ⋮⋮
+      </span>
+      <button
+        className="Subtask-check"
+        onClick={() => onToggle(subtask.id)}
+        title={subtask.completed ? 'Mark step as not done' : 'Mark step as done'}
+        aria-label={`${subtask.completed ? 'Mark as not done' : 'Mark as done'}: ${subtask.text}`}
+        aria-pressed={subtask.completed}
+      >
+        {subtask.completed ? '✓' : ''}
+      </button>
+      <span className="Subtask-text" onClick={() => onToggle(subtask.id)}>{subtask.text}</span>
+      <button
+        className="Subtask-delete"
+        onClick={() => onDelete(subtask.id)}
+        title="Remove this step"
+        aria-label={`Remove step ${subtask.text}`}
+      >
+        ×
+      </button>
+    </Reorder.Item>
+  );
+};
+
+/**
+ * Checklist editor for one task.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.subtasks - The task's ordered checklist.
+ * @param {Function} props.onChange - Called with `(subtasks, actionName)`.
+ */
+const SubtaskList = ({ subtasks, onChange }) => {
+  const [draft, setDraft] = useState('');
+
+  const addSubtask = () => {
+    if (draft.trim() === '') return;
+    onChange([...subtasks, createSubtask(draft, subtasks)], 'Add Step');
+    setDraft(''); // Focus stays in the field so steps can be typed in a row
+  };
+
+  const toggleSubtask = (id) => {
+    onChange(
+      subtasks.map((subtask) => (subtask.id === id ? { ...subtask, completed: !subtask.completed } : subtask)),
+      'Toggle Step'
+    );
+  };
+
+  const deleteSubtask = (id) => {
+    onChange(subtasks.filter((subtask) => subtask.id !== id), 'Delete Step');
+  };
+
+  return (
+    <div className="Subtask-panel">
+      <Reorder.Group
+        axis="y"
+        values={subtasks}
+        onReorder={(reordered) => onChange(reordered, 'Reorder')}
+        className="Subtask-list"
+      >
+        {subtasks.map((subtask) => (
+          <SubtaskItem key={subtask.id} subtask={subtask} onToggle={toggleSubtask} onDelete={deleteSubtask} />
+        ))}
+      </Reorder.Group>
+      <input
+        type="text"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => e.key === 'Enter' && addSubtask()}
+        placeholder="Add a step..."
+        className="Subtask-input"
+        title="Type a step and press Enter"
+      />
+    </div>
+  );
+};
+
+export default SubtaskList;
@@ -0,0 +1,36 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: SubtaskList.test.jsx
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the checklist editor's accessible controls.
+ *
+ */
+
+import { render, screen, fireEvent } from '@testing-library/react';
+import SubtaskList from './SubtaskList';
+
+test('names each step\'s buttons after the step', () => {
+  const changes = [];
+  const subtasks = [
+    { id: 1, text: 'Buy paint', completed: true },
+    { id: 2, text: 'Sand the door', completed: false },
+  ];
+  render(<SubtaskList subtasks={subtasks} onChange={(next, action) => changes.push(action)} />);
+
+  expect(screen.getByRole('button', { name: 'Mark as not done: Buy paint' })).toHaveAttribute('aria-pressed', 'true');
+  fireEvent.click(screen.getByRole('button', { name: 'Mark as done: Sand the door' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Remove step Sand the door' }));
+  expect(changes).toEqual(['Toggle Step', 'Delete Step']);
+});
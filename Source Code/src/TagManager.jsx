@@ -0,0 +1,141 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: TagManager.jsx
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Dialog for managing tags: every tag in use is listed with its task count,
+ * can be renamed, and can be given a color from the palette. Renaming a tag
+ * to the name of another one merges the two.
+ *
+ */
+
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { TAG_PALETTE, normalizeTag, swatchColor, tagColor } from './tags';
+
+/**
+ * One tag row: rename field and color swatches.
+ */
+const TagRow = ({ tag, count, color, allTags, onRename, onRecolor }) => {
+  const [name, setName] = useState(tag);
+
+  const commit = () => {
+    const target = normalizeTag(name);
+    if (!target || target === tag) {
+      setName(tag);
+      return;
+    }
+    if (allTags.includes(target) && !window.confirm(`Merge #${tag} into #${target}?`)) {
+      setName(tag);
+      return;
+    }
+    onRename(tag, target);
+  };
+
+  return (
+    <li className="Tag-manager-row">
+      <span className="Tag-chip" style={{ '--tag-color': color }}>#</span>
+      <input
+        className="Tag-rename-input"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') commit();
+          if (e.key === 'Escape') setName(tag);
+        }}
+        onBlur={commit}
+        title="Rename (use an existing name to merge)"
+        aria-label={`Rename tag ${tag}`}
+      />
+      <span className="Tag-manager-count">{count}</span>
+      <div className="Tag-swatches" role="radiogroup" aria-label={`Color of ${tag}`}>
+        {TAG_PALETTE.map(({ id, label }) => (
+          <button
+            key={id}
+            className={`Tag-swatch ${swatchColor(id) === color ? 'active' : ''}`}
+            style={{ backgroundColor: swatchColor(id) }}
+            onClick={() => onRecolor(tag, id)}
+            role="radio"
+            aria-checked={swatchColor(id) === color}
+            title={label}
+            aria-label={label}
+          />
+        ))}
+      </div>
+    </li>
+  );
+};
+
+/**
+ * Tag manager dialog.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is shown.
+ * @param {Array<{ tag: string, total: number }>} props.stats - Tags in use with their task counts.
+ * @param {Object<string, string>} props.colors - User-chosen tag colors.
+ * @param {Function} props.onRename - Called with `(from, to)`.
+ * @param {Function} props.onRecolor - Called with `(tag, swatch id)`.
+ * @param {Function} props.onClose
+ */
+const TagManager = ({ open, stats, colors, onRename, onRecolor, onClose }) =>
+  createPortal(
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          key="tag-manager"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="Modal-backdrop"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, y: 10 }}
+            animate={{ scale: 1, y: 0 }}
+            className="Modal-panel"
+            onClick={(e) => e.stopPropagation()}
+            role="dialog"
+            aria-label="Manage tags"
+          >
+            <h3 className="Modal-title">Tags</h3>
+            <p className="Modal-subtitle">
+              {stats.length === 0
+                ? 'No tags yet. Add one by typing #tag in a new task.'
+                : 'Rename a tag to an existing name to merge them.'}
+            </p>
+            <ul className="Tag-manager-list">
+              {stats.map(({ tag, total }) => (
+                <TagRow
+                  key={tag}
+                  tag={tag}
+                  count={total}
+                  color={tagColor(tag, colors)}
+                  allTags={stats.map((s) => s.tag)}
+                  onRename={onRename}
+                  onRecolor={onRecolor}
+                />
+              ))}
+            </ul>
+            <div className="Modal-actions">
+              <button className="Modal-confirm-btn" onClick={onClose}>Done</button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>,
+    document.body
+  );
+
+export default TagManager;
@@ -21,18 +21,119 @@
  *
  * Architecture:
  * - Functional Component Structure using React Hooks (useState, useEffect).
+ * - Persistence is delegated to `todoStorage`, which owns versioning,
+ *   migrations and validation of stored data.
+ * - Open tabs stay in sync through `tabSync`, which merges changes by task id.
+ * - Tasks are grouped into named lists (`todoLists`); stats, filters and the
+ *   celebration always apply to the active list.
+ * - Finished tasks are archived (`archive`) rather than deleted, and can be
+ *   browsed and restored from the history view.
+ * - The list can be driven from the keyboard (`keyboardShortcuts`): a cursor
+ *   moves between tasks and single keys act on the task under it.
+ * - Screen readers hear task changes through a polite live region; the
+ *   full-screen overlays trap focus (`useFocusTrap`) and close on Escape.
+ * - Every action is reachable from the command palette (Ctrl/Cmd+K). Features
+ *   add their commands to a shared registry (`commands`) via `useCommands`.
  * - Component-based architecture with `TodoItem` factored out for performance
  *   and animation stability (drag-and-drop isolation).
- * - Integration with `SoundEngine` for HMI audio feedback.
- * - Implements a custom "Loading" state for cinematic effect.
+ * - Integration with `SoundEngine` for HMI audio feedback; volume and
+ *   per-event switches live in the settings panel (`soundSettings`).
+ * - Animation intensity (`motionSettings`) follows the system's reduced-motion
+ *   preference unless the user picks full, reduced or no motion.
+ * - The loading screen reflects real startup work (`boot`): hydrating the
+ *   list, warming up audio and fonts, and registering the service worker.
+ * - Colors come from the theme (`themes`): dark, light or high contrast,
+ *   following the system's color scheme by default, with an optional
+ *   custom accent.
  *
  */
 
-import React, { useState, useEffect, useRef } from 'react';
-import { motion, AnimatePresence, Reorder, useDragControls } from 'framer-motion';
+import React, { useState, useEffect, useLayoutEffect, useMemo, useRef } from 'react';
+import { motion, AnimatePresence, MotionConfig, MotionGlobalConfig, Reorder, useDragControls } from 'framer-motion';
 import './TodoApp.css';
 import logo from './logo.svg';
 import soundEngine from './SoundEngine';
+import useTodoHistory from './useTodoHistory';
+import useFocusTrap from './useFocusTrap';
+import TransferMenu from './TransferMenu';
+import ListSwitcher from './ListSwitcher';
+import SubtaskList from './SubtaskList';
+import TagManager from './TagManager';
+import RecurrenceDialog from './RecurrenceDialog';
+import HistoryPanel from './HistoryPanel';
+import StatsPanel from './StatsPanel';
+import ShortcutSheet from './ShortcutSheet';
+import SettingsPanel from './SettingsPanel';
+import CommandPalette, { useCommands } from './CommandPalette';
+import storage from './todoStorage';
+import { createTabChannel, diffTodos, applyRemoteChanges, compareStamps } from './tabSync';
+import {
+  PRIORITY_LEVELS,
+  VIEW_MODES,
+  VIEW_MODE_LABELS,
+  STATUS_FILTERS,
+  STATUS_FILTER_LABELS,
+  DEFAULT_FILTERS,
+  nextPriority,
+  sortByPriority,
+  groupByPriority,
+  mergeReorderedSubset,
+  filterTodos,
+  isFilterActive,
+  describeFilters,
+  splitHighlight,
+} from './todoViews';
+import {
+  isOverdue,
+  formatDueLabel,
+  sortByDueDate,
+  toDateTimeInputValue,
+  fromDateTimeInputValue,
+} from './dueDates';
+import { scheduleReminders, deliverReminder, requestReminderPermission } from './reminders';
+import {
+  DEFAULT_LIST,
+  listIdOf,
+  resolveListId,
+  todosInList,
+  countOpenByList,
+  createList,
+  normalizeLists,
+} from './todoLists';
+import { subtasksOf, subtaskCounts, listProgress } from './subtasks';
+import { parseTags, normalizeTags, collectTags, renameTag, tagStats, tagColor } from './tags';
+import { parseQuickAdd, hasParsedFields } from './quickAdd';
+import { describeRecurrence, nextDueAfter, completeOccurrence } from './recurrence';
+import { shortcutAction, stepCursor, moveInGroup } from './keyboardShortcuts';
+import { createCommandRegistry, rememberCommand } from './commands';
+import { normalizeSoundSettings } from './soundSettings';
+import { runBootStages, splashMinimum, splashProgress } from './boot';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+import { MOTION_CHOICES, REDUCED_MOTION_QUERY, normalizeMotionSettings, resolveMotionLevel, celebrationPlan, overlayFade } from './motionSettings';
+import { THEME_CHOICES, DARK_SCHEME_QUERY, MORE_CONTRAST_QUERY, normalizeThemeSettings, resolveTheme, themeTokens, themeVariables, hexToRgb } from './themes';
+import { SOUND_PACKS, resolveSoundPack, restoreSoundPack } from './soundPacks';
+import {
+  isArchived,
+  activeTodos,
+  withCompletion,
+  archiveCompleted,
+  restoreTodo,
+  pruneArchive,
+} from './archive';
+
+/**
+ * Finds the list tab under the pointer while a task is being dragged.
+ * @param {{ x: number, y: number }} point - Pointer position in page coordinates.
+ * @returns {string|null} The list id of the tab, if any.
+ */
+const findListTabAt = (point) => {
+  if (typeof document.elementsFromPoint !== 'function') return null;
+  const tab = document
+    .elementsFromPoint(point.x - window.scrollX, point.y - window.scrollY)
+    .map((element) => element.closest('[data-list-id]'))
+    .find(Boolean);
+  return tab ? tab.dataset.listId : null;
+};
 
 /**
  * Sub-component for individual Todo Items.
@@ -47,20 +148,174 @@ import soundEngine from './SoundEngine';
  * @param {Object} props.todo - The todo data object.
  * @param {Function} props.toggleTodo - Handler for completion toggle.
  * @param {Function} props.deleteTodo - Handler for deletion.
+ * @param {Function} props.editTodo - Handler for committing a new task text.
+ * @param {Function} props.changePriority - Handler for cycling the task priority.
+ * @param {Function} props.setDueDate - Handler for setting or clearing the due date.
+ * @param {Function} props.setRecurrence - Handler for setting or ending (`null`) the repeat rule.
+ * @param {Function} props.skipOccurrence - Handler for moving a repeating task to its next date.
+ * @param {Object} props.tagColors - User-chosen tag colors.
+ * @param {Function} props.onTagClick - Filters the list by a tag.
+ * @param {Function} props.removeTag - Handler for removing a tag from the task.
+ * @param {Function} props.updateSubtasks - Handler receiving `(id, subtasks, actionName)`.
+ * @param {Array<Object>} props.lists - All lists, for the "Move to" menu.
+ * @param {Function} props.moveTodo - Handler for moving the task to another list.
+ * @param {Function} props.onListDragOver - Reports the list tab under a dragged task (or null).
+ * @param {string} props.searchQuery - Active search term to highlight in the text.
+ * @param {number} props.now - Current time used for relative due labels.
+ * @param {boolean} props.hasCursor - Whether the keyboard cursor is on this task.
+ * @param {boolean} props.editRequested - Opens the editor (keyboard "e"/Enter).
+ * @param {Function} props.onEditRequestHandled - Acknowledges `editRequested`.
+ * @param {Function} props.onKeyboardMove - Moves the task one place: `(id, -1 | 1)`.
+ * @param {boolean} props.reorderable - False in sorted views, where the order is not the user's to change.
  * @param {Object} props.constraintsRef - Reference to the drag boundary container.
  */
-const TodoItem = ({ todo, toggleTodo, deleteTodo, constraintsRef }) => {
+const TodoItem = ({
+  todo,
+  toggleTodo,
+  deleteTodo,
+  editTodo,
+  changePriority,
+  setDueDate,
+  setRecurrence,
+  skipOccurrence,
+  tagColors,
+  onTagClick,
+  removeTag,
+  updateSubtasks,
+  lists,
+  moveTodo,
+  onListDragOver,
+  searchQuery,
+  now,
+  hasCursor,
+  editRequested,
+  onEditRequestHandled,
+  onKeyboardMove,
+  reorderable,
+  constraintsRef,
+}) => {
   // Hook to manually control drag events (used for the drag handle)
   const controls = useDragControls();
 
+  // Inline Editing States
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftText, setDraftText] = useState(todo.text);
+  const editFinishedRef = useRef(false); // Guards against Enter/Escape followed by blur
+  const clickTimerRef = useRef(null); // Defers toggle so a double-click can open the editor
+  const [isEditingDue, setIsEditingDue] = useState(false);
+  const [showSubtasks, setShowSubtasks] = useState(false);
+  const [showRepeat, setShowRepeat] = useState(false);
+  const overdue = isOverdue(todo, now);
+  const steps = subtaskCounts(todo);
+
+  // Cancel any pending toggle when the item unmounts
+  useEffect(() => () => clearTimeout(clickTimerRef.current), []);
+
+  /**
+   * Switches the text span into an editable input seeded with the current text.
+   */
+  const startEditing = () => {
+    clearTimeout(clickTimerRef.current);
+    editFinishedRef.current = false;
+    setDraftText(todo.text);
+    setIsEditing(true);
+  };
+
+  /**
+   * Ends the edit session.
+   * A non-empty draft is committed; an empty one asks whether the task should
+   * be removed instead, otherwise the original text is kept.
+   *
+   * @param {boolean} commit - False to discard the draft (Escape).
+   */
+  const finishEditing = (commit) => {
+    if (editFinishedRef.current) return;
+    editFinishedRef.current = true;
+    setIsEditing(false);
+
+    if (!commit) return;
+    const text = draftText.trim();
+    if (text === '') {
+      if (window.confirm('The task text is empty. Delete this task?')) {
+        deleteTodo(todo.id);
+      }
+      return;
+    }
+    if (text !== todo.text) {
+      editTodo(todo.id, text);
+    }
+  };
+
+  // Keyboard "e"/Enter on the cursor task
+  useEffect(() => {
+    if (!editRequested) return;
+    startEditing();
+    onEditRequestHandled();
+  }, [editRequested]);
+
+  // Keep the cursor task on screen as it moves
+  const itemRef = useRef(null);
+  const handleRef = useRef(null);
+  useEffect(() => {
+    if (hasCursor && itemRef.current && itemRef.current.scrollIntoView) {
+      itemRef.current.scrollIntoView({ block: 'nearest' });
+    }
+  }, [hasCursor]);
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      finishEditing(true);
+    } else if (e.key === 'Escape') {
+      finishEditing(false);
+    }
+  };
+
+  // The text acts as the task's checkbox: Space toggles, Enter or F2 edits
+  const handleTextKeyDown = (e) => {
+    if (e.key === ' ') {
+      e.preventDefault();
+      toggleTodo(todo.id);
+    } else if (e.key === 'Enter' || e.key === 'F2') {
+      e.preventDefault();
+      startEditing();
+    }
+  };
+
+  // Arrow keys on the focused handle move the task; the handle keeps focus
+  const handleHandleKeyDown = (e) => {
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+    e.preventDefault();
+    e.stopPropagation(); // Not a cursor move for the list shortcuts
+    onKeyboardMove(todo.id, e.key === 'ArrowUp' ? -1 : 1);
+    requestAnimationFrame(() => handleRef.current && handleRef.current.focus());
+  };
+
+  // A single click toggles, but only once the browser has ruled out a double-click
+  const handleTextClick = (e) => {
+    if (e.detail > 1) return;
+    clickTimerRef.current = setTimeout(() => toggleTodo(todo.id), 250);
+  };
+
+  // Dropping the task on a list tab moves it there; the row itself still reorders
+  const handleDragEnd = (e, info) => {
+    const targetListId = findListTabAt(info.point);
+    onListDragOver(null);
+    if (targetListId && targetListId !== listIdOf(todo)) {
+      moveTodo(todo.id, targetListId);
+    }
+  };
+
   return (
     <Reorder.Item
+      ref={itemRef}
       value={todo}
       drag="y"
       dragControls={controls}
       dragListener={false} // Disable default drag on the whole item
       dragConstraints={constraintsRef}
       dragElastic={0.1}
+      onDrag={(e, info) => onListDragOver(findListTabAt(info.point))}
+      onDragEnd={handleDragEnd}
       initial={{ scale: 0.8, opacity: 0 }}
       animate={{ scale: 1, opacity: 1 }}
       exit={{ scale: 0.8, opacity: 0 }}
@@ -76,12 +331,19 @@ const TodoItem = ({ todo, toggleTodo, deleteTodo, constraintsRef }) => {
         boxShadow: "0 15px 30px rgba(0,0,0,0.4)",
         zIndex: 10
       }}
-      className={`Todo-item ${todo.completed ? 'completed' : ''} ${todo.priority || 'Medium'}`}
+      className={`Todo-item ${todo.completed ? 'completed' : ''} ${overdue ? 'overdue' : ''} ${showSubtasks ? 'expanded' : ''} ${hasCursor ? 'cursor' : ''} ${todo.priority || 'Medium'}`}
     >
+      {/* Sorted views keep the handle's space but not its function, so rows stay aligned */}
       <div
-        className="Drag-handle"
-        title="Drag to reorder"
-        onPointerDown={(e) => controls.start(e)}
+        ref={handleRef}
+        className={`Drag-handle ${reorderable ? '' : 'disabled'}`}
+        title={reorderable ? 'Drag to reorder (or focus and use the arrow keys)' : 'Switch to Manual or Grouped view to reorder'}
+        role={reorderable ? 'button' : undefined}
+        tabIndex={reorderable ? 0 : undefined}
+        aria-label={reorderable ? `Reorder ${todo.text}. Use the up and down arrow keys to move it.` : undefined}
+        aria-hidden={reorderable ? undefined : true}
+        onPointerDown={reorderable ? (e) => controls.start(e) : undefined}
+        onKeyDown={reorderable ? handleHandleKeyDown : undefined}
         style={{ touchAction: "none" }}
       >
         <div className="Handle-dots">
@@ -91,18 +353,139 @@ const TodoItem = ({ todo, toggleTodo, deleteTodo, constraintsRef }) => {
         </div>
       </div>
       <div className="Todo-item-content">
-        <span
-          onClick={() => toggleTodo(todo.id)}
-          className="Todo-text"
-          title={todo.completed ? "Mark as incomplete" : "Mark as complete"}
+        <button
+          className={`Todo-priority-btn ${todo.priority || 'Medium'}`}
+          onClick={() => changePriority(todo.id)}
+          title={`Change Priority (Current: ${todo.priority || 'Medium'})`}
+          aria-label={`Priority: ${todo.priority || 'Medium'}. Change priority`}
         >
-          {todo.text}
-        </span>
+          <div className="Signal-bars">
+            <span className="Bar bar-1"></span>
+            <span className="Bar bar-2"></span>
+            <span className="Bar bar-3"></span>
+          </div>
+        </button>
+        {isEditing ? (
+          <input
+            type="text"
+            value={draftText}
+            onChange={(e) => setDraftText(e.target.value)}
+            onKeyDown={handleEditKeyDown}
+            onBlur={() => finishEditing(true)}
+            className="Todo-edit-input"
+            title="Enter to save, Escape to cancel"
+            autoFocus
+          />
+        ) : (
+          <span
+            onClick={handleTextClick}
+            onDoubleClick={startEditing}
+            onKeyDown={handleTextKeyDown}
+            tabIndex={0}
+            role="checkbox"
+            aria-checked={todo.completed}
+            className="Todo-text"
+            title={`${todo.completed ? "Mark as incomplete" : "Mark as complete"} (double-click, Enter or F2 to edit)`}
+          >
+            {splitHighlight(todo.text, searchQuery).map((segment, i) => (
+              segment.match
+                ? <mark key={i} className="Search-highlight">{segment.text}</mark>
+                : <React.Fragment key={i}>{segment.text}</React.Fragment>
+            ))}
+          </span>
+        )}
+        {(todo.tags || []).length > 0 && (
+          <div className="Todo-tags">
+            {todo.tags.map((tag) => (
+              <span key={tag} className="Tag-chip" style={{ '--tag-color': tagColor(tag, tagColors) }}>
+                <button className="Tag-chip-label" onClick={() => onTagClick(tag)} title={`Show tasks tagged #${tag}`}>
+                  #{tag}
+                </button>
+                <button
+                  className="Tag-chip-remove"
+                  onClick={() => removeTag(todo.id, tag)}
+                  title={`Remove #${tag} from this task`}
+                  aria-label={`Remove tag ${tag}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+        <button
+          className={`Subtask-badge ${showSubtasks ? 'open' : ''} ${steps.total > 0 && steps.done === steps.total ? 'done' : ''}`}
+          onClick={() => setShowSubtasks(!showSubtasks)}
+          title={steps.total > 0 ? `${steps.done} of ${steps.total} steps done` : 'Add a checklist'}
+          aria-label={steps.total > 0 ? `Checklist: ${steps.done} of ${steps.total} steps done` : 'Add a checklist'}
+          aria-expanded={showSubtasks}
+        >
+          {steps.total > 0 ? `${steps.done}/${steps.total}` : '☰'}
+        </button>
+        {isEditingDue ? (
+          <input
+            type="datetime-local"
+            defaultValue={toDateTimeInputValue(todo.dueAt)}
+            onChange={(e) => setDueDate(todo.id, fromDateTimeInputValue(e.target.value))}
+            onBlur={() => setIsEditingDue(false)}
+            onKeyDown={(e) => (e.key === 'Enter' || e.key === 'Escape') && setIsEditingDue(false)}
+            className="Due-input compact"
+            title="Set a due date (clear the field to remove it)"
+            autoFocus
+          />
+        ) : (
+          <button
+            className={`Due-badge ${todo.dueAt ? 'set' : ''} ${overdue ? 'overdue' : ''}`}
+            onClick={() => setIsEditingDue(true)}
+            title={todo.dueAt ? `Due ${new Date(todo.dueAt).toLocaleString()}` : 'Add a due date'}
+            aria-label={todo.dueAt ? `Due ${new Date(todo.dueAt).toLocaleString()}${overdue ? ', overdue' : ''}. Change due date` : 'Add a due date'}
+          >
+            <span className="Clock-icon"></span>
+            {todo.dueAt && <span className="Due-label">{formatDueLabel(todo.dueAt, now)}</span>}
+          </button>
+        )}
+        <button
+          className={`Repeat-badge ${todo.recurrence ? 'set' : ''}`}
+          onClick={() => setShowRepeat(true)}
+          title={todo.recurrence ? `Repeats ${describeRecurrence(todo.recurrence)}` : 'Make this task repeat'}
+          aria-label={todo.recurrence ? `Repeats ${describeRecurrence(todo.recurrence)}. Change repeat` : 'Make this task repeat'}
+        >
+          ↻{todo.recurrence && <span className="Repeat-label">{describeRecurrence(todo.recurrence)}</span>}
+        </button>
+        {showRepeat && (
+          <RecurrenceDialog
+            todo={todo}
+            onSave={(rule) => {
+              setRecurrence(todo.id, rule);
+              setShowRepeat(false);
+            }}
+            onSkip={() => {
+              skipOccurrence(todo.id);
+              setShowRepeat(false);
+            }}
+            onClose={() => setShowRepeat(false)}
+          />
+        )}
+        {lists.length > 1 && (
+          <select
+            className="Todo-move-select"
+            value=""
+            onChange={(e) => e.target.value && moveTodo(todo.id, e.target.value)}
+            title="Move to another list"
+            aria-label="Move to another list"
+          >
+            <option value="">Move…</option>
+            {lists.filter((list) => list.id !== listIdOf(todo)).map((list) => (
+              <option key={list.id} value={list.id}>{list.name}</option>
+            ))}
+          </select>
+        )}
       </div>
       <button
         onClick={() => deleteTodo(todo.id)}
         className="Todo-delete-btn"
         title="Remove this task"
+        aria-label={`Delete ${todo.text}`}
       >
         <div className="Delete-icon">
           <div className="Trash-lid"></div>
@@ -111,6 +494,12 @@ const TodoItem = ({ todo, toggleTodo, deleteTodo, constraintsRef }) => {
           </div>
         </div>
       </button>
+      {showSubtasks && (
+        <SubtaskList
+          subtasks={subtasksOf(todo)}
+          onChange={(subtasks, action) => updateSubtasks(todo.id, subtasks, action)}
+        />
+      )}
     </Reorder.Item>
   );
 };
@@ -124,22 +513,111 @@ const TodoItem = ({ todo, toggleTodo, deleteTodo, constraintsRef }) => {
 function TodoApp() {
   // --- State Definitions ---
 
-  // Loading Screen States
+  // Loading Screen States: progress, the stage being waited on, and a failed boot (see `boot`)
   const [loading, setLoading] = useState(true);
   const [loadingProgress, setLoadingProgress] = useState(0);
+  const [bootStage, setBootStage] = useState(null);
+  const [bootError, setBootError] = useState(null);
+  const [bootAttempt, setBootAttempt] = useState(0);
 
-  // Data Store: Initializes from localStorage to persist data across reloads
-  const [todos, setTodos] = useState(() => {
-    // Load saved todos from LocalStorage
-    const savedTodos = localStorage.getItem('react-todo-list');
-    return savedTodos ? JSON.parse(savedTodos) : [];
-  });
+  // Data Store: Hydrated asynchronously from storage (IndexedDB or localStorage).
+  // Wrapped in an undo/redo history together with the named lists; every
+  // `setTodos` / `setLists` call names its action.
+  const { todos, lists, setTodos, setLists, setSnapshot, undo, redo, canUndo, canRedo } = useTodoHistory(
+    () => [],
+    () => normalizeLists(storage.loadSetting('lists', null))
+  );
+  const [hydrated, setHydrated] = useState(false);
+  const quarantinedRef = useRef(0); // Number of stored records rejected on load
 
   // Input & Form States
   const [inputValue, setInputValue] = useState('');
   const constraintsRef = useRef(null); // Ref for drag boundaries
   const [priority, setPriority] = useState('Medium');
 
+  // List States: the list on screen and the tab under a dragged task
+  const [activeListId, setActiveListId] = useState(() => storage.loadSetting('active-list', DEFAULT_LIST.id));
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  // View State: how the list is presented (manual order, sorted or grouped by priority)
+  const [viewMode, setViewMode] = useState(() => {
+    const savedMode = storage.loadSetting('view-mode', 'manual');
+    return VIEW_MODES.includes(savedMode) ? savedMode : 'manual';
+  });
+
+  // Filter State: status tab, priority chips, tags and free-text search
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+
+  // Tag States: chosen chip colors, the tag manager dialog and the per-tag stats breakdown
+  const [tagColors, setTagColors] = useState(() => storage.loadSetting('tag-colors', {}));
+  const [showTagManager, setShowTagManager] = useState(false);
+  const [showTagStats, setShowTagStats] = useState(false);
+
+  // Archive States: the history dialog and how long archived tasks are kept (days, null = forever)
+  const [showHistory, setShowHistory] = useState(false);
+  const [retentionDays, setRetentionDays] = useState(() => storage.loadSetting('archive-retention', null));
+
+  // Statistics State: the productivity dashboard dialog
+  const [showStats, setShowStats] = useState(false);
+
+  // Keyboard States: the task under the cursor, a pending edit request and the cheat-sheet
+  const [cursorId, setCursorId] = useState(null);
+  const [editRequestId, setEditRequestId] = useState(null);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const inputRef = useRef(null);
+  const shortcutHandlerRef = useRef(null);
+
+  // Command Palette States: the shared registry, the dialog and recently used command ids
+  const [commandRegistry] = useState(() => {
+    const registry = createCommandRegistry();
+    registry.register('app', []); // Reserves the first slot: children register before the app does
+    return registry;
+  });
+  const [showPalette, setShowPalette] = useState(false);
+  const [recentCommands, setRecentCommands] = useState(() => storage.loadSetting('recent-commands', []));
+
+  // Preferences: sound settings (see `soundSettings`), the theme and accent color (see `themes`) and their dialog
+  const [soundSettings, setSoundSettings] = useState(() =>
+    // Older versions only stored an on/off switch under 'sound'
+    normalizeSoundSettings(storage.loadSetting('sound-settings', null) ?? { enabled: storage.loadSetting('sound', true) })
+  );
+  const [customSoundPack, setCustomSoundPack] = useState(() => restoreSoundPack(storage.loadSetting('custom-sound-pack', null)));
+  const [themeSettings, setThemeSettings] = useState(() =>
+    // Older versions only stored 'dark' or 'light' under 'theme'
+    normalizeThemeSettings(storage.loadSetting('theme-settings', null) ?? { theme: storage.loadSetting('theme', 'system') })
+  );
+  const [showSettings, setShowSettings] = useState(false);
+
+  // Motion States: the animation-intensity setting and the system's reduced-motion preference
+  const [motionSettings, setMotionSettings] = useState(() => normalizeMotionSettings(storage.loadSetting('motion-settings', null)));
+  const [prefersReducedMotion, setPrefersReducedMotion] = useState(() =>
+    Boolean(window.matchMedia && window.matchMedia(REDUCED_MOTION_QUERY).matches)
+  );
+  const motionLevel = resolveMotionLevel(motionSettings.intensity, prefersReducedMotion);
+
+  // Theme States: the system's color scheme and contrast preferences, and the color tokens in effect
+  const [systemScheme, setSystemScheme] = useState(() => ({
+    prefersDark: Boolean(window.matchMedia && window.matchMedia(DARK_SCHEME_QUERY).matches),
+    prefersContrast: Boolean(window.matchMedia && window.matchMedia(MORE_CONTRAST_QUERY).matches),
+  }));
+  const activeTheme = resolveTheme(themeSettings.theme, systemScheme);
+  const palette = useMemo(() => themeTokens(activeTheme, themeSettings.accent), [activeTheme, themeSettings.accent]);
+
+  // Due Date States: optional due date for the next task and a ticking clock for labels
+  const [newDueAt, setNewDueAt] = useState(null);
+  const [showDuePicker, setShowDuePicker] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+
+  // Transient in-app notifications (reminder fallback)
+  const [toasts, setToasts] = useState([]);
+
+  // Screen reader announcement; the id re-announces repeated messages
+  const [announcement, setAnnouncement] = useState(null);
+
+  // Mounted full-screen overlays (callback refs) for focus trapping
+  const [creditsOverlay, setCreditsOverlay] = useState(null);
+  const [celebrationOverlay, setCelebrationOverlay] = useState(null);
+
   // Animation System States (Particles & Shockwaves)
   const [particles, setParticles] = useState([]);
   const [shockwaves, setShockwaves] = useState([]);
@@ -147,24 +625,276 @@ function TodoApp() {
   const [showCelebration, setShowCelebration] = useState(false); // Full-screen victory overlay
   const [showCredits, setShowCredits] = useState(false); // Authorship credits overlay
 
+  // Tracks whether the user has already been told that saving failed
+  const saveFailedRef = useRef(false);
+
   /**
    * Effect: Persistence Sync
    * Listens for changes in the `todos` array and writes the updated state
-   * to browser localStorage.
+   * through the storage layer. Nothing is written before hydration, so the
+   * initial empty list can never overwrite saved data. A failed write
+   * (e.g. full quota) is reported once instead of crashing the app.
+   */
+  useEffect(() => {
+    if (!hydrated) return;
+    storage.persistTodos(todos).then((saved) => {
+      if (!saved && !saveFailedRef.current) {
+        showToast('Storage is full: recent changes are not being saved.');
+      }
+      saveFailedRef.current = !saved;
+    });
+  }, [todos, hydrated]);
+
+  useEffect(() => {
+    storage.saveSetting('view-mode', viewMode);
+  }, [viewMode]);
+
+  useEffect(() => {
+    storage.saveSetting('lists', lists);
+  }, [lists]);
+
+  useEffect(() => {
+    storage.saveSetting('active-list', activeListId);
+  }, [activeListId]);
+
+  useEffect(() => {
+    storage.saveSetting('tag-colors', tagColors);
+  }, [tagColors]);
+
+  useEffect(() => {
+    storage.saveSetting('recent-commands', recentCommands);
+  }, [recentCommands]);
+
+  useEffect(() => {
+    soundEngine.configure(soundSettings);
+    soundEngine.setPack(resolveSoundPack(soundSettings.pack, customSoundPack));
+    storage.saveSetting('sound-settings', soundSettings);
+  }, [soundSettings, customSoundPack]);
+
+  useEffect(() => {
+    storage.saveSetting('custom-sound-pack', customSoundPack);
+  }, [customSoundPack]);
+
+  useEffect(() => {
+    storage.saveSetting('motion-settings', motionSettings);
+  }, [motionSettings]);
+
+  // Follows the system preference while the app is open
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const query = window.matchMedia(REDUCED_MOTION_QUERY);
+    const handleChange = (e) => setPrefersReducedMotion(e.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  // CSS animations read the level from the root element; 'off' also makes every Framer Motion animation instant
+  useEffect(() => {
+    document.documentElement.dataset.motion = motionLevel;
+    MotionGlobalConfig.skipAnimations = motionLevel === 'off';
+  }, [motionLevel]);
+
+  useEffect(() => {
+    storage.saveSetting('theme-settings', themeSettings);
+  }, [themeSettings]);
+
+  // Follows the system color scheme and contrast settings while the app is open
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const darkQuery = window.matchMedia(DARK_SCHEME_QUERY);
+    const contrastQuery = window.matchMedia(MORE_CONTRAST_QUERY);
+    const handleChange = () => setSystemScheme({ prefersDark: darkQuery.matches, prefersContrast: contrastQuery.matches });
+    darkQuery.addEventListener('change', handleChange);
+    contrastQuery.addEventListener('change', handleChange);
+    return () => {
+      darkQuery.removeEventListener('change', handleChange);
+      contrastQuery.removeEventListener('change', handleChange);
+    };
+  }, []);
+
+  /**
+   * Effect: Theme Tokens.
+   * The tokens live on the root element so portalled dialogs pick them up
+   * too, and are set before the first paint so the app never flashes
+   * unstyled. The browser's `theme-color` (title bar, installed app window)
+   * follows the page background; the manifest's `theme_color` only covers
+   * the first launch.
+   */
+  useLayoutEffect(() => {
+    const root = document.documentElement;
+    root.dataset.theme = activeTheme;
+    Object.entries(themeVariables(palette)).forEach(([property, value]) => root.style.setProperty(property, value));
+    const themeColorMeta = document.querySelector('meta[name="theme-color"]');
+    if (themeColorMeta) themeColorMeta.setAttribute('content', palette.bg);
+  }, [activeTheme, palette]);
+
+  /**
+   * Effect: Archive Retention.
+   * Once the list is loaded (and whenever the setting changes), drops
+   * archived tasks older than the retention period. Not an undoable step.
+   */
+  useEffect(() => {
+    storage.saveSetting('archive-retention', retentionDays);
+    if (!hydrated) return;
+    setTodos(prev => pruneArchive(prev, retentionDays, Date.now()), null);
+  }, [hydrated, retentionDays]);
+
+  // A remembered list may have been deleted since; fall back to the default one
+  const activeList = lists.find((list) => list.id === activeListId) || lists[0];
+
+  // Cross-tab sync bookkeeping: the open channel, the tasks and lists as last
+  // exchanged with other tabs, and the stamp of the last applied reorder
+  const syncRef = useRef({ channel: null, lastSynced: [], lastSyncedLists: [], orderStamp: null });
+
+  /**
+   * Effect: Tab Sync Channel.
+   * After hydration, listens for change sets from other tabs and merges them
+   * by id: tasks, and the list metadata in messages of its own. Remote
+   * changes are applied without an undo step, and are mirrored into
+   * `lastSynced` / `lastSyncedLists` so they are not echoed back.
+   */
+  useEffect(() => {
+    if (!hydrated) return;
+    const sync = syncRef.current;
+    sync.lastSynced = todos;
+    sync.lastSyncedLists = lists;
+
+    const channel = createTabChannel((message) => {
+      if (!message) return;
+      if (message.type === 'lists-changed') {
+        // Lists are never dragged, so the sender's order always wins
+        sync.lastSyncedLists = applyRemoteChanges(sync.lastSyncedLists, message.changes, true);
+        setLists(prev => applyRemoteChanges(prev, message.changes, true), null);
+        return;
+      }
+      if (message.type !== 'todos-changed') return;
+      const acceptOrder = message.changes.reordered &&
+        compareStamps(message.stamp, sync.orderStamp) > 0;
+      if (acceptOrder) sync.orderStamp = message.stamp;
+
+      sync.lastSynced = applyRemoteChanges(sync.lastSynced, message.changes, acceptOrder);
+      setTodos(prev => applyRemoteChanges(prev, message.changes, acceptOrder), null);
+    });
+    sync.channel = channel;
+
+    return () => {
+      channel.close();
+      sync.channel = null;
+    };
+  }, [hydrated]);
+
+  /**
+   * Effect: Tab Sync Broadcast.
+   * Sends what changed locally since the last exchange. Reorders carry a
+   * stamp so every tab resolves concurrent drags the same way.
+   */
+  useEffect(() => {
+    const sync = syncRef.current;
+    if (!sync.channel) return;
+    const changes = diffTodos(sync.lastSynced, todos);
+    sync.lastSynced = todos;
+    if (!changes) return;
+
+    const stamp = changes.reordered ? { at: Date.now(), tabId: sync.channel.tabId } : null;
+    if (stamp) sync.orderStamp = stamp;
+    sync.channel.post({ type: 'todos-changed', changes, stamp });
+  }, [todos]);
+
+  /**
+   * Effect: Tab Sync Broadcast (lists).
+   * Sends created, renamed and deleted lists the same way.
+   */
+  useEffect(() => {
+    const sync = syncRef.current;
+    if (!sync.channel) return;
+    const changes = diffTodos(sync.lastSyncedLists, lists);
+    sync.lastSyncedLists = lists;
+    if (changes) sync.channel.post({ type: 'lists-changed', changes });
+  }, [lists]);
+
+  /**
+   * Effect: Quarantine Notice.
+   * Once the app is visible, reports stored records that failed validation.
+   * They are kept under a separate storage key rather than discarded.
+   */
+  useEffect(() => {
+    if (!loading && quarantinedRef.current > 0) {
+      showToast(`${quarantinedRef.current} unreadable saved item(s) were set aside.`);
+      quarantinedRef.current = 0;
+    }
+  }, [loading]);
+
+  /**
+   * Effect: Relative Time Clock.
+   * Refreshes `now` every 30 seconds so "due in" labels and overdue states stay current.
    */
   useEffect(() => {
-    // Sync todos to LocalStorage whenever they change
-    localStorage.setItem('react-todo-list', JSON.stringify(todos));
+    const clock = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(clock);
+  }, []);
+
+  /**
+   * Shows a short-lived toast message at the bottom of the screen.
+   * @param {string} message - Text to display.
+   * @param {{ label: string, onClick: Function }} [action] - Optional inline button (e.g. Undo).
+   */
+  const showToast = (message, action = null) => {
+    const id = Date.now() + Math.random();
+    setToasts(prev => [...prev, { id, message, action }]);
+    setTimeout(() => {
+      setToasts(prev => prev.filter(t => t.id !== id));
+    }, 5000);
+  };
+
+  /**
+   * Reads a message to screen reader users without showing anything.
+   * Toasts are announced on their own (the toast stack is a live region).
+   * @param {string} message
+   */
+  const announce = (message) => {
+    setAnnouncement({ id: Date.now() + Math.random(), message });
+  };
+
+  // The overlays keep focus while open and close on Escape
+  useFocusTrap(creditsOverlay, () => setShowCredits(false));
+  useFocusTrap(celebrationOverlay, () => setShowCelebration(false));
+
+  /**
+   * Effect: Due Date Reminders.
+   * Rebuilds reminder timers from the stored due dates whenever the list changes.
+   * Each task is reminded once; the `reminded` flag is reset when its due date changes.
+   */
+  useEffect(() => {
+    return scheduleReminders(todos, (dueTodo) => {
+      deliverReminder(dueTodo, showToast);
+      setNow(Date.now());
+      setTodos(prev =>
+        prev.map(todo => (todo.id === dueTodo.id ? { ...todo, reminded: true } : todo)),
+        null // Bookkeeping only, not an undoable step
+      );
+    });
   }, [todos]);
 
+  /**
+   * Action: Show Credits.
+   * Opens the authorship overlay (title click, or Enter/Space on the title).
+   */
+  const openCredits = () => {
+    setShowCredits(true);
+    soundEngine.playCredits();
+  };
+
   /**
    * Cinematic Particle System Generator.
    * Creates a burst of visual particles and shockwaves to celebrate achievements.
-   * Triggered when clearing a completed list ("Goal Achieved").
+   * Triggered when clearing a completed list ("Goal Achieved"). The motion
+   * level decides how much of it plays (see `celebrationPlan`).
    */
   const triggerBurst = () => {
+    const plan = celebrationPlan(motionLevel);
+
     // Generate distinct particle objects with randomized vectors and physics properties
-    const newParticles = Array.from({ length: 20 }).map((_, i) => {
+    const newParticles = Array.from({ length: plan.particles }).map((_, i) => {
       const isStreak = Math.random() > 0.6; // Mix of dots and streaks
       return {
         id: Date.now() + i,
@@ -173,31 +903,38 @@ function TodoApp() {
         y: (Math.random() - 0.5) * (isStreak ? 100 : 250),
         rotation: isStreak ? 0 : Math.random() * 360,
         scale: Math.random() * 0.5 + 0.5,
-        color: Math.random() > 0.5 ? '#00ff88' : '#61dafb',
+        color: Math.random() > 0.5 ? palette.success : palette.accent,
         duration: isStreak ? 0.6 : 0.8
       };
     });
 
     // Trigger Shockwave
     const newShockwave = { id: Date.now() };
-    setShockwaves(prev => [...prev, newShockwave]);
+    if (plan.shockwave) setShockwaves(prev => [...prev, newShockwave]);
 
     // Trigger Impact Shake
-    setImpact(true);
-    setTimeout(() => setImpact(false), 300);
+    if (plan.shake) {
+      setImpact(true);
+      setTimeout(() => setImpact(false), 300);
+    }
 
     setParticles(prev => [...prev, ...newParticles]);
 
-    // Start Cinematic Sequence after a tiny delay
-    setTimeout(() => {
-      setShowCelebration(true);
+    if (plan.overlayDuration === 0) {
       soundEngine.playVictory();
-    }, 400);
+      announce('Goal achieved');
+    } else {
+      // Start Cinematic Sequence after a tiny delay
+      setTimeout(() => {
+        setShowCelebration(true);
+        soundEngine.playVictory();
+      }, plan.overlayDelay);
 
-    // Auto-return to list
-    setTimeout(() => {
-      setShowCelebration(false);
-    }, 6500);
+      // Auto-return to list
+      setTimeout(() => {
+        setShowCelebration(false);
+      }, plan.overlayDelay + plan.overlayDuration);
+    }
 
     // Cleanup
     setTimeout(() => {
@@ -210,47 +947,147 @@ function TodoApp() {
   };
 
   /**
-   * Effect: Initial Loading Simulation.
-   * Creates a deterministic progress bar animation on application mount
-   * to simulate a "system boot" sequence.
+   * Effect: Boot Sequence.
+   * Runs the real startup work behind the loading screen (see `boot`): the
+   * stored list is hydrated - the one stage that must succeed - while audio,
+   * fonts and the service worker get ready. The hydrated list replaces the
+   * initial empty one without creating an undo step. The bar follows the
+   * finished stages but never outruns the minimum splash time, which is zero
+   * for returning users and for anyone who skips the intro. A failed boot
+   * shows the error screen, whose "Try again" bumps `bootAttempt`.
    */
   useEffect(() => {
-    // Simulate loading progress
-    const duration = 2500;
-    const intervalTime = 50;
-    const increment = (100 / (duration / intervalTime));
-
+    let cancelled = false;
+    const startedAt = Date.now();
+    const minimum = splashMinimum({
+      returning: storage.loadSetting('last-boot', null) !== null,
+      skipIntro: motionSettings.skipIntro || motionLevel === 'off',
+    });
+    let fraction = 0;
     const progressInterval = setInterval(() => {
-      setLoadingProgress(prev => {
-        if (prev >= 100) {
+      setLoadingProgress(splashProgress(fraction, Date.now() - startedAt, minimum));
+    }, 50);
+
+    runBootStages([
+      { id: 'storage', label: 'Loading your tasks', required: true, run: () => storage.hydrateTodos() },
+      { id: 'audio', label: 'Warming up audio', run: () => soundEngine.warmUp() },
+      { id: 'fonts', label: 'Loading fonts', run: () => document.fonts && document.fonts.ready },
+      { id: 'offline', label: 'Preparing offline mode', run: () => serviceWorkerRegistration.register() },
+    ], (progress) => {
+      fraction = progress.fraction;
+      if (!cancelled) setBootStage(progress.pending);
+    })
+      .then(({ storage: { todos: savedTodos, quarantined } }) => {
+        if (cancelled) return;
+        quarantinedRef.current = quarantined;
+        setTodos(savedTodos, null);
+        setHydrated(true);
+        storage.saveSetting('last-boot', Date.now());
+
+        // Hold the splash for whatever is left of the minimum time
+        const remaining = Math.max(0, minimum - (Date.now() - startedAt));
+        setTimeout(() => {
+          if (cancelled) return;
           clearInterval(progressInterval);
+          setLoadingProgress(100);
           setLoading(false);
-          return 100;
-        }
-        return prev + increment;
+        }, remaining);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        clearInterval(progressInterval);
+        console.error('Startup failed:', error);
+        setBootError(error);
       });
-    }, intervalTime);
 
-    return () => clearInterval(progressInterval);
-  }, []);
+    return () => {
+      cancelled = true;
+      clearInterval(progressInterval);
+    };
+  }, [bootAttempt]);
+
+  /**
+   * Action: Retry Boot.
+   * Runs the boot sequence again from the error screen. A hydration left
+   * pending by a timeout is dropped, so the retry really reads again.
+   */
+  const retryBoot = () => {
+    storage.resetHydration();
+    setBootError(null);
+    setLoadingProgress(0);
+    setBootAttempt(attempt => attempt + 1);
+  };
+
+  /**
+   * Action: Continue Without Saved Tasks.
+   * Opens the app on an empty list when the stored one cannot be loaded.
+   * The list is never marked as hydrated, so nothing is written over the
+   * stored data and other tabs are left alone.
+   */
+  const continueWithoutStorage = () => {
+    storage.resetHydration();
+    setBootError(null);
+    setLoading(false);
+    showToast('Your saved tasks could not be loaded. Changes in this session will not be saved.');
+  };
+
+  /**
+   * Action: Set Aside Damaged List.
+   * Offered when the stored list is damaged (`error.cause.corrupt`): the data
+   * moves to the quarantine key and the boot starts over on an empty list.
+   */
+  const setAsideSavedTodos = () => {
+    storage.setAsideSavedTodos();
+    retryBoot();
+  };
 
   /**
    * Action: Add Todo.
    * Creates a new task object with current timestamp ID and adds it to the list.
+   * The input is read by the quick-add parser: a priority, due date, tags or
+   * repeat rule typed in the text win over the toggle and picker values.
    */
   const addTodo = () => {
-    if (inputValue.trim() === '') return;
+    const parsed = parseQuickAdd(inputValue, new Date());
+    if (parsed.text === '') return;
+    const createdAt = Date.now();
     const newTodo = {
-      id: Date.now(),
-      text: inputValue,
+      id: createdAt,
+      createdAt,
+      text: parsed.text,
+      tags: parsed.tags,
       completed: false,
-      priority: priority,
+      priority: parsed.priority || priority,
+      dueAt: parsed.dueAt !== null ? parsed.dueAt : newDueAt,
+      recurrence: parsed.recurrence,
+      listId: activeList.id,
     };
-    setTodos([newTodo, ...todos]); // Add to top for better feel
+    if (newTodo.dueAt) requestReminderPermission();
+    setTodos([newTodo, ...todos], 'Add'); // Add to top for better feel
     setInputValue('');
+    setNewDueAt(null);
+    setShowDuePicker(false);
     soundEngine.playAdd();
+    announce(`Added ${newTodo.text}`);
   };
 
+  /**
+   * Returns an id newer than every existing numeric id.
+   */
+  const freshId = (list) =>
+    list.reduce((max, todo) => (typeof todo.id === 'number' && todo.id >= max ? todo.id + 1 : max), Date.now());
+
+  /**
+   * Flips the completion of one task in a list. Completing a repeating task
+   * keeps the finished instance and puts its next occurrence in front of it.
+   */
+  const toggleInList = (list, id) =>
+    list.flatMap((todo) => {
+      if (todo.id !== id) return [todo];
+      if (!todo.completed && todo.recurrence) return completeOccurrence(todo, Date.now(), freshId(list));
+      return [withCompletion(todo, !todo.completed, Date.now())];
+    });
+
   /**
    * Action: Toggle Todo Completion.
    * FLips the boolean `completed` state of a specific task.
@@ -259,33 +1096,608 @@ function TodoApp() {
     const todoToToggle = todos.find(t => t.id === id);
     if (todoToToggle) {
       soundEngine.playToggle(!todoToToggle.completed);
+      announce(todoToToggle.completed ? `${todoToToggle.text} marked as not done` : `Completed ${todoToToggle.text}`);
+    }
+    setTodos(toggleInList(todos, id), 'Toggle');
+    if (todoToToggle && !todoToToggle.completed && todoToToggle.recurrence) {
+      showToast(`Next one ${formatDueLabel(nextDueAfter(todoToToggle, Date.now()), Date.now())}`);
+    }
+  };
+
+  /**
+   * Action: Edit Todo.
+   * Replaces the text of a task in place, keeping its id, priority,
+   * completion flag and position in the list. `#tag` markers typed while
+   * editing are added to the task's tags.
+   */
+  const editTodo = (id, newText) => {
+    const { text, tags } = parseTags(newText);
+    setTodos(
+      todos.map((todo) =>
+        todo.id === id
+          ? { ...todo, text: text || todo.text, tags: normalizeTags([...(todo.tags || []), ...tags]) }
+          : todo
+      ),
+      'Edit'
+    );
+  };
+
+  /**
+   * Action: Remove Tag.
+   * Takes a single tag off one task.
+   */
+  const removeTag = (id, tag) => {
+    setTodos(
+      todos.map((todo) =>
+        todo.id === id ? { ...todo, tags: todo.tags.filter((t) => t !== tag) } : todo
+      ),
+      'Untag'
+    );
+  };
+
+  /**
+   * Action: Rename Tag.
+   * Renames a tag on every task in every list, merging it into the target
+   * tag when that already exists. Its color and any active filter follow.
+   */
+  const renameTagEverywhere = (from, to) => {
+    setTodos(renameTag(todos, from, to), 'Rename Tag');
+    setTagColors((prev) => {
+      const { [from]: color, ...rest } = prev;
+      return color && !rest[to] ? { ...rest, [to]: color } : rest;
+    });
+    setFilters((prev) => ({
+      ...prev,
+      tags: normalizeTags(prev.tags.map((tag) => (tag === from ? to : tag))),
+    }));
+  };
+
+  /**
+   * Action: Change Priority.
+   * Cycles an existing task through Low -> Medium -> High.
+   */
+  const changePriority = (id) => {
+    soundEngine.playClick();
+    setTodos(
+      todos.map((todo) =>
+        todo.id === id ? { ...todo, priority: nextPriority(todo.priority || 'Medium') } : todo
+      ),
+      'Priority'
+    );
+  };
+
+  /**
+   * Action: Set Due Date.
+   * Sets or clears (`null`) the due date of a task and re-arms its reminder.
+   */
+  const setDueDate = (id, dueAt) => {
+    if (dueAt) requestReminderPermission();
+    setTodos(
+      todos.map((todo) =>
+        todo.id === id ? { ...todo, dueAt, reminded: false } : todo
+      ),
+      'Due Date'
+    );
+  };
+
+  /**
+   * Action: Update Subtasks.
+   * Stores a task's new checklist. When the last open step is ticked off,
+   * a snackbar offers to complete the task itself.
+   */
+  const updateSubtasks = (id, subtasks, action) => {
+    const parent = todos.find((todo) => todo.id === id);
+    if (!parent) return;
+    setTodos(
+      todos.map((todo) =>
+        todo.id === id ? { ...todo, subtasks } : todo
+      ),
+      action
+    );
+
+    if (action === 'Toggle Step') {
+      const before = subtaskCounts(parent);
+      const after = subtaskCounts({ subtasks });
+      soundEngine.playToggle(after.done > before.done);
+      if (!parent.completed && after.total > 0 && after.done === after.total) {
+        showToast('All steps done', { label: 'Complete task', onClick: () => completeTodo(id) });
+      }
     }
+  };
+
+  /**
+   * Marks a task as completed. Used from snackbars, which may fire after
+   * other changes, so it works on the latest list.
+   */
+  const completeTodo = (id) => {
+    soundEngine.playToggle(true);
+    setTodos(
+      prev => (prev.some((todo) => todo.id === id && !todo.completed) ? toggleInList(prev, id) : prev),
+      'Toggle'
+    );
+  };
+
+  /**
+   * Action: Set Recurrence.
+   * Sets a task's repeat rule, or ends the series with `null`. The task
+   * itself stays either way.
+   */
+  const setRecurrence = (id, recurrence) => {
+    soundEngine.playClick();
     setTodos(
       todos.map((todo) =>
-        todo.id === id ? { ...todo, completed: !todo.completed } : todo
-      )
+        todo.id === id ? { ...todo, recurrence } : todo
+      ),
+      recurrence ? 'Repeat' : 'End Series'
+    );
+  };
+
+  /**
+   * Action: Skip Occurrence.
+   * Moves a repeating task to its next date without completing it.
+   */
+  const skipOccurrence = (id) => {
+    const todo = todos.find((t) => t.id === id);
+    if (!todo || !todo.recurrence) return;
+    const dueAt = nextDueAfter(todo, Math.max(Date.now(), todo.dueAt || 0));
+    setTodos(
+      todos.map((t) =>
+        t.id === id ? { ...t, dueAt, reminded: false } : t
+      ),
+      'Skip'
     );
+    showToast(`Skipped: next one ${formatDueLabel(dueAt, Date.now())}`, { label: 'Undo', onClick: undo });
+  };
+
+  /**
+   * Action: Reorder.
+   * Receives the new order of whichever subset a `Reorder.Group` rendered and
+   * folds it back into the manual order stored in `todos`.
+   */
+  const reorderTodos = (reordered) => {
+    setTodos(mergeReorderedSubset(todos, reordered), 'Reorder');
   };
 
   /**
    * Action: Delete Todo.
-   * Removes a task from the list permanently.
+   * Removes a task from the list. The change can be reverted from the
+   * "Undo" snackbar or with Ctrl/Cmd+Z.
    */
   const deleteTodo = (id) => {
+    const removed = todos.find((todo) => todo.id === id);
     soundEngine.playDelete();
-    setTodos(todos.filter((todo) => todo.id !== id));
+    setTodos(todos.filter((todo) => todo.id !== id), 'Delete');
+    showToast(removed ? `Deleted: ${removed.text}` : 'Task deleted', { label: 'Undo', onClick: undo });
   };
 
+  /**
+   * Action: Clear Finished Tasks.
+   * Moves the completed tasks of the active list into the archive, where the
+   * history view can still show and restore them. Open tasks stay.
+   */
+  const clearTodos = () => {
+    setTodos(archiveCompleted(todos, listTodos, Date.now()), 'Archive');
+    showToast(`${completedTasks} finished task(s) moved to history`, { label: 'Undo', onClick: undo });
+  };
+
+  /**
+   * Action: Restore From History.
+   * Puts an archived task back on its list, still marked as done.
+   */
+  const restoreArchived = (id) => {
+    soundEngine.playAdd();
+    setTodos(todos.map((todo) => (todo.id === id ? restoreTodo(todo) : todo)), 'Restore');
+  };
+
+  /**
+   * Action: Delete From History.
+   * Removes archived tasks permanently (the last step can still be undone).
+   */
+  const deleteArchived = (ids) => {
+    soundEngine.playDelete();
+    setTodos(todos.filter((todo) => !ids.includes(todo.id)), 'Delete');
+  };
+
+  /**
+   * Action: Import Todos.
+   * Imported tasks land in the active list. Merge appends them; replace swaps
+   * out the active list's tasks only. Either way it is a single undoable step.
+   */
+  const importTodos = (imported, mode) => {
+    soundEngine.playAdd();
+    const incoming = imported.map((todo) => ({ ...todo, listId: activeList.id }));
+    const kept = mode === 'replace' ? todos.filter((todo) => !listTodos.includes(todo)) : todos;
+    setTodos([...kept, ...incoming], 'Import');
+  };
+
+  /**
+   * Action: Move Todo.
+   * Reassigns a task to another list (via the item menu or by dropping it on a tab).
+   */
+  const moveTodo = (id, listId) => {
+    const target = lists.find((list) => list.id === listId);
+    if (!target) return;
+    soundEngine.playClick();
+    setTodos(
+      todos.map((todo) =>
+        todo.id === id ? { ...todo, listId } : todo
+      ),
+      'Move'
+    );
+    showToast(`Moved to ${target.name}`, { label: 'Undo', onClick: undo });
+  };
+
+  /**
+   * Action: Switch List.
+   * Shows another list. Filters are reset so the new list is not hidden by a
+   * search typed for the previous one.
+   */
+  const selectList = (listId) => {
+    if (listId === activeList.id) return;
+    soundEngine.playClick();
+    setActiveListId(listId);
+    setFilters(DEFAULT_FILTERS);
+  };
+
+  /**
+   * Action: Create List.
+   * Adds an empty list and switches to it.
+   */
+  const addList = (name) => {
+    const list = createList(name);
+    soundEngine.playAdd();
+    setLists((prev) => [...prev, list], 'Add List');
+    setActiveListId(list.id);
+    setFilters(DEFAULT_FILTERS);
+  };
+
+  /**
+   * Action: Rename List.
+   */
+  const renameList = (listId, name) => {
+    setLists((prev) => prev.map((list) => (list.id === listId ? { ...list, name } : list)), 'Rename List');
+  };
+
+  /**
+   * Action: Delete List.
+   * Removes a list together with its tasks after confirmation, in one undo
+   * step, so the snackbar's Undo (or Ctrl+Z) brings back both. The default
+   * list cannot be deleted.
+   */
+  const deleteList = (listId) => {
+    const list = lists.find((l) => l.id === listId);
+    if (!list || listId === DEFAULT_LIST.id) return;
+    const doomed = todosInList(todos, listId, lists);
+    const question = doomed.length > 0
+      ? `Delete "${list.name}" and its ${doomed.length} task(s)?`
+      : `Delete "${list.name}"?`;
+    if (!window.confirm(question)) return;
+
+    const restore = () => {
+      undo();
+      setActiveListId(listId);
+    };
+
+    soundEngine.playDelete();
+    setSnapshot((snapshot) => ({
+      todos: snapshot.todos.filter((todo) => !doomed.includes(todo)),
+      lists: snapshot.lists.filter((l) => l.id !== listId),
+    }), 'Delete List');
+    setActiveListId(DEFAULT_LIST.id);
+    showToast(`Deleted "${list.name}"`, { label: 'Undo', onClick: restore });
+  };
+
+  /**
+   * Effect: Undo/Redo Shortcuts.
+   * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes. Text fields keep
+   * their native undo behaviour.
+   */
+  useEffect(() => {
+    const handleHistoryKeys = (e) => {
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+      if (!(e.ctrlKey || e.metaKey)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        if (canUndo) soundEngine.playClick();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        if (canRedo) soundEngine.playClick();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleHistoryKeys);
+    return () => window.removeEventListener('keydown', handleHistoryKeys);
+  }, [canUndo, canRedo]);
+
+  /**
+   * Effect: Command Palette Shortcut.
+   * Ctrl/Cmd+K opens (or closes) the palette from anywhere, text fields included.
+   */
+  useEffect(() => {
+    const handlePaletteKey = (e) => {
+      if (loading || showCredits || showCelebration) return;
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'k') return;
+      e.preventDefault();
+      setShowPalette((open) => !open);
+    };
+
+    window.addEventListener('keydown', handlePaletteKey);
+    return () => window.removeEventListener('keydown', handlePaletteKey);
+  }, [loading, showCredits, showCelebration]);
+
+  /**
+   * Renders one drag-and-drop list for the given items.
+   * Grouped view renders one of these per priority section. The priority and
+   * due-date sorts own their order, so dragging is off there: a drop would
+   * otherwise write the sorted order over the manual one.
+   */
+  const reorderable = viewMode === 'manual' || viewMode === 'grouped';
+  const renderTodoGroup = (items, key) => (
+    <Reorder.Group
+      axis="y"
+      values={items}
+      onReorder={reorderable ? reorderTodos : () => { }}
+      className="Todo-list"
+      key={key}
+    >
+      {items.map((todo) => (
+        <TodoItem
+          key={todo.id}
+          todo={todo}
+          toggleTodo={toggleTodo}
+          deleteTodo={deleteTodo}
+          editTodo={editTodo}
+          changePriority={changePriority}
+          setDueDate={setDueDate}
+          setRecurrence={setRecurrence}
+          skipOccurrence={skipOccurrence}
+          tagColors={tagColors}
+          onTagClick={toggleTagFilter}
+          removeTag={removeTag}
+          updateSubtasks={updateSubtasks}
+          lists={lists}
+          moveTodo={moveTodo}
+          onListDragOver={setDropTargetId}
+          searchQuery={filters.query}
+          now={now}
+          hasCursor={todo.id === cursorId}
+          editRequested={todo.id === editRequestId}
+          onEditRequestHandled={() => setEditRequestId(null)}
+          onKeyboardMove={nudgeTodo}
+          reorderable={reorderable}
+          constraintsRef={constraintsRef}
+        />
+      ))}
+    </Reorder.Group>
+  );
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter') {
       addTodo();
     }
   };
 
-  // Derived State Calculations
-  const totalTasks = todos.length;
-  const completedTasks = todos.filter((todo) => todo.completed).length;
-  const progressPercentage = totalTasks === 0 ? 0 : Math.round((completedTasks / totalTasks) * 100);
+  // Derived State Calculations (all scoped to the active list; archived tasks only appear in history)
+  const listTodos = todosInList(activeTodos(todos), activeList.id, lists);
+  const archivedTodos = todosInList(todos.filter(isArchived), activeList.id, lists);
+  const statsTodos = showStats ? todosInList(todos, activeList.id, lists) : []; // History included
+  const totalTasks = listTodos.length;
+  const completedTasks = listTodos.filter((todo) => todo.completed).length;
+  const progressPercentage = listProgress(listTodos); // Counts partially done checklists
+  const filtering = isFilterActive(filters);
+  const visibleTodos = filtering ? filterTodos(listTodos, filters) : listTodos;
+
+  // What the list renders, in order: one group per priority section in grouped view
+  const todoGroups = viewMode === 'grouped'
+    ? groupByPriority(visibleTodos)
+    : [{
+      priority: null,
+      todos: viewMode === 'sorted' ? sortByPriority(visibleTodos)
+        : viewMode === 'due' ? sortByDueDate(visibleTodos)
+          : visibleTodos,
+    }];
+  const orderedTodos = todoGroups.flatMap((group) => group.todos);
+
+  const listTags = collectTags(listTodos);
+  const quickAdd = parseQuickAdd(inputValue, new Date(now));
+
+  /**
+   * Toggles a tag filter on or off (from the toolbar or a task's chip).
+   */
+  const toggleTagFilter = (tag) => {
+    setFilters((prev) => ({
+      ...prev,
+      tags: prev.tags.includes(tag) ? prev.tags.filter((t) => t !== tag) : [...prev.tags, tag],
+    }));
+  };
+
+  /**
+   * Toggles a priority chip in the filter strip on or off.
+   */
+  const togglePriorityFilter = (level) => {
+    setFilters((prev) => ({
+      ...prev,
+      priorities: prev.priorities.includes(level)
+        ? prev.priorities.filter((p) => p !== level)
+        : [...prev.priorities, level],
+    }));
+  };
+
+  /**
+   * Action: Keyboard Shortcut.
+   * Runs the list action bound to a key (see `keyboardShortcuts`). The
+   * cursor only ever points at a task that is currently shown; tasks are
+   * moved within their own group, so sorted views must be switched to
+   * Manual or Grouped first.
+   */
+  const handleListShortcut = (e) => {
+    if (loading || showCredits || showCelebration) return;
+    if (showShortcuts) {
+      if (e.key === 'Escape' || e.key === '?') {
+        e.preventDefault();
+        setShowShortcuts(false);
+      }
+      return;
+    }
+    if (document.querySelector('.Modal-backdrop')) return; // Another dialog owns the keyboard
+
+    const action = shortcutAction(e);
+    if (!action) return;
+    const ids = orderedTodos.map((todo) => todo.id);
+    const current = ids.includes(cursorId) ? cursorId : null;
+
+    if (action === 'next' || action === 'previous') {
+      setCursorId(stepCursor(ids, current, action === 'next' ? 1 : -1));
+    } else if (action === 'focusInput') {
+      inputRef.current?.focus();
+    } else if (action === 'help') {
+      setShowShortcuts(true);
+    } else if (current === null) {
+      return; // The remaining actions need a task under the cursor
+    } else if (action === 'clear') {
+      setCursorId(null);
+    } else if (action === 'toggle') {
+      toggleTodo(current);
+    } else if (action === 'edit') {
+      setEditRequestId(current);
+    } else if (action === 'priority') {
+      changePriority(current);
+    } else if (action === 'delete') {
+      const index = ids.indexOf(current);
+      setCursorId(ids[index + 1] ?? ids[index - 1] ?? null);
+      deleteTodo(current);
+    } else {
+      nudgeTodo(current, action === 'moveUp' ? -1 : 1);
+    }
+    e.preventDefault();
+  };
+
+  /**
+   * Action: Keyboard Move.
+   * Moves a task one place up or down within its rendered group and
+   * announces the new position. Sorted views decide the order themselves,
+   * so there the user is asked to switch to Manual or Grouped first.
+   */
+  const nudgeTodo = (id, delta) => {
+    if (!reorderable) {
+      showToast('Switch to Manual or Grouped view to move tasks');
+      return;
+    }
+    const group = todoGroups.find((g) => g.todos.some((todo) => todo.id === id));
+    const reordered = group && moveInGroup(group.todos, id, delta);
+    if (!reordered) return;
+    reorderTodos(reordered);
+    const order = todoGroups.flatMap((g) => (g === group ? reordered : g.todos));
+    const index = order.findIndex((todo) => todo.id === id);
+    announce(`${order[index].text} moved to position ${index + 1} of ${order.length}`);
+  };
+  shortcutHandlerRef.current = handleListShortcut;
+
+  /**
+   * Action: Jump To Task.
+   * Shows a task wherever it is: switches to its list, clears a filter that
+   * hides it and puts the keyboard cursor on it.
+   */
+  const jumpToTask = (todo) => {
+    const listId = resolveListId(todo, lists);
+    if (listId !== activeList.id) {
+      selectList(listId);
+    } else if (!visibleTodos.some((t) => t.id === todo.id)) {
+      setFilters(DEFAULT_FILTERS);
+    }
+    setCursorId(todo.id);
+  };
+
+  /**
+   * Action: Run Command.
+   * Closes the palette, remembers the command as recently used and runs it.
+   */
+  const runCommand = (command) => {
+    setShowPalette(false);
+    setRecentCommands((prev) => rememberCommand(prev, command.id));
+    command.run();
+  };
+
+  // The app's own palette commands; other features register theirs alongside
+  useCommands(commandRegistry, 'app', [
+    { id: 'new-task', title: 'Add a new task', section: 'Task', keywords: ['create'], run: () => inputRef.current?.focus() },
+    ...(completedTasks > 0
+      ? [{ id: 'clear-finished', title: 'Clear finished tasks', section: 'Task', keywords: ['completed', 'archive'], run: clearTodos }]
+      : []),
+    ...(canUndo ? [{ id: 'undo', title: 'Undo', section: 'Edit', run: undo }] : []),
+    ...(canRedo ? [{ id: 'redo', title: 'Redo', section: 'Edit', run: redo }] : []),
+    ...lists
+      .filter((list) => list.id !== activeList.id)
+      .map((list) => ({ id: `list:${list.id}`, title: `Switch to list: ${list.name}`, section: 'List', run: () => selectList(list.id) })),
+    ...VIEW_MODES
+      .filter((mode) => mode !== viewMode)
+      .map((mode) => ({ id: `view:${mode}`, title: `View: ${VIEW_MODE_LABELS[mode]}`, section: 'View', keywords: ['sort'], run: () => setViewMode(mode) })),
+    {
+      id: 'toggle-sound',
+      title: soundSettings.enabled ? 'Turn sound off' : 'Turn sound on',
+      section: 'Settings',
+      keywords: ['mute', 'audio'],
+      run: () => setSoundSettings({ ...soundSettings, enabled: !soundSettings.enabled }),
+    },
+    ...[...SOUND_PACKS, ...(customSoundPack ? [customSoundPack] : [])]
+      .filter((pack) => pack.id !== resolveSoundPack(soundSettings.pack, customSoundPack).id)
+      .map((pack) => ({
+        id: `sound-pack:${pack.id}`,
+        title: `Sound pack: ${pack.name}`,
+        section: 'Settings',
+        keywords: ['audio', 'theme'],
+        run: () => setSoundSettings({ ...soundSettings, pack: pack.id }),
+      })),
+    ...MOTION_CHOICES
+      .filter(({ id }) => id !== motionSettings.intensity)
+      .map(({ id, label }) => ({
+        id: `motion:${id}`,
+        title: `Animations: ${label}`,
+        section: 'Settings',
+        keywords: ['motion', 'reduced motion', 'performance'],
+        run: () => setMotionSettings({ ...motionSettings, intensity: id }),
+      })),
+    ...THEME_CHOICES
+      .filter(({ id }) => id !== themeSettings.theme)
+      .map(({ id, label }) => ({
+        id: `theme:${id}`,
+        title: `Theme: ${label}`,
+        section: 'Settings',
+        keywords: ['dark mode', 'light mode', 'appearance', 'colors'],
+        run: () => setThemeSettings({ ...themeSettings, theme: id }),
+      })),
+    { id: 'settings', title: 'Open settings', section: 'Settings', keywords: ['preferences', 'volume', 'sound', 'motion', 'theme', 'accent'], run: () => setShowSettings(true) },
+    { id: 'history', title: 'Open history', section: 'View', keywords: ['archive'], run: () => setShowHistory(true) },
+    { id: 'stats', title: 'Show statistics', section: 'View', keywords: ['dashboard', 'streak'], run: () => setShowStats(true) },
+    ...(listTags.length > 0
+      ? [{ id: 'manage-tags', title: 'Manage tags', section: 'View', keywords: ['rename', 'color'], run: () => setShowTagManager(true) }]
+      : []),
+    { id: 'shortcuts', title: 'Show keyboard shortcuts', section: 'Help', keywords: ['keys', 'help'], run: () => setShowShortcuts(true) },
+    { id: 'credits', title: 'Show credits', section: 'Help', keywords: ['about', 'authors'], run: openCredits },
+    ...activeTodos(todos).map((todo) => ({
+      id: `task:${todo.id}`,
+      title: todo.text,
+      section: lists.length > 1 ? (lists.find((list) => list.id === resolveListId(todo, lists)) || DEFAULT_LIST).name : 'Go to task',
+      keywords: (todo.tags || []).map((tag) => `#${tag}`),
+      searchOnly: true,
+      run: () => jumpToTask(todo),
+    })),
+  ]);
+
+  /**
+   * Effect: List Keyboard Shortcuts.
+   * A single listener that always calls the latest handler.
+   */
+  useEffect(() => {
+    const handleKey = (e) => shortcutHandlerRef.current(e);
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, []);
 
   /**
    * Effect: Security & Branding.
@@ -322,6 +1734,30 @@ function TodoApp() {
     return () => window.removeEventListener('keydown', handleKeydown);
   }, []);
 
+  if (bootError) {
+    return (
+      <div className="Loading-screen Boot-error" role="alert">
+        <div className="Loading-content">
+          <img src={logo} className="Loading-logo Boot-error-logo" alt="logo" />
+          <h1 className="Loading-title">Something went wrong</h1>
+          <p className="Boot-error-message">{bootError.message}</p>
+          <p className="Boot-error-hint">Your saved tasks have not been changed.</p>
+          <div className="Boot-error-actions">
+            <button className="Modal-confirm-btn" onClick={retryBoot}>Try again</button>
+            <button className="Clear-all-btn-subtle" onClick={continueWithoutStorage}>
+              Continue without saved tasks
+            </button>
+            {bootError.cause && bootError.cause.corrupt && (
+              <button className="Clear-all-btn-subtle" onClick={setAsideSavedTodos}>
+                Set the damaged list aside and start fresh
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (loading) {
     return (
       <div className="Loading-screen">
@@ -335,6 +1771,7 @@ function TodoApp() {
             />
           </div>
           <p className="Loading-percentage">{Math.round(loadingProgress)}%</p>
+          <p className="Loading-stage" aria-live="polite">{bootStage ? `${bootStage}...` : 'Ready'}</p>
         </div>
         <div className="Loading-footer">
           <p>Created by <a href="https://github.com/Amey-Thakur" target="_blank" rel="noopener noreferrer" className="Author-link">Amey Thakur</a> & <a href="https://github.com/msatmod" target="_blank" rel="noopener noreferrer" className="Author-link">Mega Satish</a></p>
@@ -344,7 +1781,8 @@ function TodoApp() {
     );
   }
 
-  return (
+  // The whole app follows the chosen animation intensity (see `motionSettings`)
+  const app = (
     <div className="TodoApp" onContextMenu={(e) => e.preventDefault()}>
       <motion.header
         initial={{ y: -50, opacity: 0 }}
@@ -355,19 +1793,29 @@ function TodoApp() {
         <motion.h1
           whileHover={{
             scale: 1.05,
-            textShadow: "0 0 15px rgba(97, 218, 251, 0.5)",
-            color: "#61dafb"
+            textShadow: `0 0 15px rgba(${hexToRgb(palette.accent)}, 0.5)`,
+            color: palette.accent
           }}
           whileTap={{ scale: 0.95 }}
-          onClick={() => {
-            setShowCredits(true);
-            soundEngine.playCredits();
-          }}
+          onClick={openCredits}
+          onKeyDown={(e) => (e.key === 'Enter' || e.key === ' ') && (e.preventDefault(), openCredits())}
+          role="button"
+          tabIndex={0}
           style={{ cursor: 'pointer' }}
           title="Click to reveal authorship credits"
         >
           React Todo App
         </motion.h1>
+        <ListSwitcher
+          lists={lists}
+          activeListId={activeList.id}
+          counts={countOpenByList(todos, lists)}
+          dropTargetId={dropTargetId}
+          onSelect={selectList}
+          onCreate={addList}
+          onRename={renameList}
+          onDelete={deleteList}
+        />
       </motion.header>
 
       <AnimatePresence mode="wait">
@@ -377,15 +1825,20 @@ function TodoApp() {
             initial={{ opacity: 0, scale: 1.1, filter: "blur(20px)" }}
             animate={{ opacity: 1, scale: 1, filter: "blur(0px)" }}
             exit={{ opacity: 0, scale: 0.9, filter: "blur(10px)" }}
-            transition={{ duration: 0.8, ease: "easeOut" }}
+            transition={{ ...overlayFade(motionLevel, 0, 0.8), ease: "easeOut" }}
             className="Celebration-overlay Credits-overlay"
             onClick={() => setShowCredits(false)}
+            ref={setCreditsOverlay}
+            role="dialog"
+            aria-modal="true"
+            aria-label="Credits"
+            tabIndex={-1}
           >
             <div className="Celebration-content" onClick={(e) => e.stopPropagation()}>
               <motion.div
                 initial={{ opacity: 0, y: 20 }}
                 animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: 0.3, duration: 1 }}
+                transition={overlayFade(motionLevel, 0.3, 1)}
                 className="Celebration-status-box Credits-box"
               >
                 <div className="Status-line" title="Project classification">SOURCE CODE</div>
@@ -403,7 +1856,7 @@ function TodoApp() {
               <motion.div
                 initial={{ opacity: 0, y: 30 }}
                 animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: 0.6, duration: 1.2 }}
+                transition={overlayFade(motionLevel, 0.6, 1.2)}
                 className="Credits-main"
               >
                 <p className="Credit-label" title="Engineering team information">CREATED BY</p>
@@ -417,7 +1870,7 @@ function TodoApp() {
               <motion.div
                 initial={{ opacity: 0, scale: 0.9 }}
                 animate={{ opacity: 1, scale: 1 }}
-                transition={{ delay: 1, duration: 1 }}
+                transition={overlayFade(motionLevel, 1, 1)}
                 className="Credits-app-name"
                 title="Official Application Title"
               >
@@ -427,18 +1880,18 @@ function TodoApp() {
               <motion.div
                 initial={{ opacity: 0 }}
                 animate={{ opacity: 1 }}
-                transition={{ delay: 1.2, duration: 1.5 }}
+                transition={overlayFade(motionLevel, 1.2, 1.5)}
                 className="Celebration-divider"
               />
 
               <motion.div
                 initial={{ opacity: 0, y: 20 }}
                 animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: 1.5, duration: 1 }}
+                transition={overlayFade(motionLevel, 1.5, 1)}
                 className="Credits-footer-info"
               >
                 <p title="Official Launch Sequence Initiated">June 25, 2022</p>
-                <p style={{ opacity: 0.5, fontSize: '0.8rem', marginTop: '10px' }} title="Return to todo list">Click anywhere to return</p>
+                <p style={{ opacity: 0.5, fontSize: '0.8rem', marginTop: '10px' }} title="Return to todo list">Click anywhere or press Escape to return</p>
               </motion.div>
             </div>
             <div className="Celebration-ambient-glow credits-glow" />
@@ -461,13 +1914,51 @@ function TodoApp() {
               <div className="Todo-stats">
                 <div className="Todo-stats-text">
                   <div className="Stats-left">
-                    <span>{completedTasks} of {totalTasks} tasks completed</span>
+                    <span>
+                      {completedTasks} of {totalTasks} tasks completed
+                      {filtering && (
+                        <span className="Filter-summary" title="Active filter">
+                          {' '}• Showing {visibleTodos.length}: {describeFilters(filters)}
+                        </span>
+                      )}
+                      {listTags.length > 0 && (
+                        <button
+                          className={`Tag-stats-toggle ${showTagStats ? 'open' : ''}`}
+                          onClick={() => setShowTagStats(!showTagStats)}
+                          title="Show completion per tag"
+                          aria-expanded={showTagStats}
+                        >
+                          by tag
+                        </button>
+                      )}
+                      <button
+                        className={`Tag-stats-toggle ${showStats ? 'open' : ''}`}
+                        onClick={() => setShowStats(true)}
+                        title="Show productivity statistics"
+                      >
+                        stats
+                      </button>
+                      <button
+                        className={`Tag-stats-toggle ${showShortcuts ? 'open' : ''}`}
+                        onClick={() => setShowShortcuts(true)}
+                        title="Keyboard shortcuts (?)"
+                      >
+                        shortcuts
+                      </button>
+                      <button
+                        className={`Tag-stats-toggle ${showSettings ? 'open' : ''}`}
+                        onClick={() => setShowSettings(true)}
+                        title="Appearance, sound and motion settings"
+                      >
+                        settings
+                      </button>
+                    </span>
                     {progressPercentage === 100 && totalTasks > 0 && (
                       <div className="Victory-container">
                         <motion.span
                           initial={{ opacity: 0, scale: 0.8, x: -10 }}
                           animate={{ opacity: 1, scale: 1, x: 0 }}
-                          whileHover={{ scale: 1.05, backgroundColor: "rgba(0, 255, 136, 0.2)" }}
+                          whileHover={{ scale: 1.05, backgroundColor: `rgba(${hexToRgb(palette.success)}, 0.2)` }}
                           whileTap={{ scale: 0.95 }}
                           onClick={triggerBurst}
                           className="Victory-badge"
@@ -521,18 +2012,30 @@ function TodoApp() {
                     transition={{ type: "spring", stiffness: 100, damping: 20 }}
                   />
                 </div>
+                {showTagStats && listTags.length > 0 && (
+                  <ul className="Tag-stats">
+                    {tagStats(listTodos).map(({ tag, done, total }) => (
+                      <li key={tag} className="Tag-stats-row" style={{ '--tag-color': tagColor(tag, tagColors) }}>
+                        <button className="Tag-stats-name" onClick={() => toggleTagFilter(tag)} title={`Show tasks tagged #${tag}`}>
+                          #{tag}
+                        </button>
+                        <div className="Tag-stats-bar">
+                          <div className="Tag-stats-fill" style={{ width: `${Math.round((done / total) * 100)}%` }} />
+                        </div>
+                        <span className="Tag-stats-count">{done}/{total}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
 
               <div className="Todo-input-area">
                 <div className="Todo-input-group">
                   <button
                     className={`Priority-toggle ${priority}`}
-                    onClick={() => {
-                      const levels = ['Low', 'Medium', 'High'];
-                      const next = levels[(levels.indexOf(priority) + 1) % levels.length];
-                      setPriority(next);
-                    }}
+                    onClick={() => setPriority(nextPriority(priority))}
                     title={`Change Priority (Current: ${priority})`}
+                    aria-label={`New task priority: ${priority}. Change priority`}
                   >
                     <div className="Signal-bars">
                       <span className="Bar bar-1"></span>
@@ -545,22 +2048,152 @@ function TodoApp() {
                     value={inputValue}
                     onChange={(e) => setInputValue(e.target.value)}
                     onKeyPress={handleKeyPress}
+                    ref={inputRef}
                     placeholder="Add a new task..."
+                    aria-label="New task"
                     className="Todo-input"
-                    title="Enter your task details"
+                    title="Type a task, e.g. 'Pay rent tomorrow 9am !high #home every month'. Prefix a word with \ to keep it literal."
                   />
-                  <button onClick={addTodo} className="Todo-add-btn" title="Add Task">
+                  <button
+                    className={`Due-toggle ${newDueAt ? 'set' : ''} ${showDuePicker ? 'open' : ''}`}
+                    onClick={() => setShowDuePicker(!showDuePicker)}
+                    title={newDueAt ? `Due ${new Date(newDueAt).toLocaleString()}` : 'Set a due date'}
+                    aria-label={newDueAt ? `New task due ${new Date(newDueAt).toLocaleString()}. Change due date` : 'Set a due date'}
+                    aria-expanded={showDuePicker}
+                  >
+                    <span className="Clock-icon"></span>
+                  </button>
+                  <button onClick={addTodo} className="Todo-add-btn" title="Add Task" aria-label="Add task">
                     <div className="Plus-icon">
                       <div className="Plus-line horizontal"></div>
                       <div className="Plus-line vertical"></div>
                     </div>
                   </button>
                 </div>
+                {hasParsedFields(quickAdd) && (
+                  <div className="Quick-add-preview" aria-live="polite" title="Read from your text; press Enter to add">
+                    <span className="Quick-add-text">{quickAdd.text || '…'}</span>
+                    {quickAdd.dueAt !== null && (
+                      <span className="Quick-add-field due">
+                        <span className="Clock-icon"></span>
+                        {new Date(quickAdd.dueAt).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                      </span>
+                    )}
+                    {quickAdd.priority && (
+                      <span className={`Quick-add-field priority ${quickAdd.priority}`}>{quickAdd.priority}</span>
+                    )}
+                    {quickAdd.recurrence && (
+                      <span className="Quick-add-field repeat">↻ {describeRecurrence(quickAdd.recurrence)}</span>
+                    )}
+                    {quickAdd.tags.map((tag) => (
+                      <span key={tag} className="Tag-chip" style={{ '--tag-color': tagColor(tag, tagColors) }}>#{tag}</span>
+                    ))}
+                  </div>
+                )}
+                {showDuePicker && (
+                  <div className="Due-picker">
+                    <label htmlFor="new-todo-due">Due</label>
+                    <input
+                      id="new-todo-due"
+                      type="datetime-local"
+                      value={toDateTimeInputValue(newDueAt)}
+                      onChange={(e) => {
+                        requestReminderPermission();
+                        setNewDueAt(fromDateTimeInputValue(e.target.value));
+                      }}
+                      className="Due-input"
+                      title="Due date for the next task"
+                    />
+                    {newDueAt && (
+                      <button className="Filter-clear-btn" onClick={() => setNewDueAt(null)} title="Remove due date">
+                        Clear
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              <div className="Todo-toolbar">
+                <div className="Filter-bar">
+                  <div className="Filter-tabs" title="Filter by completion state">
+                    {STATUS_FILTERS.map((status) => (
+                      <button
+                        key={status}
+                        className={`Filter-tab ${filters.status === status ? 'active' : ''}`}
+                        onClick={() => setFilters((prev) => ({ ...prev, status }))}
+                        title={`Show ${STATUS_FILTER_LABELS[status].toLowerCase()} tasks`}
+                      >
+                        {STATUS_FILTER_LABELS[status]}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="Filter-chips" title="Filter by priority">
+                    {[...PRIORITY_LEVELS].reverse().map((level) => (
+                      <button
+                        key={level}
+                        className={`Filter-chip ${level} ${filters.priorities.includes(level) ? 'active' : ''}`}
+                        onClick={() => togglePriorityFilter(level)}
+                        title={`Show ${level} priority tasks`}
+                      >
+                        {level}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {(listTags.length > 0 || filters.tags.length > 0) && (
+                  <div className="Tag-filter-bar" title="Filter by tag">
+                    {normalizeTags([...listTags, ...filters.tags]).map((tag) => (
+                      <button
+                        key={tag}
+                        className={`Tag-chip Tag-filter-chip ${filters.tags.includes(tag) ? 'active' : ''}`}
+                        style={{ '--tag-color': tagColor(tag, tagColors) }}
+                        onClick={() => toggleTagFilter(tag)}
+                        title={`Show tasks tagged #${tag}`}
+                      >
+                        #{tag}
+                      </button>
+                    ))}
+                    <button className="Filter-clear-btn" onClick={() => setShowTagManager(true)} title="Rename, recolor or merge tags">
+                      Manage
+                    </button>
+                  </div>
+                )}
+                <div className="Search-box">
+                  <input
+                    type="search"
+                    value={filters.query}
+                    onChange={(e) => setFilters((prev) => ({ ...prev, query: e.target.value }))}
+                    placeholder="Search tasks..."
+                    className="Search-input"
+                    title="Type to filter tasks by text"
+                  />
+                  {filtering && (
+                    <button
+                      className="Filter-clear-btn"
+                      onClick={() => setFilters(DEFAULT_FILTERS)}
+                      title="Clear all filters"
+                    >
+                      Reset
+                    </button>
+                  )}
+                </div>
+                <div className="View-mode-selector" title="Choose how tasks are arranged">
+                  {VIEW_MODES.map((mode) => (
+                    <button
+                      key={mode}
+                      className={`View-mode-btn ${viewMode === mode ? 'active' : ''}`}
+                      onClick={() => setViewMode(mode)}
+                      title={`View: ${VIEW_MODE_LABELS[mode]}`}
+                    >
+                      {VIEW_MODE_LABELS[mode]}
+                    </button>
+                  ))}
+                </div>
               </div>
 
               <div className="Todo-list-wrapper">
                 <AnimatePresence mode="wait">
-                  {todos.length === 0 ? (
+                  {listTodos.length === 0 ? (
                     <motion.div
                       key="empty-state"
                       initial={{ opacity: 0, scale: 0.8 }}
@@ -580,43 +2213,111 @@ function TodoApp() {
                       <h3>All caught up!</h3>
                       <p>Time to relax or add a new task to get started.</p>
                     </motion.div>
-                  ) : (
-                    <Reorder.Group
-                      axis="y"
-                      values={todos}
-                      onReorder={setTodos}
-                      className="Todo-list"
-                      key="todo-list-group"
+                  ) : visibleTodos.length === 0 ? (
+                    <motion.div
+                      key="filter-empty-state"
+                      initial={{ opacity: 0 }}
+                      animate={{ opacity: 1 }}
+                      exit={{ opacity: 0 }}
+                      className="Empty-state Filter-empty"
                     >
-                      {todos.map((todo) => (
-                        <TodoItem
-                          key={todo.id}
-                          todo={todo}
-                          toggleTodo={toggleTodo}
-                          deleteTodo={deleteTodo}
-                          constraintsRef={constraintsRef}
-                        />
+                      <h3>No matching tasks</h3>
+                      <p>Nothing fits the current filter. Try another tab or clear the search.</p>
+                    </motion.div>
+                  ) : viewMode === 'grouped' ? (
+                    <div className="Todo-groups" key="todo-list-grouped">
+                      {todoGroups.map((group) => (
+                        <section key={group.priority} className={`Todo-group ${group.priority}`}>
+                          <h4 className="Todo-group-title">
+                            {group.priority} Priority <span className="Todo-group-count">{group.todos.length}</span>
+                          </h4>
+                          {renderTodoGroup(group.todos, `todo-group-${group.priority}`)}
+                        </section>
                       ))}
-                    </Reorder.Group>
+                    </div>
+                  ) : (
+                    renderTodoGroup(todoGroups[0].todos, 'todo-list-group')
                   )}
                 </AnimatePresence>
               </div>
 
-              {progressPercentage === 100 && totalTasks > 0 && (
+              <TransferMenu todos={listTodos} allTodos={todos} onImport={importTodos} onMessage={showToast} commandRegistry={commandRegistry} />
+              <TagManager
+                open={showTagManager}
+                stats={tagStats(todos)}
+                colors={tagColors}
+                onRename={renameTagEverywhere}
+                onRecolor={(tag, color) => setTagColors((prev) => ({ ...prev, [tag]: color }))}
+                onClose={() => setShowTagManager(false)}
+              />
+
+              {(completedTasks > 0 || archivedTodos.length > 0) && (
                 <motion.div
                   initial={{ opacity: 0 }}
                   animate={{ opacity: 1 }}
                   className="Clear-finished-container"
                 >
-                  <button
-                    className="Clear-all-btn-subtle"
-                    onClick={() => setTodos([])}
-                    title="Remove all tasks and reset list"
-                  >
-                    Clear Finished Tasks
-                  </button>
+                  {completedTasks > 0 && (
+                    <button
+                      className="Clear-all-btn-subtle"
+                      onClick={clearTodos}
+                      title="Move completed tasks to the history"
+                    >
+                      Clear Finished Tasks
+                    </button>
+                  )}
+                  {archivedTodos.length > 0 && (
+                    <button
+                      className="Clear-all-btn-subtle"
+                      onClick={() => setShowHistory(true)}
+                      title="Browse, restore or delete finished tasks"
+                    >
+                      History ({archivedTodos.length})
+                    </button>
+                  )}
                 </motion.div>
               )}
+              <HistoryPanel
+                open={showHistory}
+                archived={archivedTodos}
+                retentionDays={retentionDays}
+                now={now}
+                onRestore={restoreArchived}
+                onDelete={deleteArchived}
+                onRetentionChange={setRetentionDays}
+                onClose={() => setShowHistory(false)}
+              />
+              <StatsPanel
+                open={showStats}
+                listTodos={statsTodos}
+                allTodos={todos}
+                listName={activeList.name}
+                now={now}
+                onClose={() => setShowStats(false)}
+              />
+              <ShortcutSheet open={showShortcuts} onClose={() => setShowShortcuts(false)} />
+              <SettingsPanel
+                open={showSettings}
+                sound={soundSettings}
+                onSoundChange={setSoundSettings}
+                customPack={customSoundPack}
+                onCustomPack={(pack) => {
+                  setCustomSoundPack(pack);
+                  setSoundSettings({ ...soundSettings, pack: pack.id });
+                }}
+                motion={motionSettings}
+                onMotionChange={setMotionSettings}
+                theme={themeSettings}
+                onThemeChange={setThemeSettings}
+                onClose={() => setShowSettings(false)}
+              />
+              <CommandPalette
+                open={showPalette}
+                registry={commandRegistry}
+                recents={recentCommands}
+                onRun={runCommand}
+                onClose={() => setShowPalette(false)}
+              />
             </motion.div>
 
             <motion.footer
@@ -635,14 +2336,19 @@ function TodoApp() {
             initial={{ opacity: 0, scale: 1.1, filter: "blur(20px)" }}
             animate={{ opacity: 1, scale: 1, filter: "blur(0px)" }}
             exit={{ opacity: 0, scale: 0.9, filter: "blur(10px)" }}
-            transition={{ duration: 0.8, ease: "easeOut" }}
+            transition={{ ...overlayFade(motionLevel, 0, 0.8), ease: "easeOut" }}
             className="Celebration-overlay"
+            ref={setCelebrationOverlay}
+            role="dialog"
+            aria-modal="true"
+            aria-label="Goal achieved"
+            tabIndex={-1}
           >
             <div className="Celebration-content">
               <motion.div
                 initial={{ opacity: 0, y: 20 }}
                 animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: 0.5, duration: 1 }}
+                transition={overlayFade(motionLevel, 0.5, 1)}
                 className="Celebration-status-box"
                 title="Mission Status Report"
               >
@@ -653,7 +2359,7 @@ function TodoApp() {
               <motion.h2
                 initial={{ opacity: 0, y: 30 }}
                 animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: 1, duration: 1.2 }}
+                transition={overlayFade(motionLevel, 1, 1.2)}
                 className="Celebration-title"
               >
                 GOAL ACHIEVED
@@ -662,14 +2368,14 @@ function TodoApp() {
               <motion.div
                 initial={{ opacity: 0 }}
                 animate={{ opacity: 1 }}
-                transition={{ delay: 2, duration: 1.5 }}
+                transition={overlayFade(motionLevel, 2, 1.5)}
                 className="Celebration-divider"
               />
 
               <motion.div
                 initial={{ opacity: 0, y: 20 }}
                 animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: 2.2, duration: 1 }}
+                transition={overlayFade(motionLevel, 2.2, 1)}
                 className="Celebration-credits"
                 title="The Team behind the build"
               >
@@ -685,8 +2391,48 @@ function TodoApp() {
           </motion.div>
         )}
       </AnimatePresence>
+
+      <div className="Sr-only" role="status" aria-live="polite">
+        {announcement && <span key={announcement.id}>{announcement.message}</span>}
+      </div>
+
+      <div className="Toast-stack" aria-live="polite">
+        <AnimatePresence>
+          {toasts.map(toast => (
+            <motion.div
+              key={toast.id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: 20 }}
+              className="Toast"
+              onClick={() => setToasts(prev => prev.filter(t => t.id !== toast.id))}
+              title="Dismiss"
+            >
+              {toast.message}
+              {toast.action && (
+                <button
+                  className="Toast-action"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    toast.action.onClick();
+                    setToasts(prev => prev.filter(t => t.id !== toast.id));
+                  }}
+                >
+                  {toast.action.label}
+                </button>
+              )}
+            </motion.div>
+          ))}
+        </AnimatePresence>
+      </div>
     </div>
   );
+
+  return (
+    <MotionConfig reducedMotion={motionLevel === 'full' ? 'never' : 'always'}>
+      {app}
+    </MotionConfig>
+  );
 }
 
 export default TodoApp;
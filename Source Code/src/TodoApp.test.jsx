@@ -15,11 +15,12 @@
  *
  * File Overview:
  * Contains unit tests for the TodoApp component using React Testing Library.
- * Currently implements a smoke test to verify the application title renders correctly.
+ * Implements a smoke test to verify the application title renders correctly,
+ * and checks where drag reordering is offered.
  *
  */
 
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import TodoApp from './TodoApp';
 
 /**
@@ -32,3 +33,27 @@ test('renders todo app title', () => {
   const titleElement = screen.getByText(/React Todo App/i);
   expect(titleElement).toBeInTheDocument();
 });
+
+/**
+ * Sorted views compute their order, so their drag handles are switched off
+ * (a drop would otherwise overwrite the manual order).
+ */
+test('only offers drag reordering where the order is the user\'s', async () => {
+  localStorage.setItem('react-todo-last-boot', JSON.stringify(Date.now())); // Returning user: no splash minimum
+  localStorage.setItem('react-todo-sound-settings', JSON.stringify({ enabled: false })); // No Web Audio in jsdom
+  render(<TodoApp />);
+  const input = await screen.findByPlaceholderText(/add/i, {}, { timeout: 4000 });
+  fireEvent.change(input, { target: { value: 'Pay rent' } });
+  fireEvent.keyPress(input, { key: 'Enter', charCode: 13 });
+
+  // The list swaps in with an exit animation, hence waitFor/findBy
+  expect(await screen.findByRole('button', { name: /^Reorder Pay rent/ })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'By Priority' }));
+  await waitFor(() => expect(screen.queryByRole('button', { name: /^Reorder Pay rent/ })).not.toBeInTheDocument());
+  expect(screen.getByText('Pay rent')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'By Due Date' }));
+  await waitFor(() => expect(screen.getByRole('button', { name: 'By Due Date' })).toHaveClass('active'));
+  expect(screen.queryByRole('button', { name: /^Reorder Pay rent/ })).not.toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Manual' }));
+  expect(await screen.findByRole('button', { name: /^Reorder Pay rent/ })).toBeInTheDocument();
+});
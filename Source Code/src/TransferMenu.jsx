@@ -0,0 +1,234 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: TransferMenu.jsx
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The export/import controls shown under the task list. Export downloads the
+ * current list as JSON, CSV or Markdown. Import reads a file, shows a preview
+ * with duplicates flagged, and lets the user merge or replace.
+ *
+ * The parsing and serialization rules live in `todoTransfer.js`; this
+ * component only handles files, downloads and the preview dialog.
+ *
+ */
+
+import React, { useState, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  EXPORT_TYPES,
+  exportTodos,
+  parseImport,
+  markDuplicates,
+  materializeImport,
+} from './todoTransfer';
+import { useCommands } from './CommandPalette';
+
+/**
+ * Triggers a browser download of a text file.
+ * @param {string} content - File contents.
+ * @param {string} filename
+ * @param {string} mime - MIME type.
+ */
+const downloadFile = (content, filename, mime) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Export/Import menu with an import preview dialog.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.todos - The current list.
+ * @param {Array<Object>} props.allTodos - Every stored task (all lists, archived
+ *   ones included). Imported tasks get ids none of them uses, whatever the mode.
+ * @param {Function} props.onImport - Called with `(todos, mode)`, mode being 'merge' or 'replace'.
+ * @param {Function} props.onMessage - Reports success or failure to the user (toast).
+ * @param {Object} props.commandRegistry - Receives the export and import palette commands.
+ */
+const TransferMenu = ({ todos, allTodos, onImport, onMessage, commandRegistry }) => {
+  const [showExport, setShowExport] = useState(false);
+  const [preview, setPreview] = useState(null); // { filename, format, items }
+  const [mode, setMode] = useState('merge');
+  const fileInputRef = useRef(null);
+
+  const handleExport = (type) => {
+    const { extension, mime } = EXPORT_TYPES[type];
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(exportTodos(todos, type), `todos-${date}.${extension}`, mime);
+    setShowExport(false);
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file) return;
+
+    file.text().then((text) => {
+      const { format, items } = parseImport(text);
+      if (items.length === 0) {
+        onMessage(`No tasks found in ${file.name}.`);
+        return;
+      }
+      setMode('merge');
+      setPreview({ filename: file.name, format, items: markDuplicates(items, todos) });
+    }).catch((error) => {
+      onMessage(`Could not import ${file.name}: ${error.message}`);
+    });
+  };
+
+  const confirmImport = () => {
+    const drafts = mode === 'merge' ? preview.items.filter((item) => !item.duplicate) : preview.items;
+    const imported = materializeImport(drafts, allTodos);
+    onImport(imported, mode);
+    onMessage(`Imported ${imported.length} task(s) from ${preview.filename}.`);
+    setPreview(null);
+  };
+
+  useCommands(commandRegistry, 'transfer', [
+    ...(todos.length > 0
+      ? Object.entries(EXPORT_TYPES).map(([type, { label }]) => ({
+        id: `export-${type}`,
+        title: `Export list as ${label}`,
+        section: 'Export',
+        keywords: ['download', 'save'],
+        run: () => handleExport(type),
+      }))
+      : []),
+    {
+      id: 'import',
+      title: 'Import tasks from a file',
+      section: 'Import',
+      keywords: ['upload', 'open', 'load'],
+      run: () => fileInputRef.current.click(),
+    },
+  ]);
+
+  const duplicateCount = preview ? preview.items.filter((item) => item.duplicate).length : 0;
+
+  return (
+    <div className="Transfer-menu">
+      <div className="Transfer-actions">
+        <button
+          className="Clear-all-btn-subtle"
+          onClick={() => setShowExport(!showExport)}
+          disabled={todos.length === 0}
+          title="Download the task list"
+        >
+          Export
+        </button>
+        <button
+          className="Clear-all-btn-subtle"
+          onClick={() => fileInputRef.current.click()}
+          title="Import tasks from JSON, CSV, Markdown or plain text"
+        >
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.csv,.md,.markdown,.txt,application/json,text/csv,text/markdown,text/plain"
+          onChange={handleFile}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      {showExport && (
+        <div className="Export-options">
+          {Object.entries(EXPORT_TYPES).map(([type, { label }]) => (
+            <button
+              key={type}
+              className="Filter-tab"
+              onClick={() => handleExport(type)}
+              title={`Download as ${label}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Portalled so the fixed backdrop is not trapped by the card's transforms */}
+      {createPortal(
+        <AnimatePresence>
+          {preview && (
+            <motion.div
+              key="import-preview"
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="Modal-backdrop"
+              onClick={() => setPreview(null)}
+            >
+              <motion.div
+                initial={{ scale: 0.95, y: 10 }}
+                animate={{ scale: 1, y: 0 }}
+                className="Modal-panel"
+                onClick={(e) => e.stopPropagation()}
+                role="dialog"
+                aria-label="Import preview"
+              >
+                <h3 className="Modal-title">Import Preview</h3>
+                <p className="Modal-subtitle">
+                  {preview.items.length} task(s) from {preview.filename} ({preview.format.toUpperCase()})
+                  {duplicateCount > 0 && ` • ${duplicateCount} duplicate(s)`}
+                </p>
+
+                <ul className="Import-preview-list">
+                  {preview.items.map((item, i) => (
+                    <li
+                      key={i}
+                      className={`Import-preview-item ${item.priority} ${item.duplicate ? 'duplicate' : ''} ${item.completed ? 'completed' : ''}`}
+                      title={item.duplicate ? 'A task with this text already exists' : ''}
+                    >
+                      <span className="Import-preview-text">{item.text}</span>
+                      {item.duplicate && <span className="Import-duplicate-tag">duplicate</span>}
+                    </li>
+                  ))}
+                </ul>
+
+                <div className="Import-mode" role="radiogroup" aria-label="Import mode">
+                  <label>
+                    <input type="radio" name="import-mode" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                    Merge (skip duplicates)
+                  </label>
+                  <label>
+                    <input type="radio" name="import-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                    Replace current list
+                  </label>
+                </div>
+
+                <div className="Modal-actions">
+                  <button className="Clear-all-btn-subtle" onClick={() => setPreview(null)}>Cancel</button>
+                  <button className="Modal-confirm-btn" onClick={confirmImport}>
+                    {mode === 'merge' ? `Add ${preview.items.length - duplicateCount}` : `Replace with ${preview.items.length}`}
+                  </button>
+                </div>
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>,
+        document.body
+      )}
+    </div>
+  );
+};
+
+export default TransferMenu;
@@ -0,0 +1,60 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: TransferMenu.test.jsx
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for importing through the export/import menu.
+ *
+ */
+
+import { render, screen, fireEvent } from '@testing-library/react';
+import TransferMenu from './TransferMenu';
+
+const registry = { register: () => { }, unregister: () => { } };
+
+test('imported ids avoid tasks in other lists and the archive, in both modes', async () => {
+  // Ids from now on are taken elsewhere, which is where fresh ids start
+  const now = Date.now();
+  const elsewhere = Array.from({ length: 5000 }, (_, i) => ({
+    id: now + i,
+    text: `task ${i}`,
+    listId: 'other',
+    archivedAt: i % 2 ? now : undefined,
+  }));
+  const takenIds = new Set(elsewhere.map((todo) => todo.id));
+
+  for (const mode of ['merge', 'replace']) {
+    const imports = [];
+    const { container, unmount } = render(
+      <TransferMenu
+        todos={[]}
+        allTodos={elsewhere}
+        onImport={(todos, importMode) => imports.push({ todos, importMode })}
+        onMessage={() => { }}
+        commandRegistry={registry}
+      />
+    );
+    const file = { name: 'tasks.txt', text: () => Promise.resolve('Buy milk\nCall mom') };
+    fireEvent.change(container.querySelector('input[type="file"]'), { target: { files: [file] } });
+    await screen.findByRole('dialog', { name: 'Import preview' });
+    if (mode === 'replace') fireEvent.click(screen.getByLabelText('Replace current list'));
+    fireEvent.click(screen.getByRole('button', { name: mode === 'merge' ? 'Add 2' : 'Replace with 2' }));
+
+    expect(imports).toHaveLength(1);
+    expect(imports[0].importMode).toBe(mode);
+    expect(imports[0].todos.map((todo) => todo.text)).toEqual(['Buy milk', 'Call mom']);
+    expect(imports[0].todos.filter((todo) => takenIds.has(todo.id))).toEqual([]);
+    unmount();
+  }
+});
@@ -0,0 +1,117 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: archive.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The archive of finished tasks. Completing a task stamps `completedAt`;
+ * "Clear Finished Tasks" stamps `archivedAt` instead of deleting. Archived
+ * tasks stay in the same `todos` array (so storage, undo and tab sync keep
+ * working unchanged) but are hidden from the list and shown in the history
+ * view. A retention setting prunes old entries.
+ *
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Retention choices offered in the history view (days; null keeps everything). */
+export const RETENTION_OPTIONS = [
+  { days: null, label: 'Forever' },
+  { days: 7, label: '1 week' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+];
+
+/**
+ * Whether a task has been moved to the archive.
+ * @param {Object} todo
+ * @returns {boolean}
+ */
+export const isArchived = (todo) => typeof todo.archivedAt === 'number';
+
+/**
+ * The tasks still on the list (not archived).
+ * @param {Array<Object>} todos
+ * @returns {Array<Object>}
+ */
+export const activeTodos = (todos) => todos.filter((todo) => !isArchived(todo));
+
+/**
+ * Sets or clears the completion timestamp to match a new `completed` value.
+ * @param {Object} todo
+ * @param {boolean} completed
+ * @param {number} now
+ * @returns {Object}
+ */
+export const withCompletion = (todo, completed, now) => {
+  if (completed) return { ...todo, completed: true, completedAt: todo.completedAt || now };
+  const { completedAt, ...rest } = todo;
+  return { ...rest, completed: false };
+};
+
+/**
+ * Archives the completed tasks among `candidates`.
+ * @param {Array<Object>} todos - The full list.
+ * @param {Array<Object>} candidates - The tasks eligible for archiving (e.g. the active list).
+ * @param {number} now
+ * @returns {Array<Object>}
+ */
+export const archiveCompleted = (todos, candidates, now) =>
+  todos.map((todo) =>
+    todo.completed && !isArchived(todo) && candidates.includes(todo)
+      ? { ...todo, archivedAt: now, completedAt: todo.completedAt || now }
+      : todo
+  );
+
+/**
+ * Puts an archived task back on its list (still completed).
+ * @param {Object} todo
+ * @returns {Object}
+ */
+export const restoreTodo = (todo) => {
+  const { archivedAt, ...rest } = todo;
+  return rest;
+};
+
+/**
+ * Groups archived tasks by the local day they were completed, newest first.
+ * @param {Array<Object>} archived
+ * @returns {Array<{ day: number, todos: Array<Object> }>} `day` is local midnight.
+ */
+export const groupByDay = (archived) => {
+  const groups = new Map();
+  [...archived]
+    .sort((a, b) => (b.completedAt || b.archivedAt) - (a.completedAt || a.archivedAt))
+    .forEach((todo) => {
+      const date = new Date(todo.completedAt || todo.archivedAt);
+      const day = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+      if (!groups.has(day)) groups.set(day, []);
+      groups.get(day).push(todo);
+    });
+  return [...groups.entries()].map(([day, todos]) => ({ day, todos }));
+};
+
+/**
+ * Drops archived tasks older than the retention period.
+ * @param {Array<Object>} todos
+ * @param {number|null} retentionDays - null keeps everything.
+ * @param {number} now
+ * @returns {Array<Object>} The same array when nothing expired.
+ */
+export const pruneArchive = (todos, retentionDays, now) => {
+  if (!retentionDays) return todos;
+  const cutoff = now - retentionDays * DAY_MS;
+  const kept = todos.filter((todo) => !isArchived(todo) || todo.archivedAt >= cutoff);
+  return kept.length === todos.length ? todos : kept;
+};
@@ -0,0 +1,55 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: archive.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for archiving finished tasks, the day-grouped history and retention.
+ *
+ */
+
+import { archiveCompleted, activeTodos, groupByDay, pruneArchive, restoreTodo } from './archive';
+
+const NOW = new Date(2024, 0, 10, 18).getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+test('archives only the completed tasks of the given candidates', () => {
+  const todos = [
+    { id: 1, text: 'Done here', completed: true },
+    { id: 2, text: 'Open here', completed: false },
+    { id: 3, text: 'Done elsewhere', completed: true },
+  ];
+  const archived = archiveCompleted(todos, todos.slice(0, 2), NOW);
+  expect(archived[0]).toMatchObject({ archivedAt: NOW, completedAt: NOW });
+  expect(activeTodos(archived).map((todo) => todo.id)).toEqual([2, 3]);
+  expect(restoreTodo(archived[0])).not.toHaveProperty('archivedAt');
+});
+
+test('groups history by completion day, newest first', () => {
+  const archived = [
+    { id: 1, completedAt: NOW - DAY, archivedAt: NOW },
+    { id: 2, completedAt: NOW - 60 * 1000, archivedAt: NOW },
+    { id: 3, completedAt: NOW - 2 * 60 * 1000, archivedAt: NOW },
+  ];
+  expect(groupByDay(archived).map((group) => group.todos.map((todo) => todo.id))).toEqual([[2, 3], [1]]);
+});
+
+test('prunes archived tasks past the retention period', () => {
+  const todos = [
+    { id: 1, completed: true, archivedAt: NOW - 40 * DAY },
+    { id: 2, completed: true, archivedAt: NOW - 5 * DAY },
+    { id: 3, completed: false },
+  ];
+  expect(pruneArchive(todos, 30, NOW).map((todo) => todo.id)).toEqual([2, 3]);
+  expect(pruneArchive(todos, null, NOW)).toBe(todos);
+});
@@ -0,0 +1,125 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: boot.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The startup sequence behind the loading screen.
+ *
+ * A boot stage is `{ id, label, run, required? }`, where `run` returns a
+ * value or a promise. Stages run side by side and the loading bar follows
+ * how many have finished. A required stage (loading the tasks) that fails
+ * or times out stops the boot; an optional one (audio, fonts, offline
+ * support) is logged and skipped so it can never keep the user out.
+ *
+ * The splash also stays up for a minimum time, set in `BOOT_CONFIG`: the
+ * full sequence on a first visit, nothing for returning users.
+ *
+ */
+
+/** Timing of the startup sequence, in ms. */
+export const BOOT_CONFIG = {
+  /** Minimum splash time on the first visit. */
+  firstVisitMinimum: 2500,
+  /** Minimum splash time for returning users; 0 shows the list as soon as it is ready. */
+  returningMinimum: 0,
+  /** A required stage taking longer than this fails the boot. */
+  requiredTimeout: 10000,
+  /** An optional stage taking longer than this is skipped. */
+  optionalTimeout: 3000,
+};
+
+/**
+ * The error a failed required stage stops the boot with.
+ * @param {Object} stage
+ * @param {*} cause
+ * @returns {Error} With the failing stage's id as `stage` and the original
+ *   error as `cause`.
+ */
+const stageFailure = (stage, cause) =>
+  Object.assign(new Error(`${stage.label} failed: ${cause && cause.message ? cause.message : cause}`), { stage: stage.id, cause });
+
+/**
+ * Rejects if a promise does not settle in time.
+ * @param {Promise} promise
+ * @param {number} ms
+ * @returns {Promise}
+ */
+export const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms / 1000} s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Runs the boot stages side by side.
+ *
+ * @param {Array<Object>} stages
+ * @param {Function} [onProgress] - Called with `{ fraction, pending }` whenever
+ *   a stage finishes; `pending` is the label of the first unfinished stage.
+ * @param {Object} [config] - Timeouts; defaults to `BOOT_CONFIG`.
+ * @returns {Promise<Object>} Stage results by id (undefined for skipped stages).
+ * @throws {Error} When a required stage fails or times out (`error.stage` names it).
+ */
+export const runBootStages = (stages, onProgress = () => { }, config = BOOT_CONFIG) => {
+  const finished = new Set();
+  const report = () => {
+    const next = stages.find((stage) => !finished.has(stage.id));
+    onProgress({ fraction: finished.size / stages.length, pending: next ? next.label : null });
+  };
+  report();
+
+  return Promise.all(stages.map((stage) =>
+    withTimeout(
+      Promise.resolve().then(stage.run),
+      stage.required ? config.requiredTimeout : config.optionalTimeout
+    )
+      .catch((error) => {
+        if (stage.required) throw stageFailure(stage, error);
+        console.warn(`Boot stage "${stage.id}" skipped:`, error);
+        return undefined;
+      })
+      .then((result) => {
+        finished.add(stage.id);
+        report();
+        return [stage.id, result];
+      })
+  )).then(Object.fromEntries);
+};
+
+/**
+ * How long the splash must stay up.
+ * @param {{ returning: boolean, skipIntro: boolean }} options
+ * @param {Object} [config] - Defaults to `BOOT_CONFIG`.
+ * @returns {number} ms
+ */
+export const splashMinimum = ({ returning, skipIntro }, config = BOOT_CONFIG) => {
+  if (skipIntro) return 0;
+  return returning ? config.returningMinimum : config.firstVisitMinimum;
+};
+
+/**
+ * The percentage shown on the loading bar: real progress, but never ahead
+ * of the minimum display time, so the bar fills smoothly on first visits.
+ *
+ * @param {number} fraction - Share of finished stages (0-1).
+ * @param {number} elapsed - ms since the boot started.
+ * @param {number} minimum - From `splashMinimum`.
+ * @returns {number} 0-100
+ */
+export const splashProgress = (fraction, elapsed, minimum) => {
+  const timeShare = minimum > 0 ? Math.min(elapsed / minimum, 1) : 1;
+  return Math.min(fraction, timeShare) * 100;
+};
@@ -0,0 +1,58 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: boot.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the startup sequence: stage results, failures and splash timing.
+ *
+ */
+
+import { BOOT_CONFIG, runBootStages, splashMinimum, splashProgress } from './boot';
+
+const config = { ...BOOT_CONFIG, requiredTimeout: 50, optionalTimeout: 20 };
+const never = () => new Promise(() => { });
+
+test('collects stage results and reports progress as stages finish', async () => {
+  const progress = [];
+  const results = await runBootStages([
+    { id: 'storage', label: 'Loading your tasks', required: true, run: () => Promise.resolve('tasks') },
+    { id: 'fonts', label: 'Loading fonts', run: never },
+    { id: 'audio', label: 'Warming up audio', run: () => { throw new Error('no audio'); } },
+  ], (update) => progress.push(update), config);
+
+  expect(results).toEqual({ storage: 'tasks', fonts: undefined, audio: undefined });
+  expect(progress[0]).toEqual({ fraction: 0, pending: 'Loading your tasks' });
+  expect(progress[progress.length - 1]).toEqual({ fraction: 1, pending: null });
+});
+
+test('fails when a required stage fails or hangs', async () => {
+  const cause = new Error('corrupt');
+  await expect(runBootStages([
+    { id: 'storage', label: 'Loading your tasks', required: true, run: () => Promise.reject(cause) },
+  ], undefined, config)).rejects.toMatchObject({ stage: 'storage', message: 'Loading your tasks failed: corrupt', cause });
+
+  await expect(runBootStages([
+    { id: 'storage', label: 'Loading your tasks', required: true, run: never },
+  ], undefined, config)).rejects.toThrow('timed out');
+});
+
+test('holds the splash for first visits only', () => {
+  expect(splashMinimum({ returning: false, skipIntro: false })).toBe(BOOT_CONFIG.firstVisitMinimum);
+  expect(splashMinimum({ returning: true, skipIntro: false })).toBe(BOOT_CONFIG.returningMinimum);
+  expect(splashMinimum({ returning: false, skipIntro: true })).toBe(0);
+
+  expect(splashProgress(1, 1250, 2500)).toBe(50);
+  expect(splashProgress(0.25, 2000, 2500)).toBe(25);
+  expect(splashProgress(0.5, 0, 0)).toBe(50);
+});
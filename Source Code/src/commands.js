@@ -0,0 +1,128 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: commands.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The command registry behind the command palette (Ctrl/Cmd+K).
+ *
+ * A command is a plain object:
+ *   { id, title, section, keywords?, searchOnly?, run }
+ * `searchOnly` commands (e.g. one per task) are hidden until the user types.
+ *
+ * Any part of the app registers its commands under its own source name and
+ * replaces them whenever they change, so a feature only has to know about
+ * the registry, not about the palette. Matching and the recently-used list
+ * are pure functions here.
+ *
+ */
+
+/** How many recently used commands are remembered. */
+export const RECENT_LIMIT = 5;
+
+/**
+ * Creates an empty registry.
+ * @returns {{ register: Function, unregister: Function, commands: Function }}
+ *   `register(source, commands)` sets or replaces the commands of one source
+ *   (a source keeps its place when replaced); `unregister(source)` removes
+ *   them; `commands()` lists everything in registration order.
+ */
+export const createCommandRegistry = () => {
+  const sources = new Map();
+  return {
+    register(source, commands) {
+      sources.set(source, commands);
+    },
+    unregister(source) {
+      sources.delete(source);
+    },
+    commands() {
+      return [...sources.values()].flat();
+    },
+  };
+};
+
+const isWordStart = (text, index) => index === 0 || /[\s\-_:/#]/.test(text[index - 1]);
+
+/**
+ * Scores how well `query` fuzzily matches `text`. Every query character
+ * must appear in order; runs of consecutive characters, word starts and a
+ * plain substring match score higher.
+ *
+ * @param {string} query
+ * @param {string} text
+ * @returns {number|null} A score (higher is better), or null for no match.
+ */
+export const fuzzyScore = (query, text) => {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  if (needle === '') return 0;
+  const haystack = text.toLowerCase();
+
+  let score = haystack.includes(query.trim().toLowerCase()) ? 10 : 0;
+  let position = -1;
+  for (const char of needle) {
+    const found = haystack.indexOf(char, position + 1);
+    if (found === -1) return null;
+    score += 1;
+    if (found === position + 1) score += 2;
+    if (isWordStart(haystack, found)) score += 3;
+    position = found;
+  }
+  return score;
+};
+
+/**
+ * Orders commands for the palette.
+ * Without a query, recently used commands come first (most recent on top),
+ * followed by the rest in registration order. With a query, only matches
+ * are kept, best first, and recent use breaks ties.
+ *
+ * @param {Array<Object>} commands
+ * @param {string} query
+ * @param {Array<string>} recents - Command ids, most recent first.
+ * @returns {Array<Object>}
+ */
+export const rankCommands = (commands, query, recents) => {
+  const recency = (command) => {
+    const index = recents.indexOf(command.id);
+    return index === -1 ? 0 : RECENT_LIMIT - index;
+  };
+
+  if (query.trim() === '') {
+    const visible = commands.filter((command) => !command.searchOnly);
+    return [
+      ...visible.filter((command) => recency(command) > 0).sort((a, b) => recency(b) - recency(a)),
+      ...visible.filter((command) => recency(command) === 0),
+    ];
+  }
+
+  return commands
+    .map((command) => {
+      const scores = [command.title, ...(command.keywords || [])]
+        .map((text) => fuzzyScore(query, text))
+        .filter((score) => score !== null);
+      return { command, score: scores.length ? Math.max(...scores) + recency(command) / RECENT_LIMIT : null };
+    })
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(({ command }) => command);
+};
+
+/**
+ * Moves a command to the front of the recently used list.
+ * @param {Array<string>} recents
+ * @param {string} id
+ * @returns {Array<string>}
+ */
+export const rememberCommand = (recents, id) =>
+  [id, ...recents.filter((recent) => recent !== id)].slice(0, RECENT_LIMIT);
@@ -0,0 +1,55 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: commands.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the command registry, fuzzy matching and recently used commands.
+ *
+ */
+
+import { createCommandRegistry, fuzzyScore, rankCommands, rememberCommand } from './commands';
+
+const command = (id, title, extra = {}) => ({ id, title, section: 'App', run: () => {}, ...extra });
+
+test('registers, replaces and removes commands per source', () => {
+  const registry = createCommandRegistry();
+  registry.register('app', [command('a', 'Alpha')]);
+  registry.register('export', [command('e', 'Export')]);
+  registry.register('app', [command('b', 'Beta')]);
+  expect(registry.commands().map((c) => c.id)).toEqual(['b', 'e']);
+  registry.unregister('export');
+  expect(registry.commands().map((c) => c.id)).toEqual(['b']);
+});
+
+test('matches characters in order and prefers word starts and runs', () => {
+  expect(fuzzyScore('clr', 'Clear finished tasks')).not.toBeNull();
+  expect(fuzzyScore('xyz', 'Clear finished tasks')).toBeNull();
+  expect(fuzzyScore('rlc', 'Clear')).toBeNull();
+  expect(fuzzyScore('exp', 'Export as CSV')).toBeGreaterThan(fuzzyScore('exp', 'Index page'));
+  expect(fuzzyScore('', 'Anything')).toBe(0);
+});
+
+test('lists recent commands first and hides search-only ones until typing', () => {
+  const commands = [
+    command('theme', 'Switch to light theme'),
+    command('sound', 'Turn sound off'),
+    command('task:1', 'Go to: Buy milk', { searchOnly: true }),
+    command('credits', 'Show credits'),
+  ];
+  const recents = rememberCommand(rememberCommand([], 'sound'), 'credits');
+  expect(recents).toEqual(['credits', 'sound']);
+  expect(rankCommands(commands, '', recents).map((c) => c.id)).toEqual(['credits', 'sound', 'theme']);
+  expect(rankCommands(commands, 'milk', recents).map((c) => c.id)).toEqual(['task:1']);
+  expect(rankCommands(commands, 'so', []).map((c) => c.id)[0]).toBe('sound');
+});
@@ -0,0 +1,94 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: dueDates.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Pure helpers for the optional `dueAt` field on todos. Due dates are stored
+ * as epoch milliseconds (the same unit as the `id` timestamps) so they survive
+ * JSON serialization without any parsing step.
+ *
+ * Every function takes the current time as an argument instead of reading the
+ * clock, which keeps the labels deterministic for a given render.
+ *
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Formats a millisecond span as the largest whole unit ("5m", "2h", "3d").
+ * @param {number} ms - A non-negative duration.
+ * @returns {string}
+ */
+const formatSpan = (ms) => {
+  if (ms >= DAY) return `${Math.floor(ms / DAY)}d`;
+  if (ms >= HOUR) return `${Math.floor(ms / HOUR)}h`;
+  return `${Math.max(1, Math.floor(ms / MINUTE))}m`;
+};
+
+/**
+ * Checks whether an incomplete task has passed its due time.
+ * @param {Object} todo
+ * @param {number} now - Current time in epoch milliseconds.
+ * @returns {boolean}
+ */
+export const isOverdue = (todo, now) =>
+  Boolean(todo.dueAt) && !todo.completed && todo.dueAt <= now;
+
+/**
+ * Builds the relative label shown on a task, e.g. "due in 2h" or "overdue 1d".
+ * @param {number} dueAt - Due time in epoch milliseconds.
+ * @param {number} now - Current time in epoch milliseconds.
+ * @returns {string}
+ */
+export const formatDueLabel = (dueAt, now) => {
+  const delta = dueAt - now;
+  if (Math.abs(delta) < MINUTE) return 'due now';
+  return delta > 0 ? `due in ${formatSpan(delta)}` : `overdue ${formatSpan(-delta)}`;
+};
+
+/**
+ * Sorts todos by due date, soonest first. Undated tasks go last and the sort
+ * is stable, so ties keep their manual order.
+ * @param {Array<Object>} todos
+ * @returns {Array<Object>} A new, sorted array.
+ */
+export const sortByDueDate = (todos) =>
+  [...todos].sort((a, b) => (a.dueAt || Infinity) - (b.dueAt || Infinity));
+
+/**
+ * Converts epoch milliseconds to the local "YYYY-MM-DDTHH:mm" value used by
+ * `<input type="datetime-local">`.
+ * @param {number|null} dueAt
+ * @returns {string} An empty string when no due date is set.
+ */
+export const toDateTimeInputValue = (dueAt) => {
+  if (!dueAt) return '';
+  const date = new Date(dueAt);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Parses a `datetime-local` value back into epoch milliseconds.
+ * @param {string} value
+ * @returns {number|null} Null when the value is empty or invalid.
+ */
+export const fromDateTimeInputValue = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
@@ -0,0 +1,57 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: dueDates.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for due-date sorting, the overdue state and the relative labels.
+ *
+ */
+
+import { sortByDueDate, isOverdue, formatDueLabel, toDateTimeInputValue, fromDateTimeInputValue } from './dueDates';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date(2022, 5, 25, 12, 0).getTime();
+
+test('sorts soonest first, undated last, and keeps the manual order of ties', () => {
+  const todos = [
+    { id: 1 },
+    { id: 2, dueAt: NOW + 2 * HOUR },
+    { id: 3, dueAt: NOW - HOUR },
+    { id: 4 },
+    { id: 5, dueAt: NOW + 2 * HOUR },
+  ];
+  expect(sortByDueDate(todos).map((todo) => todo.id)).toEqual([3, 2, 5, 1, 4]);
+  expect(todos.map((todo) => todo.id)).toEqual([1, 2, 3, 4, 5]);
+});
+
+test('only open tasks past their due time are overdue', () => {
+  expect(isOverdue({ dueAt: NOW - 1 }, NOW)).toBe(true);
+  expect(isOverdue({ dueAt: NOW - 1, completed: true }, NOW)).toBe(false);
+  expect(isOverdue({ dueAt: NOW + 1 }, NOW)).toBe(false);
+  expect(isOverdue({}, NOW)).toBe(false);
+});
+
+test('labels the time left or overdue in the largest whole unit', () => {
+  expect(formatDueLabel(NOW + 30 * 1000, NOW)).toBe('due now');
+  expect(formatDueLabel(NOW + 5 * 60 * 1000, NOW)).toBe('due in 5m');
+  expect(formatDueLabel(NOW + 2 * HOUR, NOW)).toBe('due in 2h');
+  expect(formatDueLabel(NOW - 50 * HOUR, NOW)).toBe('overdue 2d');
+});
+
+test('round-trips through the datetime-local input format', () => {
+  expect(toDateTimeInputValue(NOW)).toBe('2022-06-25T12:00');
+  expect(fromDateTimeInputValue('2022-06-25T12:00')).toBe(NOW);
+  expect(toDateTimeInputValue(null)).toBe('');
+  expect(fromDateTimeInputValue('not a date')).toBeNull();
+});
@@ -17,8 +17,7 @@
  * This file is the specific entry point for the React application. It handles:
  * 1. Mounting the React component tree into the DOM.
  * 2. Enabling Strict Mode for highlighting potential problems.
- * 3. Registering the Service Worker for PWA capabilities (offline support).
- * 4. Initializing performance monitoring via Web Vitals.
+ * 3. Initializing performance monitoring via Web Vitals.
  *
  */
 
@@ -27,7 +26,6 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import TodoApp from './TodoApp';
 import reportWebVitals from './reportWebVitals';
-import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 // Initialize the root React root based on the DOM element with ID 'root'
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -39,9 +37,7 @@ root.render(
   </React.StrictMode>
 );
 
-// PWA: Allow offline functionality and standalone installation
-// This registers the service worker generated by the build process.
-serviceWorkerRegistration.register();
+// PWA: The service worker is registered by TodoApp as one of its boot stages
 
 // Performance Monitoring
 // Pass a function to log results (for example: reportWebVitals(console.log))
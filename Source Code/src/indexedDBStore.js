@@ -0,0 +1,207 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: indexedDBStore.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * IndexedDB persistence for the todo list. Unlike the localStorage backend,
+ * which serializes the whole array on every change, this store writes only
+ * the tasks that actually changed, keyed by `id`.
+ *
+ * Architecture:
+ * - Object store `todos` holds one record per task (keyPath `id`).
+ * - Object store `meta` holds the manual order (an array of ids) and the
+ *   flag recording that legacy localStorage data has been migrated.
+ * - Changes are detected by object identity. Todos are replaced, never
+ *   mutated, so an unchanged task is the same object as the last write.
+ *   If a write fails, the next one rewrites the whole list.
+ * - The `indexedDB` factory is injected, so tests can pass an in-memory shim
+ *   such as `fake-indexeddb`.
+ *
+ */
+
+const DB_NAME = 'react-todo-app';
+const DB_VERSION = 1;
+const TODO_STORE = 'todos';
+const META_STORE = 'meta';
+
+/**
+ * Wraps an IDBRequest in a Promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Resolves when a transaction commits, rejects if it fails or aborts.
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+/**
+ * Creates an IndexedDB-backed todo store.
+ *
+ * @param {IDBFactory} idb - The IndexedDB factory (`window.indexedDB` or a shim).
+ * @param {string} [dbName] - Database name, overridable for tests.
+ * @returns {Object} The store API.
+ */
+export const createIndexedDBStore = (idb, dbName = DB_NAME) => {
+  let dbPromise = null;
+  // Last written object per id, used to compute incremental writes
+  let lastWritten = new Map();
+  let lastOrder = [];
+  // Set after a failed write; the next write then rewrites everything
+  let needsFullWrite = false;
+
+  /**
+   * Opens (and on first use, creates) the database. The connection is reused.
+   * @returns {Promise<IDBDatabase>}
+   */
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = idb.open(dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(TODO_STORE)) {
+            db.createObjectStore(TODO_STORE, { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains(META_STORE)) {
+            db.createObjectStore(META_STORE);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+      });
+      // Allow a later retry if opening failed
+      dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+  };
+
+  /**
+   * Records what is now on disk so the next write can be a diff.
+   */
+  const remember = (todos) => {
+    lastWritten = new Map(todos.map((todo) => [todo.id, todo]));
+    lastOrder = todos.map((todo) => todo.id);
+  };
+
+  return {
+    /**
+     * Opens the database, telling "IndexedDB is unusable here" apart from
+     * later read and write failures.
+     * @returns {Promise<void>}
+     */
+    async ready() {
+      await open();
+    },
+
+    /**
+     * Reads every task in manual order.
+     * Tasks missing from the stored order (e.g. a partial write) are appended.
+     * @returns {Promise<{ todos: Array<Object>, migrated: boolean }>}
+     */
+    async loadAll() {
+      const db = await open();
+      const transaction = db.transaction([TODO_STORE, META_STORE], 'readonly');
+      const [records, order, migrated] = await Promise.all([
+        promisifyRequest(transaction.objectStore(TODO_STORE).getAll()),
+        promisifyRequest(transaction.objectStore(META_STORE).get('order')),
+        promisifyRequest(transaction.objectStore(META_STORE).get('migrated')),
+      ]);
+
+      const byId = new Map(records.map((record) => [record.id, record]));
+      const todos = [];
+      (order || []).forEach((id) => {
+        if (byId.has(id)) {
+          todos.push(byId.get(id));
+          byId.delete(id);
+        }
+      });
+      todos.push(...byId.values());
+
+      remember(todos);
+      return { todos, migrated: migrated === true };
+    },
+
+    /**
+     * Replaces the whole store in a single transaction and marks the
+     * database as migrated. Used for the one-time localStorage import.
+     * @param {Array<Object>} todos
+     * @returns {Promise<void>}
+     */
+    async replaceAll(todos) {
+      const db = await open();
+      const transaction = db.transaction([TODO_STORE, META_STORE], 'readwrite');
+      const todoStore = transaction.objectStore(TODO_STORE);
+      todoStore.clear();
+      todos.forEach((todo) => todoStore.put(todo));
+      transaction.objectStore(META_STORE).put(todos.map((todo) => todo.id), 'order');
+      transaction.objectStore(META_STORE).put(true, 'migrated');
+      await transactionDone(transaction);
+      remember(todos);
+    },
+
+    /**
+     * Writes only what changed since the last load or write: new and edited
+     * tasks are put, removed ids are deleted, and the order is rewritten
+     * only when it differs.
+     * @param {Array<Object>} todos - The complete current list.
+     * @returns {Promise<number>} The number of task records written or deleted.
+     */
+    async applyChanges(todos) {
+      if (needsFullWrite) {
+        needsFullWrite = false;
+        await this.replaceAll(todos).catch((error) => {
+          needsFullWrite = true;
+          throw error;
+        });
+        return todos.length;
+      }
+
+      const changed = todos.filter((todo) => lastWritten.get(todo.id) !== todo);
+      const currentIds = new Set(todos.map((todo) => todo.id));
+      const removed = [...lastWritten.keys()].filter((id) => !currentIds.has(id));
+      const order = todos.map((todo) => todo.id);
+      const orderChanged = order.length !== lastOrder.length || order.some((id, i) => id !== lastOrder[i]);
+
+      // Update the baseline synchronously so rapid successive calls diff correctly
+      remember(todos);
+      if (changed.length === 0 && removed.length === 0 && !orderChanged) return 0;
+
+      const db = await open();
+      const transaction = db.transaction([TODO_STORE, META_STORE], 'readwrite');
+      const todoStore = transaction.objectStore(TODO_STORE);
+      changed.forEach((todo) => todoStore.put(todo));
+      removed.forEach((id) => todoStore.delete(id));
+      if (orderChanged) {
+        transaction.objectStore(META_STORE).put(order, 'order');
+      }
+      await transactionDone(transaction).catch((error) => {
+        needsFullWrite = true;
+        throw error;
+      });
+      return changed.length + removed.length;
+    },
+  };
+};
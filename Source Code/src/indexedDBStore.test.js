@@ -0,0 +1,95 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: indexedDBStore.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests the IndexedDB list store against the in-memory `fake-indexeddb` shim:
+ * ordered round trips, incremental writes, and the one-time import of
+ * legacy localStorage data through the storage facade.
+ *
+ */
+
+import { indexedDB } from 'fake-indexeddb';
+import { createIndexedDBStore } from './indexedDBStore';
+import { createTodoStorage, createMemoryBackend } from './todoStorage';
+
+// Each test gets its own database so they cannot see each other's data
+let dbCounter = 0;
+const freshStore = () => createIndexedDBStore(indexedDB, `todo-test-${dbCounter++}`);
+
+const todo = (id, text, extra = {}) => ({ id, text, completed: false, priority: 'Medium', dueAt: null, ...extra });
+
+test('round-trips the list in manual order', async () => {
+  const store = freshStore();
+  await store.replaceAll([todo(3, 'Third'), todo(1, 'First'), todo(2, 'Second')]);
+
+  const { todos, migrated } = await store.loadAll();
+  expect(todos.map((t) => t.id)).toEqual([3, 1, 2]);
+  expect(migrated).toBe(true);
+});
+
+test('writes only changed, added and removed tasks', async () => {
+  const store = freshStore();
+  const a = todo(1, 'A');
+  const b = todo(2, 'B');
+  await store.replaceAll([a, b]);
+
+  // Same objects: nothing to write
+  expect(await store.applyChanges([a, b])).toBe(0);
+
+  // Edit one, remove one, add one
+  const editedA = { ...a, completed: true };
+  const c = todo(3, 'C');
+  expect(await store.applyChanges([c, editedA])).toBe(3);
+
+  const { todos } = await store.loadAll();
+  expect(todos).toEqual([c, editedA]);
+});
+
+test('imports legacy localStorage data once, then reads from IndexedDB', async () => {
+  const backend = createMemoryBackend();
+  backend.setItem('react-todo-list', JSON.stringify([{ id: 1, text: 'Legacy', completed: true }]));
+  const store = freshStore();
+
+  const storage = createTodoStorage(backend, store);
+  const { todos } = await storage.hydrateTodos();
+  expect(todos.map((t) => t.text)).toEqual(['Legacy']);
+  expect(backend.getItem('react-todo-list')).toBeNull();
+
+  await storage.persistTodos([...todos, todo(2, 'New')]);
+  const reloaded = await createTodoStorage(backend, store).hydrateTodos();
+  expect(reloaded.todos.map((t) => t.text)).toEqual(['Legacy', 'New']);
+});
+
+test('falls back to the key-value backend when IndexedDB cannot open', async () => {
+  const backend = createMemoryBackend();
+  const brokenStore = { ready: () => Promise.reject(new Error('blocked')) };
+  const originalWarn = console.warn;
+  console.warn = () => { };
+
+  const storage = createTodoStorage(backend, brokenStore);
+  await storage.hydrateTodos();
+  await storage.persistTodos([todo(1, 'Saved locally')]);
+  console.warn = originalWarn;
+
+  expect(JSON.parse(backend.getItem('react-todo-list')).todos[0].text).toBe('Saved locally');
+});
+
+test('a read failure after IndexedDB opened rejects instead of starting empty', async () => {
+  const backend = createMemoryBackend();
+  const store = { ...freshStore(), loadAll: () => Promise.reject(new Error('read failed')) };
+
+  const storage = createTodoStorage(backend, store);
+  await expect(storage.hydrateTodos()).rejects.toThrow('read failed');
+});
@@ -0,0 +1,124 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: keyboardShortcuts.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Keyboard control of the task list. A "cursor" marks one task; the keys
+ * below move it and act on the task under it. The mapping from key events
+ * to action names lives here so the cheat-sheet and the handler in
+ * `TodoApp` can never disagree.
+ *
+ * Shortcuts never fire while the user is typing in a text field, and the
+ * keys a focused button or link already reacts to (Space, Enter) are left
+ * to the browser there.
+ *
+ */
+
+/** Shortcuts listed on the cheat-sheet, in display order. */
+export const SHORTCUTS = [
+  { keys: ['j', '↓'], action: 'next', description: 'Move to the next task' },
+  { keys: ['k', '↑'], action: 'previous', description: 'Move to the previous task' },
+  { keys: ['Space'], action: 'toggle', description: 'Mark done / not done' },
+  { keys: ['e', 'Enter'], action: 'edit', description: 'Edit the task' },
+  { keys: ['Delete'], action: 'delete', description: 'Delete the task' },
+  { keys: ['p'], action: 'priority', description: 'Cycle the priority' },
+  { keys: ['Alt+↑'], action: 'moveUp', description: 'Move the task up' },
+  { keys: ['Alt+↓'], action: 'moveDown', description: 'Move the task down' },
+  { keys: ['/'], action: 'focusInput', description: 'Jump to the new task field' },
+  { keys: ['Esc'], action: 'clear', description: 'Leave the list' },
+  { keys: ['?'], action: 'help', description: 'Show this cheat-sheet' },
+  { keys: ['Ctrl+K'], action: null, description: 'Open the command palette' },
+  { keys: ['Ctrl+Z'], action: null, description: 'Undo' },
+  { keys: ['Ctrl+Shift+Z'], action: null, description: 'Redo' },
+];
+
+// Plain keys (no modifier) and the action each one triggers
+const KEY_ACTIONS = {
+  j: 'next',
+  ArrowDown: 'next',
+  k: 'previous',
+  ArrowUp: 'previous',
+  ' ': 'toggle',
+  e: 'edit',
+  Enter: 'edit',
+  Delete: 'delete',
+  p: 'priority',
+  '/': 'focusInput',
+  Escape: 'clear',
+  '?': 'help',
+};
+
+const ALT_KEY_ACTIONS = {
+  ArrowUp: 'moveUp',
+  ArrowDown: 'moveDown',
+};
+
+/**
+ * Whether an element takes typed text, so letter keys belong to it.
+ * @param {Element|null} target
+ * @returns {boolean}
+ */
+export const isTextEntry = (target) =>
+  Boolean(target) &&
+  (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable);
+
+// Elements that handle Space or Enter themselves
+const isActivatable = (target) =>
+  Boolean(target) &&
+  (target.tagName === 'BUTTON' || target.tagName === 'A' || ['button', 'checkbox'].includes(target.getAttribute?.('role')));
+
+/**
+ * Maps a keydown event to a list action.
+ * @param {KeyboardEvent} event
+ * @returns {string|null} An action name from `SHORTCUTS`, or null to ignore the event.
+ */
+export const shortcutAction = (event) => {
+  if (event.ctrlKey || event.metaKey || isTextEntry(event.target)) return null;
+  if (event.altKey) return ALT_KEY_ACTIONS[event.key] || null;
+  if ((event.key === ' ' || event.key === 'Enter') && isActivatable(event.target)) return null;
+  return KEY_ACTIONS[event.key] || null;
+};
+
+/**
+ * The id the cursor lands on after moving `delta` steps.
+ * Without a current position the cursor starts at the first task; it stops
+ * at either end instead of wrapping.
+ *
+ * @param {Array} ids - Task ids in display order.
+ * @param {*} currentId
+ * @param {number} delta
+ * @returns {*} The new id, or null for an empty list.
+ */
+export const stepCursor = (ids, currentId, delta) => {
+  if (ids.length === 0) return null;
+  const index = ids.indexOf(currentId);
+  if (index === -1) return ids[0];
+  return ids[Math.min(ids.length - 1, Math.max(0, index + delta))];
+};
+
+/**
+ * Swaps a task with its neighbour inside one rendered group.
+ * @param {Array<Object>} items - The group in display order.
+ * @param {*} id
+ * @param {number} delta - -1 for up, 1 for down.
+ * @returns {Array<Object>|null} The reordered group, or null at an edge.
+ */
+export const moveInGroup = (items, id, delta) => {
+  const index = items.findIndex((todo) => todo.id === id);
+  const target = index + delta;
+  if (index === -1 || target < 0 || target >= items.length) return null;
+  const reordered = [...items];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+};
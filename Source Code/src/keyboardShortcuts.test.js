@@ -0,0 +1,56 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: keyboardShortcuts.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the keyboard shortcut mapping and list cursor helpers.
+ *
+ */
+
+import { shortcutAction, stepCursor, moveInGroup } from './keyboardShortcuts';
+
+const key = (keyName, { target = document.body, ...modifiers } = {}) => ({ key: keyName, target, ...modifiers });
+
+test('maps keys to list actions', () => {
+  expect(shortcutAction(key('j'))).toBe('next');
+  expect(shortcutAction(key('ArrowUp'))).toBe('previous');
+  expect(shortcutAction(key('ArrowUp', { altKey: true }))).toBe('moveUp');
+  expect(shortcutAction(key(' '))).toBe('toggle');
+  expect(shortcutAction(key('?'))).toBe('help');
+  expect(shortcutAction(key('x'))).toBeNull();
+  expect(shortcutAction(key('p', { ctrlKey: true }))).toBeNull();
+});
+
+test('leaves keys alone while typing or on buttons', () => {
+  const input = document.createElement('input');
+  const button = document.createElement('button');
+  expect(shortcutAction(key('j', { target: input }))).toBeNull();
+  expect(shortcutAction(key('/', { target: input }))).toBeNull();
+  expect(shortcutAction(key(' ', { target: button }))).toBeNull();
+  expect(shortcutAction(key('Enter', { target: button }))).toBeNull();
+  expect(shortcutAction(key('j', { target: button }))).toBe('next');
+});
+
+test('moves the cursor without wrapping and swaps neighbours', () => {
+  const ids = [1, 2, 3];
+  expect(stepCursor(ids, null, 1)).toBe(1);
+  expect(stepCursor(ids, 1, 1)).toBe(2);
+  expect(stepCursor(ids, 3, 1)).toBe(3);
+  expect(stepCursor(ids, 1, -1)).toBe(1);
+  expect(stepCursor([], 1, 1)).toBeNull();
+
+  const items = ids.map((id) => ({ id }));
+  expect(moveInGroup(items, 2, -1).map((todo) => todo.id)).toEqual([2, 1, 3]);
+  expect(moveInGroup(items, 3, 1)).toBeNull();
+});
@@ -0,0 +1,90 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: motionSettings.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The animation-intensity preference and what each level allows.
+ *
+ * - full: every spring, particle and shake.
+ * - reduced: movement is dropped (elements fade instead), no particles or
+ *   shake, a shorter celebration, and overlays that fade in all at once.
+ * - off: nothing animates and the celebration overlay is skipped.
+ *
+ * The stored choice can also be 'system', which follows the operating
+ * system's `prefers-reduced-motion` setting (the default).
+ *
+ */
+
+/** Choices offered in the settings panel, in display order. */
+export const MOTION_CHOICES = [
+  { id: 'system', label: 'System' },
+  { id: 'full', label: 'Full' },
+  { id: 'reduced', label: 'Reduced' },
+  { id: 'off', label: 'Off' },
+];
+
+/** Follow the system, and play the loading sequence. */
+export const DEFAULT_MOTION_SETTINGS = {
+  intensity: 'system',
+  skipIntro: false,
+};
+
+/** Media query for the operating system's reduced-motion setting. */
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Sanitizes stored motion settings, filling gaps with the defaults.
+ * @param {*} saved
+ * @returns {{ intensity: string, skipIntro: boolean }}
+ */
+export const normalizeMotionSettings = (saved) => {
+  if (!saved || typeof saved !== 'object') return DEFAULT_MOTION_SETTINGS;
+  return {
+    intensity: MOTION_CHOICES.some(({ id }) => id === saved.intensity) ? saved.intensity : DEFAULT_MOTION_SETTINGS.intensity,
+    skipIntro: typeof saved.skipIntro === 'boolean' ? saved.skipIntro : DEFAULT_MOTION_SETTINGS.skipIntro,
+  };
+};
+
+/**
+ * Turns the stored choice into the level in effect.
+ * @param {string} intensity - One of the `MOTION_CHOICES` ids.
+ * @param {boolean} prefersReduced - Whether the system asks for less motion.
+ * @returns {'full'|'reduced'|'off'}
+ */
+export const resolveMotionLevel = (intensity, prefersReduced) => {
+  if (intensity !== 'system') return intensity;
+  return prefersReduced ? 'reduced' : 'full';
+};
+
+/**
+ * How the "Goal achieved" celebration plays at a motion level.
+ * @param {'full'|'reduced'|'off'} level
+ * @returns {{ particles: number, shockwave: boolean, shake: boolean, overlayDelay: number, overlayDuration: number }}
+ *   Times in ms; an `overlayDuration` of 0 skips the full-screen overlay.
+ */
+export const celebrationPlan = (level) => {
+  if (level === 'full') return { particles: 20, shockwave: true, shake: true, overlayDelay: 400, overlayDuration: 6100 };
+  if (level === 'reduced') return { particles: 0, shockwave: false, shake: false, overlayDelay: 0, overlayDuration: 3000 };
+  return { particles: 0, shockwave: false, shake: false, overlayDelay: 0, overlayDuration: 0 };
+};
+
+/**
+ * Timing of one staggered fade in the credits and celebration overlays.
+ * Below full motion the pieces appear together, almost at once.
+ * @param {'full'|'reduced'|'off'} level
+ * @param {number} delay - Seconds, at full motion.
+ * @param {number} duration - Seconds, at full motion.
+ * @returns {{ delay: number, duration: number }}
+ */
+export const overlayFade = (level, delay, duration) => (level === 'full' ? { delay, duration } : { delay: 0, duration: 0.15 });
@@ -0,0 +1,42 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: motionSettings.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the animation-intensity setting.
+ *
+ */
+
+import { DEFAULT_MOTION_SETTINGS, normalizeMotionSettings, resolveMotionLevel, celebrationPlan, overlayFade } from './motionSettings';
+
+test('follows the system preference unless a level is chosen', () => {
+  expect(normalizeMotionSettings(null)).toEqual(DEFAULT_MOTION_SETTINGS);
+  expect(normalizeMotionSettings({ intensity: 'wild', skipIntro: true })).toEqual({ intensity: 'system', skipIntro: true });
+  expect(resolveMotionLevel('system', false)).toBe('full');
+  expect(resolveMotionLevel('system', true)).toBe('reduced');
+  expect(resolveMotionLevel('full', true)).toBe('full');
+  expect(resolveMotionLevel('off', false)).toBe('off');
+});
+
+test('scales the celebration down with the motion level', () => {
+  expect(celebrationPlan('full')).toMatchObject({ particles: 20, shake: true });
+  expect(celebrationPlan('reduced')).toMatchObject({ particles: 0, shake: false, shockwave: false });
+  expect(celebrationPlan('reduced').overlayDuration).toBeLessThan(celebrationPlan('full').overlayDuration);
+  expect(celebrationPlan('off').overlayDuration).toBe(0);
+});
+
+test('overlay fades only stagger at full motion', () => {
+  expect(overlayFade('full', 1.5, 1)).toEqual({ delay: 1.5, duration: 1 });
+  expect(overlayFade('reduced', 1.5, 1)).toEqual({ delay: 0, duration: 0.15 });
+});
@@ -0,0 +1,246 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: quickAdd.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Natural-language parsing for the task input. A line such as
+ * "Pay rent tomorrow 9am !high #home every month" becomes:
+ *   { text: 'Pay rent', dueAt: <tomorrow 09:00>, priority: 'High',
+ *     tags: ['home'], recurrence: { interval: 1, unit: 'month' } }
+ *
+ * Understood Phrases:
+ * - Priority: `!high`, `!medium` (`!med`), `!low`.
+ * - Tags: `#tag` (see `tags.js`).
+ * - Repeats: `every day`, `every 2 weeks`, `every other month`,
+ *   `every monday`, `every weekday`, and `daily`, `weekly`, `monthly`,
+ *   `yearly` as the last word (see `recurrence.js` for the rule format).
+ * - Dates: `today`, `tonight`, `tomorrow`, weekday names (the next one
+ *   after today), `next week`, `next month`, `jan 5`, `5 jan 2025`,
+ *   `2025-01-05`, `in 3 days`. An optional `on`/`by`/`due` in front is
+ *   absorbed.
+ * - Times: `9am`, `9:30pm`, `at 17:45`, `noon`, `midnight`, `in 2 hours`.
+ *
+ * A date without a time is due at 9:00 (or at the end of the day if 9:00
+ * has passed); a time without a date means the next time that clock time
+ * comes round.
+ *
+ * Escaping:
+ * Prefix a word with a backslash to keep it as plain text:
+ * "Read \#1 \tomorrow" adds the task "Read #1 tomorrow".
+ *
+ * The module is pure: the current time is always passed in.
+ *
+ */
+
+import { PRIORITY_LEVELS } from './todoViews';
+import { parseTags } from './tags';
+import { WORKING_DAYS } from './recurrence';
+
+const DEFAULT_HOUR = 9;
+const TONIGHT_HOUR = 20;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Full names only: abbreviations like "sun" or "sat" are too common as plain words
+const WEEKDAY = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday)';
+const MONTH = '(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec)';
+const START = '(?<=^|\\s)';
+const END = '(?=[\\s,.]|$)';
+const LEAD = '(?:(?:on|by|due)\\s+)?';
+
+const pattern = (source) => new RegExp(`${START}${source}${END}`, 'i');
+
+const PRIORITY_PATTERN = pattern('!(high|medium|med|low)');
+const EVERY_UNIT_PATTERN = pattern('every\\s+(other\\s+|\\d+\\s+)?(day|week|month|year)s?');
+const EVERY_WEEKDAY_PATTERN = pattern(`every\\s+(weekday|${WEEKDAY.slice(1, -1)})`);
+// Only as the last word (tags aside): "Write weekly report" is a plain title
+const REPEAT_WORD_PATTERN = new RegExp(`${START}(daily|weekly|monthly|yearly|annually)(?=(?:[\\s,.]+#\\S+)*[\\s,.]*$)`, 'i');
+const IN_PATTERN = pattern('in\\s+(\\d+|an?)\\s+(minutes?|mins?|hours?|hrs?|days?|weeks?|months?)');
+const DAY_WORD_PATTERN = pattern(`${LEAD}(today|tonight|tomorrow|tmrw?)`);
+const NEXT_PATTERN = pattern(`${LEAD}next\\s+(week|month)`);
+const WEEKDAY_PATTERN = pattern(`${LEAD}(?:next\\s+|this\\s+)?${WEEKDAY}`);
+const MONTH_DAY_PATTERN = pattern(`${LEAD}${MONTH}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`);
+const DAY_MONTH_PATTERN = pattern(`${LEAD}(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH}\\.?(?:\\s+(\\d{4}))?`);
+const ISO_DATE_PATTERN = pattern(`${LEAD}(\\d{4})-(\\d{2})-(\\d{2})`);
+const MERIDIEM_TIME_PATTERN = pattern('(?:at\\s+|@)?(\\d{1,2})(?::([0-5]\\d))?\\s*(am|pm)');
+const CLOCK_TIME_PATTERN = pattern('(?:at\\s+|@)?([01]?\\d|2[0-3]):([0-5]\\d)');
+const NAMED_TIME_PATTERN = pattern('(?:at\\s+)?(noon|midnight)');
+
+// Escaped words are swapped for placeholders that no pattern can match
+const ESCAPED_WORD = /(?<=^|\s)\\(\S+)/g;
+const PLACEHOLDER = /\uE000(\d+)\uE001/g;
+
+const UNIT_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000 };
+
+/** Midnight at the start of the given date. */
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/** The next given weekday strictly after `date`. */
+const nextWeekday = (date, name) => {
+  const target = WEEKDAYS.indexOf(name.slice(0, 3).toLowerCase());
+  return addDays(startOfDay(date), ((target - date.getDay() + 7) % 7) || 7);
+};
+
+const monthIndex = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+
+/** A calendar date; without a year it is the next such date from `now`. */
+const calendarDate = (now, month, day, year) => {
+  const date = new Date(year ? Number(year) : now.getFullYear(), month, Number(day));
+  if (date.getMonth() !== month) return null; // e.g. "feb 31"
+  if (!year && date < startOfDay(now)) date.setFullYear(date.getFullYear() + 1);
+  return date;
+};
+
+/** Normalizes the unit word of "in 3 days" and similar. */
+const unitOf = (word) => {
+  const unit = word.toLowerCase();
+  if (unit.startsWith('min')) return 'minute';
+  if (unit.startsWith('h')) return 'hour';
+  return unit.replace(/s$/, '');
+};
+
+/**
+ * Parses a quick-add line.
+ *
+ * @param {string} input - The raw text typed by the user.
+ * @param {Date} now - Reference time for relative dates.
+ * @returns {{ text: string, priority: string|null, dueAt: number|null, tags: Array<string>,
+ *   recurrence: { interval: number, unit: string }|null }}
+ */
+export const parseQuickAdd = (input, now) => {
+  const escaped = [];
+  let rest = input.replace(ESCAPED_WORD, (match, word) => {
+    escaped.push(word);
+    return `\uE000${escaped.length - 1}\uE001`;
+  });
+
+  // Removes the first match of a pattern from the remaining text, unless
+  // `accept` rejects it (then the words stay part of the title)
+  const take = (regex, accept = () => true) => {
+    const match = rest.match(regex);
+    if (!match || !accept(match)) return null;
+    rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`;
+    return match;
+  };
+
+  // --- Priority ---
+  let priority = null;
+  const priorityMatch = take(PRIORITY_PATTERN);
+  if (priorityMatch) {
+    const word = priorityMatch[1].toLowerCase();
+    priority = PRIORITY_LEVELS.find((level) => level.toLowerCase().startsWith(word.slice(0, 3)));
+  }
+
+  // --- Recurrence ---
+  let recurrence = null;
+  let date = null;
+  const everyUnit = take(EVERY_UNIT_PATTERN);
+  const everyWeekday = !everyUnit && take(EVERY_WEEKDAY_PATTERN);
+  if (everyUnit) {
+    const count = everyUnit[1] ? everyUnit[1].trim().toLowerCase() : '1';
+    recurrence = { interval: count === 'other' ? 2 : Math.max(1, Number(count)), unit: everyUnit[2].toLowerCase() };
+  } else if (everyWeekday && everyWeekday[1].toLowerCase() === 'weekday') {
+    recurrence = { interval: 1, unit: 'week', weekdays: WORKING_DAYS };
+  } else if (everyWeekday) {
+    date = nextWeekday(now, everyWeekday[1]);
+    recurrence = { interval: 1, unit: 'week', weekdays: [date.getDay()] };
+  }
+
+  // --- Date ---
+  let exactTime = null;
+  let time = null;
+  const inMatch = take(IN_PATTERN);
+  if (inMatch) {
+    const amount = /^an?$/i.test(inMatch[1]) ? 1 : Number(inMatch[1]);
+    const unit = unitOf(inMatch[2]);
+    if (UNIT_MS[unit]) exactTime = now.getTime() + amount * UNIT_MS[unit];
+    else if (unit === 'month') date = new Date(now.getFullYear(), now.getMonth() + amount, now.getDate());
+    else date = addDays(now, amount * (unit === 'week' ? 7 : 1));
+  }
+
+  let match;
+  if (!date && exactTime === null) {
+    if ((match = take(DAY_WORD_PATTERN))) {
+      const word = match[1].toLowerCase();
+      date = word === 'today' || word === 'tonight' ? startOfDay(now) : addDays(now, 1);
+      if (word === 'tonight') time = { hours: TONIGHT_HOUR, minutes: 0 };
+    } else if ((match = take(NEXT_PATTERN))) {
+      date = match[1].toLowerCase() === 'week'
+        ? addDays(now, 7)
+        : new Date(now.getFullYear(), now.getMonth() + 1, now.getDate());
+    } else if ((match = take(ISO_DATE_PATTERN))) {
+      date = calendarDate(now, Number(match[2]) - 1, match[3], match[1]);
+    } else if ((match = take(MONTH_DAY_PATTERN))) {
+      date = calendarDate(now, monthIndex(match[1]), match[2], match[3]);
+    } else if ((match = take(DAY_MONTH_PATTERN))) {
+      date = calendarDate(now, monthIndex(match[2]), match[1], match[3]);
+    } else if ((match = take(WEEKDAY_PATTERN))) {
+      date = nextWeekday(now, match[1]);
+    }
+  }
+
+  // --- Time ---
+  if (exactTime === null) {
+    if ((match = take(MERIDIEM_TIME_PATTERN, ([, hour]) => Number(hour) >= 1 && Number(hour) <= 12))) {
+      const hours = Number(match[1]) % 12 + (match[3].toLowerCase() === 'pm' ? 12 : 0);
+      time = { hours, minutes: Number(match[2] || 0) };
+    } else if ((match = take(CLOCK_TIME_PATTERN))) {
+      time = { hours: Number(match[1]), minutes: Number(match[2]) };
+    } else if ((match = take(NAMED_TIME_PATTERN))) {
+      time = { hours: match[1].toLowerCase() === 'noon' ? 12 : 0, minutes: 0 };
+    }
+  }
+
+  // --- Repeat word, once dates and times no longer follow it ---
+  const repeatWord = !recurrence && take(REPEAT_WORD_PATTERN);
+  if (repeatWord) {
+    const word = repeatWord[1].toLowerCase();
+    const unit = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year', annually: 'year' }[word];
+    recurrence = { interval: 1, unit };
+  }
+
+  // --- Combine date and time ---
+  let dueAt = exactTime;
+  if (dueAt === null && date) {
+    const at = time || { hours: DEFAULT_HOUR, minutes: 0 };
+    dueAt = new Date(date.getFullYear(), date.getMonth(), date.getDate(), at.hours, at.minutes).getTime();
+    if (!time && dueAt <= now.getTime()) {
+      dueAt = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59).getTime();
+    }
+  } else if (dueAt === null && time) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate(), time.hours, time.minutes);
+    dueAt = today.getTime() > now.getTime() ? today.getTime() : addDays(today, 1).setHours(time.hours, time.minutes);
+  }
+
+  // --- Tags, then restore escaped words ---
+  const { text, tags } = parseTags(rest);
+  return {
+    text: text.replace(PLACEHOLDER, (placeholder, index) => escaped[Number(index)]),
+    priority,
+    dueAt,
+    tags,
+    recurrence,
+  };
+};
+
+/**
+ * Whether parsing found anything besides plain text (drives the live preview).
+ * @param {Object} parsed - Output of `parseQuickAdd`.
+ * @returns {boolean}
+ */
+export const hasParsedFields = (parsed) =>
+  Boolean(parsed.priority || parsed.dueAt !== null || parsed.tags.length > 0 || parsed.recurrence);
@@ -0,0 +1,95 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: quickAdd.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the quick-add parser. Every case runs against the same fixed
+ * reference time (Wednesday, January 10 2024, 14:30 local time), so the
+ * results do not depend on when or where the tests run.
+ *
+ */
+
+import { parseQuickAdd, hasParsedFields } from './quickAdd';
+
+const NOW = new Date(2024, 0, 10, 14, 30);
+const at = (month, day, hours, minutes = 0, year = 2024) => new Date(year, month, day, hours, minutes).getTime();
+const parse = (input) => parseQuickAdd(input, NOW);
+
+test('parses the full example into clean text and fields', () => {
+  expect(parse('Pay rent tomorrow 9am !high #home every month')).toEqual({
+    text: 'Pay rent',
+    priority: 'High',
+    dueAt: at(0, 11, 9),
+    tags: ['home'],
+    recurrence: { interval: 1, unit: 'month' },
+  });
+});
+
+test('leaves plain text untouched', () => {
+  const parsed = parse('Call the bank about the card');
+  expect(parsed.text).toBe('Call the bank about the card');
+  expect(hasParsedFields(parsed)).toBe(false);
+});
+
+test('understands relative days and weekdays', () => {
+  expect(parse('Ship today').dueAt).toBe(at(0, 10, 23, 59)); // 9:00 already passed
+  expect(parse('Movie tonight').dueAt).toBe(at(0, 10, 20));
+  expect(parse('Standup friday at 10:15').dueAt).toBe(at(0, 12, 10, 15));
+  expect(parse('Retro on wednesday').dueAt).toBe(at(0, 17, 9)); // never today
+  expect(parse('Plan next week').dueAt).toBe(at(0, 17, 9));
+  expect(parse('Renew in 3 days 5pm').dueAt).toBe(at(0, 13, 17));
+  expect(parse('Tea in 2 hours').dueAt).toBe(at(0, 10, 16, 30));
+});
+
+test('understands calendar dates, rolling past ones into next year', () => {
+  expect(parse('Taxes apr 15').dueAt).toBe(at(3, 15, 9));
+  expect(parse('Party 5th jan').dueAt).toBe(at(0, 5, 9, 0, 2025));
+  expect(parse('Launch 2024-02-29 noon').dueAt).toBe(at(1, 29, 12));
+  expect(parse('Nonsense feb 31').dueAt).toBeNull();
+});
+
+test('a time alone means the next time the clock shows it', () => {
+  expect(parse('Gym 6pm').dueAt).toBe(at(0, 10, 18));
+  expect(parse('Wake up 7:30am').dueAt).toBe(at(0, 11, 7, 30));
+});
+
+test('an impossible hour stays in the title', () => {
+  expect(parse('Movie 13pm')).toMatchObject({ text: 'Movie 13pm', dueAt: null });
+  expect(parse('Movie tomorrow 0am')).toMatchObject({ text: 'Movie 0am', dueAt: at(0, 11, 9) });
+});
+
+test('parses repeat rules', () => {
+  expect(parse('Water plants every 2 weeks').recurrence).toEqual({ interval: 2, unit: 'week' });
+  expect(parse('Backup every other day').recurrence).toEqual({ interval: 2, unit: 'day' });
+  expect(parse('Report weekly').recurrence).toEqual({ interval: 1, unit: 'week' });
+  const monday = parse('Review every monday');
+  expect(monday).toMatchObject({ text: 'Review', recurrence: { interval: 1, unit: 'week', weekdays: [1] }, dueAt: at(0, 15, 9) });
+  expect(parse('Standup every weekday 9:30').recurrence).toEqual({ interval: 1, unit: 'week', weekdays: [1, 2, 3, 4, 5] });
+});
+
+test('a repeat word inside the title stays part of it', () => {
+  expect(parse('Write weekly report')).toMatchObject({ text: 'Write weekly report', recurrence: null });
+  expect(parse('Daily standup notes tomorrow')).toMatchObject({ text: 'Daily standup notes', recurrence: null, dueAt: at(0, 11, 9) });
+  expect(parse('Pay rent monthly 9am #home')).toMatchObject({ text: 'Pay rent', tags: ['home'], recurrence: { interval: 1, unit: 'month' } });
+});
+
+test('a backslash keeps a word literal', () => {
+  expect(parse('Read \\#1 \\tomorrow !low')).toEqual({
+    text: 'Read #1 tomorrow',
+    priority: 'Low',
+    dueAt: null,
+    tags: [],
+    recurrence: null,
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: recurrence.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Repeat rules for tasks. A rule is stored on the todo as `recurrence`:
+ *   { interval: 1, unit: 'day' }                          daily
+ *   { interval: 3, unit: 'day' }                          every 3 days
+ *   { interval: 1, unit: 'week', weekdays: [1,2,3,4,5] }  weekdays
+ *   { interval: 2, unit: 'week', weekdays: [1, 4] }       every 2 weeks on Mon, Thu
+ *   { interval: 1, unit: 'month', monthDay: 15 }          monthly on the 15th
+ *   { interval: 1, unit: 'year' }                         yearly
+ * Weekdays use `Date#getDay()` numbering (0 = Sunday).
+ *
+ * Completing a repeating task keeps the finished instance (without a rule)
+ * and inserts the next occurrence in front of it. Every instance of a series
+ * shares a `seriesId`. All functions are pure; the current time is passed in.
+ *
+ */
+
+/** Units a repeat rule can count in. */
+export const RECURRENCE_UNITS = ['day', 'week', 'month', 'year'];
+
+/** Short weekday names, indexed like `Date#getDay()`. */
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/** Monday to Friday. */
+export const WORKING_DAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Sanitizes a stored repeat rule.
+ * @param {*} rule
+ * @returns {Object|null}
+ */
+export const normalizeRecurrence = (rule) => {
+  if (!rule || !RECURRENCE_UNITS.includes(rule.unit)) return null;
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) return null;
+
+  const normalized = { interval: rule.interval, unit: rule.unit };
+  if (rule.unit === 'week' && Array.isArray(rule.weekdays)) {
+    const weekdays = [...new Set(rule.weekdays.filter((day) => Number.isInteger(day) && day >= 0 && day <= 6))]
+      .sort((a, b) => a - b);
+    if (weekdays.length > 0) normalized.weekdays = weekdays;
+  }
+  if (rule.unit === 'month' && Number.isInteger(rule.monthDay) && rule.monthDay >= 1 && rule.monthDay <= 31) {
+    normalized.monthDay = rule.monthDay;
+  }
+  return normalized;
+};
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+};
+
+/**
+ * Human readable rule, e.g. "every month", "every 2 weeks on Mon, Thu".
+ * @param {Object} rule
+ * @returns {string}
+ */
+export const describeRecurrence = ({ interval, unit, weekdays, monthDay }) => {
+  if (unit === 'week' && weekdays && weekdays.length > 0) {
+    if (interval === 1 && weekdays.join() === WORKING_DAYS.join()) return 'every weekday';
+    const days = weekdays.map((day) => WEEKDAY_NAMES[day]).join(', ');
+    return interval === 1 ? `every ${days}` : `every ${interval} weeks on ${days}`;
+  }
+  const base = interval === 1 ? `every ${unit}` : `every ${interval} ${unit}s`;
+  return unit === 'month' && monthDay ? `${base} on the ${ordinal(monthDay)}` : base;
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/**
+ * Computes the occurrence that follows `from`, keeping its time of day.
+ * Month days past the end of a short month fall on its last day.
+ *
+ * @param {Object} rule
+ * @param {number} from - Timestamp of the current occurrence.
+ * @returns {number} Timestamp of the next occurrence.
+ */
+export const nextOccurrence = (rule, from) => {
+  const date = new Date(from);
+  const year = date.getFullYear();
+  const month = date.getMonth();
+  const day = date.getDate();
+  const at = (y, m, d) => new Date(y, m, d, date.getHours(), date.getMinutes()).getTime();
+
+  if (rule.unit === 'week' && rule.weekdays && rule.weekdays.length > 0) {
+    // Walk forward day by day; only weeks that are a multiple of `interval`
+    // after the current one are eligible
+    for (let offset = 1; offset <= 7 * (rule.interval + 1); offset++) {
+      const weeksAhead = Math.floor((date.getDay() + offset) / 7);
+      const weekday = (date.getDay() + offset) % 7;
+      if (weeksAhead % rule.interval === 0 && rule.weekdays.includes(weekday)) return at(year, month, day + offset);
+    }
+  }
+
+  if (rule.unit === 'month') {
+    if (rule.monthDay) {
+      const thisMonth = Math.min(rule.monthDay, daysInMonth(year, month));
+      if (day < thisMonth) return at(year, month, thisMonth);
+    }
+    const target = new Date(year, month + rule.interval, 1);
+    const targetDay = Math.min(rule.monthDay || day, daysInMonth(target.getFullYear(), target.getMonth()));
+    return at(target.getFullYear(), target.getMonth(), targetDay);
+  }
+
+  if (rule.unit === 'year') {
+    return at(year + rule.interval, month, Math.min(day, daysInMonth(year + rule.interval, month)));
+  }
+
+  return at(year, month, day + rule.interval * (rule.unit === 'week' ? 7 : 1));
+};
+
+/**
+ * The first occurrence after `now`, counted from the task's due date (or
+ * from `now` when it has none). Occurrences missed in the past are skipped.
+ *
+ * @param {Object} todo - A task with a `recurrence` rule.
+ * @param {number} now
+ * @returns {number}
+ */
+export const nextDueAfter = (todo, now) => {
+  let due = todo.dueAt || now;
+  for (let i = 0; i < 1000; i++) {
+    due = nextOccurrence(todo.recurrence, due);
+    if (due > now) break;
+  }
+  return due;
+};
+
+/**
+ * Completes one occurrence of a repeating task.
+ *
+ * @param {Object} todo - The open, repeating task.
+ * @param {number} now
+ * @param {number} nextId - Id for the new occurrence.
+ * @returns {Array<Object>} `[nextOccurrence, completedInstance]`, in list order.
+ */
+export const completeOccurrence = (todo, now, nextId) => {
+  const seriesId = todo.seriesId || todo.id;
+  const next = {
+    ...todo,
+    id: nextId,
+    seriesId,
+    createdAt: now,
+    completed: false,
+    reminded: false,
+    dueAt: nextDueAfter(todo, now),
+    ...(todo.subtasks && { subtasks: todo.subtasks.map((subtask) => ({ ...subtask, completed: false })) }),
+  };
+  return [next, { ...todo, seriesId, completed: true, completedAt: now, recurrence: null }];
+};
@@ -0,0 +1,57 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: recurrence.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for next-occurrence dates and completing a repeating task.
+ * Dates are built in local time (January 10 2024 is a Wednesday).
+ *
+ */
+
+import { nextOccurrence, nextDueAfter, completeOccurrence, describeRecurrence } from './recurrence';
+
+const at = (month, day, hours = 9, year = 2024) => new Date(year, month, day, hours).getTime();
+const WED = at(0, 10);
+
+test('computes the next occurrence for each kind of rule', () => {
+  expect(nextOccurrence({ interval: 3, unit: 'day' }, WED)).toBe(at(0, 13));
+  expect(nextOccurrence({ interval: 1, unit: 'week', weekdays: [1, 2, 3, 4, 5] }, at(0, 12))).toBe(at(0, 15));
+  expect(nextOccurrence({ interval: 1, unit: 'week', weekdays: [1, 4] }, WED)).toBe(at(0, 11));
+  expect(nextOccurrence({ interval: 2, unit: 'week', weekdays: [1] }, WED)).toBe(at(0, 22));
+  expect(nextOccurrence({ interval: 1, unit: 'month', monthDay: 15 }, WED)).toBe(at(0, 15));
+  expect(nextOccurrence({ interval: 1, unit: 'month', monthDay: 31 }, at(0, 31))).toBe(at(1, 29));
+});
+
+test('skips occurrences that are already in the past', () => {
+  const todo = { recurrence: { interval: 1, unit: 'day' }, dueAt: at(0, 1) };
+  expect(nextDueAfter(todo, WED)).toBe(at(0, 11));
+});
+
+test('completing keeps the finished instance and adds the next one', () => {
+  const todo = {
+    id: 1, text: 'Weekly report', completed: false, dueAt: WED,
+    recurrence: { interval: 1, unit: 'week' },
+    subtasks: [{ id: 1, text: 'Draft', completed: true }],
+  };
+  const [next, done] = completeOccurrence(todo, WED - 1000, 2);
+  expect(next).toMatchObject({ id: 2, seriesId: 1, completed: false, dueAt: at(0, 17) });
+  expect(next.subtasks[0].completed).toBe(false);
+  expect(done).toMatchObject({ id: 1, seriesId: 1, completed: true, recurrence: null });
+});
+
+test('describes rules in words', () => {
+  expect(describeRecurrence({ interval: 1, unit: 'week', weekdays: [1, 2, 3, 4, 5] })).toBe('every weekday');
+  expect(describeRecurrence({ interval: 2, unit: 'week', weekdays: [1, 4] })).toBe('every 2 weeks on Mon, Thu');
+  expect(describeRecurrence({ interval: 1, unit: 'month', monthDay: 22 })).toBe('every month on the 22nd');
+});
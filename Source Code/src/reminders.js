@@ -0,0 +1,84 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: reminders.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Local due-date reminders while the tab is open. Timers are derived from the
+ * stored `dueAt` values each time the list changes, so reminders are restored
+ * automatically after a reload without any separate persistence.
+ *
+ * Delivery uses the Notification API when the user has granted permission and
+ * falls back to a caller-supplied in-app handler (a toast) otherwise.
+ *
+ */
+
+// setTimeout stores its delay as a signed 32-bit integer (~24.8 days)
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Checks whether system notifications can be shown right now.
+ * @returns {boolean}
+ */
+const canNotify = () =>
+  typeof window !== 'undefined' &&
+  'Notification' in window &&
+  window.Notification.permission === 'granted';
+
+/**
+ * Asks for notification permission if it has not been decided yet.
+ * Must be called from a user gesture (e.g. setting a due date).
+ */
+export const requestReminderPermission = () => {
+  if (typeof window === 'undefined' || !('Notification' in window)) return;
+  if (window.Notification.permission === 'default') {
+    window.Notification.requestPermission().catch(() => { });
+  }
+};
+
+/**
+ * Schedules a reminder for every incomplete task that has a due date and has
+ * not been reminded yet. Tasks that came due while the tab was closed fire
+ * immediately.
+ *
+ * @param {Array<Object>} todos - The current list.
+ * @param {Function} onDue - Called with the todo when its reminder fires.
+ * @param {number} [now=Date.now()] - Current time in epoch milliseconds.
+ * @returns {Function} Cancels every scheduled timer.
+ */
+export const scheduleReminders = (todos, onDue, now = Date.now()) => {
+  const timers = todos
+    .filter((todo) => todo.dueAt && !todo.completed && !todo.reminded)
+    .filter((todo) => todo.dueAt - now <= MAX_TIMER_DELAY)
+    .map((todo) => setTimeout(() => onDue(todo), Math.max(0, todo.dueAt - now)));
+
+  return () => timers.forEach(clearTimeout);
+};
+
+/**
+ * Delivers a reminder for a task.
+ * @param {Object} todo - The task that came due.
+ * @param {Function} fallback - In-app handler used when notifications are unavailable.
+ */
+export const deliverReminder = (todo, fallback) => {
+  const message = `Task due: ${todo.text}`;
+  if (canNotify()) {
+    try {
+      new window.Notification('React Todo App', { body: message, tag: `todo-${todo.id}` });
+      return;
+    } catch (error) {
+      // Some mobile browsers expose the API but only allow it from a service worker
+    }
+  }
+  fallback(message);
+};
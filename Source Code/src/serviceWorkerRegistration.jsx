@@ -20,7 +20,7 @@
  *
  * It distinguishes between localhost and production environments to ensure
  * developers strictly interact with the latest code, while end-users benefit
- * from cache-first serving strategies.
+ * from stale-while-revalidate caching.
  *
  */
 
@@ -34,38 +34,51 @@ const isLocalhost = Boolean(
     window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
 );
 
+/**
+ * Resolves once the page has finished loading, so registration never
+ * competes with the app's own requests.
+ * @returns {Promise<void>}
+ */
+function pageLoaded() {
+    if (document.readyState === 'complete') return Promise.resolve();
+    return new Promise((resolve) => window.addEventListener('load', () => resolve(), { once: true }));
+}
+
 /**
  * Registers the service worker to allow the app to work offline.
  * 
  * @param {Object} config - Optional configuration object.
+ * @returns {Promise<ServiceWorkerRegistration|null>} Settles once registration
+ *   has been attempted; null when there is nothing to register.
  */
 export function register(config) {
-    // Guard Clause: Only register in production and if the browser supports it
-    if (process.env.NODE_ENV === 'production' && 'serviceWorker' in navigator) {
+    // Guard Clause: Only register in production builds and if the browser supports it
+    if (import.meta.env.PROD && 'serviceWorker' in navigator) {
 
         // Ensure the service worker is served from the same origin to prevent security issues
-        const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+        const publicUrl = new URL(import.meta.env.BASE_URL, window.location.href);
         if (publicUrl.origin !== window.location.origin) {
-            return;
+            return Promise.resolve(null);
         }
 
-        window.addEventListener('load', () => {
-            const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+        return pageLoaded().then(() => {
+            // BASE_URL is the app's base path ('/REACT-TODO-APP/'), which also becomes the worker's scope
+            const swUrl = `${import.meta.env.BASE_URL}service-worker.js`;
 
             if (isLocalhost) {
-                // Localhost: Check if a service worker exists to avoid caching issues during dev
-                checkValidServiceWorker(swUrl, config);
-
                 // Add some logging to help developers know that the service worker is running
                 navigator.serviceWorker.ready.then(() => {
-                    console.log('This web app is being served cache-first by a service worker.');
+                    console.log('This web app is being served from the cache by a service worker.');
                 });
-            } else {
-                // Production: Register the valid service worker
-                registerValidSW(swUrl, config);
+
+                // Localhost: Check if a service worker exists to avoid caching issues during dev
+                return checkValidServiceWorker(swUrl, config);
             }
+            // Production: Register the valid service worker
+            return registerValidSW(swUrl, config);
         });
     }
+    return Promise.resolve(null);
 }
 
 /**
@@ -73,9 +86,10 @@ export function register(config) {
  * 
  * @param {string} swUrl - The URL of the service worker script.
  * @param {Object} config - Configuration object (e.g., onSuccess, onUpdate callbacks).
+ * @returns {Promise<ServiceWorkerRegistration|null>}
  */
 function registerValidSW(swUrl, config) {
-    navigator.serviceWorker
+    return navigator.serviceWorker
         .register(swUrl)
         .then((registration) => {
             registration.onupdatefound = () => {
@@ -101,9 +115,11 @@ function registerValidSW(swUrl, config) {
                     }
                 };
             };
+            return registration;
         })
         .catch((error) => {
             console.error('Error during service worker registration:', error);
+            return null;
         });
 }
 
@@ -112,7 +128,7 @@ function registerValidSW(swUrl, config) {
  * If not, it unregisters the rogue worker and reloads.
  */
 function checkValidServiceWorker(swUrl, config) {
-    fetch(swUrl, {
+    return fetch(swUrl, {
         headers: { 'Service-Worker': 'script' },
     })
         .then((response) => {
@@ -128,13 +144,14 @@ function checkValidServiceWorker(swUrl, config) {
                         window.location.reload();
                     });
                 });
-            } else {
-                // Service worker found. Proceed as normal.
-                registerValidSW(swUrl, config);
+                return null;
             }
+            // Service worker found. Proceed as normal.
+            return registerValidSW(swUrl, config);
         })
         .catch(() => {
             console.log('No internet connection found. App is running in offline mode.');
+            return null;
         });
 }
 
@@ -0,0 +1,297 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: soundPacks.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Sounds described as data, and the scheduler that plays them.
+ *
+ * A sound pack is a plain (JSON-compatible) object:
+ *   { name, sounds: { click, add, complete, uncomplete, delete, victory, credits } }
+ * Each sound is a list of notes:
+ *   { at?, freq, wave?, duration, level?, detune?, slideTo?, envelope? }
+ * - `at`: start offset in seconds from the start of the sound.
+ * - `freq`: pitch in Hz; `slideTo` bends it exponentially over the note.
+ * - `wave`: 'sine' (default), 'square', 'sawtooth' or 'triangle'.
+ * - `duration`: total length in seconds, release included.
+ * - `level`: peak level relative to the master volume (default 1).
+ * - `detune`: in cents.
+ * - `envelope`: { attack, decay, sustain, release } - times in seconds and
+ *   the sustain level as a fraction of the peak. Without one the note starts
+ *   at its peak and decays over its whole duration.
+ *
+ * Notes are scheduled on the AudioContext clock rather than with timers, so
+ * sequences stay tight when the main thread is busy. Sounds missing from a
+ * pack fall back to the classic pack.
+ *
+ */
+
+/** Sounds a pack can define. 'toggle' events play 'complete' or 'uncomplete'. */
+export const SOUND_NAMES = ['click', 'add', 'complete', 'uncomplete', 'delete', 'victory', 'credits'];
+
+const WAVES = ['sine', 'square', 'sawtooth', 'triangle'];
+const SILENCE = 0.0001; // Exponential ramps cannot reach zero
+const MAX_NOTES = 32;
+const MAX_DURATION = 10;
+
+/** Square-wave gate used by the 8-bit pack: full level, then a click-free cut. */
+const GATE = { attack: 0, decay: 0, sustain: 1, release: 0.02 };
+
+/** A struck bell: the tone plus a quiet, slightly detuned octave. */
+const chime = (freq, at = 0, level = 0.6) => [
+  { at, freq, duration: 1.4, level, envelope: { attack: 0.005, decay: 0.25, sustain: 0.35, release: 1.1 } },
+  { at, freq: freq * 2, detune: 6, duration: 0.6, level: level * 0.25, envelope: { attack: 0.005, decay: 0.1, sustain: 0.2, release: 0.45 } },
+];
+
+/** Built-in packs, the default first. */
+export const SOUND_PACKS = [
+  {
+    id: 'classic',
+    name: 'Classic',
+    sounds: {
+      click: [{ freq: 800, wave: 'square', duration: 0.05, level: 0.4 }],
+      add: [
+        { freq: 400, duration: 0.1 },
+        { at: 0.05, freq: 600, duration: 0.15 },
+      ],
+      // High-pitched success shimmer (Major 3rd interval)
+      complete: [
+        { freq: 1200, duration: 0.1, level: 0.6 },
+        { at: 0.04, freq: 1500, duration: 0.2, level: 0.4 },
+      ],
+      uncomplete: [{ freq: 600, duration: 0.1, level: 0.6 }],
+      delete: [{ freq: 300, wave: 'sawtooth', duration: 0.1, level: 0.4 }],
+      // Harmonic swell on A3, each harmonic sliding up a fifth
+      victory: [1, 1.5, 2, 2.5, 3].map((harmonic, i) => ({
+        at: i * 0.15,
+        freq: 220 * harmonic,
+        slideTo: 330 * harmonic,
+        duration: 2.5,
+        envelope: { attack: 0.5, decay: 0, sustain: 1, release: 2 },
+      })),
+      // Pleasing ambient chime (Perfect 5th)
+      credits: [
+        { freq: 660, duration: 1.2, level: 0.4 },
+        { at: 0.1, freq: 440, duration: 1.5, level: 0.4 },
+      ],
+    },
+  },
+  {
+    id: 'minimal',
+    name: 'Minimal',
+    sounds: {
+      click: [{ freq: 1000, duration: 0.03, level: 0.2 }],
+      add: [{ freq: 880, duration: 0.08, level: 0.5 }],
+      complete: [{ freq: 1320, duration: 0.08, level: 0.5 }],
+      uncomplete: [{ freq: 660, duration: 0.08, level: 0.4 }],
+      delete: [{ freq: 330, duration: 0.08, level: 0.5 }],
+      victory: [
+        { freq: 880, duration: 0.15, level: 0.6 },
+        { at: 0.12, freq: 1320, duration: 0.35, level: 0.6 },
+      ],
+      credits: [{ freq: 660, duration: 0.8, level: 0.3, envelope: { attack: 0.05, decay: 0, sustain: 1, release: 0.75 } }],
+    },
+  },
+  {
+    id: 'retro',
+    name: 'Retro 8-bit',
+    sounds: {
+      click: [{ freq: 1568, wave: 'square', duration: 0.03, level: 0.25, envelope: GATE }],
+      // C major arpeggio
+      add: [523, 659, 784].map((freq, i) => ({ at: i * 0.05, freq, wave: 'square', duration: 0.05, level: 0.3, envelope: GATE })),
+      complete: [
+        { freq: 784, wave: 'square', duration: 0.06, level: 0.3, envelope: GATE },
+        { at: 0.06, freq: 1047, wave: 'square', duration: 0.1, level: 0.3, envelope: GATE },
+      ],
+      uncomplete: [
+        { freq: 523, wave: 'square', duration: 0.06, level: 0.3, envelope: GATE },
+        { at: 0.06, freq: 392, wave: 'square', duration: 0.08, level: 0.3, envelope: GATE },
+      ],
+      delete: [{ freq: 220, slideTo: 55, wave: 'square', duration: 0.15, level: 0.3, envelope: GATE }],
+      // Fanfare over a triangle bass
+      victory: [
+        ...[523, 659, 784].map((freq, i) => ({ at: i * 0.1, freq, wave: 'square', duration: 0.09, level: 0.3, envelope: GATE })),
+        { at: 0.3, freq: 1047, wave: 'square', duration: 0.6, level: 0.3, envelope: { attack: 0, decay: 0.1, sustain: 0.7, release: 0.2 } },
+        { at: 0.3, freq: 131, wave: 'triangle', duration: 0.6, level: 0.6, envelope: GATE },
+      ],
+      credits: [440, 554, 659, 880].map((freq, i) => ({ at: i * 0.2, freq, wave: 'triangle', duration: 0.3, level: 0.5, envelope: GATE })),
+    },
+  },
+  {
+    id: 'chimes',
+    name: 'Soft chimes',
+    sounds: {
+      click: [{ freq: 2093, duration: 0.08, level: 0.15, envelope: { attack: 0.002, decay: 0, sustain: 1, release: 0.078 } }],
+      add: [...chime(784), ...chime(1175, 0.08, 0.4)],
+      complete: [...chime(1047), ...chime(1319, 0.06, 0.45)],
+      uncomplete: chime(659, 0, 0.4),
+      delete: chime(392, 0, 0.45),
+      victory: [523, 659, 784, 1047].flatMap((freq, i) => chime(freq, i * 0.18, 0.5)),
+      credits: [...chime(659, 0, 0.35), ...chime(440, 0.25, 0.35)],
+    },
+  },
+];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Turns a note's envelope into gain automation, relative to the note start.
+ * @param {Object} note
+ * @returns {Array<{ ramp: 'set'|'linear'|'exponential', value: number, time: number }>}
+ */
+export const envelopeSteps = (note) => {
+  const level = note.level ?? 1;
+  const { attack = 0, decay = 0, sustain = 1, release = note.duration } = note.envelope || {};
+  const sustainLevel = Math.max(level * sustain, SILENCE);
+  const releaseStart = Math.max(attack + decay, note.duration - release);
+
+  const steps = attack > 0
+    ? [{ ramp: 'set', value: 0, time: 0 }, { ramp: 'linear', value: level, time: attack }]
+    : [{ ramp: 'set', value: level, time: 0 }];
+  if (decay > 0) steps.push({ ramp: 'exponential', value: sustainLevel, time: attack + decay });
+  if (releaseStart > attack + decay) steps.push({ ramp: 'set', value: sustainLevel, time: releaseStart });
+  steps.push({ ramp: 'exponential', value: SILENCE, time: note.duration });
+  return steps;
+};
+
+const RAMPS = {
+  set: 'setValueAtTime',
+  linear: 'linearRampToValueAtTime',
+  exponential: 'exponentialRampToValueAtTime',
+};
+
+/**
+ * Schedules a sound on an audio context (a live, offline or mocked one).
+ * @param {BaseAudioContext} ctx
+ * @param {AudioNode} output - Where the notes are connected (the master gain).
+ * @param {Array<Object>} notes
+ * @param {number} [when] - Context time to start at; defaults to now.
+ * @returns {number} Context time at which the last note ends.
+ */
+export const scheduleSound = (ctx, output, notes, when = ctx.currentTime) => {
+  let end = when;
+  notes.forEach((note) => {
+    const start = when + (note.at || 0);
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+
+    osc.type = note.wave || 'sine';
+    osc.frequency.setValueAtTime(note.freq, start);
+    if (note.slideTo) osc.frequency.exponentialRampToValueAtTime(note.slideTo, start + note.duration);
+    if (note.detune) osc.detune.setValueAtTime(note.detune, start);
+    envelopeSteps(note).forEach(({ ramp, value, time }) => gain.gain[RAMPS[ramp]](value, start + time));
+
+    osc.connect(gain);
+    gain.connect(output);
+    osc.start(start);
+    osc.stop(start + note.duration);
+    end = Math.max(end, start + note.duration);
+  });
+  return end;
+};
+
+const checkNote = (note, where) => {
+  const fail = (problem) => {
+    throw new Error(`${where}: ${problem}.`);
+  };
+  if (!note || typeof note !== 'object') fail('is not a note');
+  if (!isNumber(note.freq) || note.freq <= 0) fail('"freq" must be a positive number');
+  if (!isNumber(note.duration) || note.duration <= 0 || note.duration > MAX_DURATION) {
+    fail(`"duration" must be between 0 and ${MAX_DURATION} seconds`);
+  }
+  if (note.wave !== undefined && !WAVES.includes(note.wave)) fail(`"wave" must be one of ${WAVES.join(', ')}`);
+  ['at', 'detune'].forEach((key) => {
+    if (note[key] !== undefined && !isNumber(note[key])) fail(`"${key}" must be a number`);
+  });
+  if (note.at < 0) fail('"at" cannot be negative');
+  if (note.level !== undefined && (!isNumber(note.level) || note.level < 0 || note.level > 1)) {
+    fail('"level" must be between 0 and 1');
+  }
+  if (note.slideTo !== undefined && (!isNumber(note.slideTo) || note.slideTo <= 0)) fail('"slideTo" must be a positive number');
+  if (note.envelope !== undefined) {
+    if (!note.envelope || typeof note.envelope !== 'object') fail('"envelope" must be an object');
+    ['attack', 'decay', 'sustain', 'release'].forEach((key) => {
+      const value = note.envelope[key];
+      if (value !== undefined && (!isNumber(value) || value < 0)) fail(`envelope "${key}" must be a non-negative number`);
+    });
+    if (note.envelope.sustain > 1) fail('envelope "sustain" must be between 0 and 1');
+    if ((note.envelope.attack || 0) + (note.envelope.decay || 0) > note.duration) {
+      fail('envelope attack and decay must fit in the duration');
+    }
+  }
+};
+
+/**
+ * Validates a user-supplied sound pack and keeps only what the app uses.
+ * @param {*} data - Parsed JSON.
+ * @returns {{ id: 'custom', name: string, sounds: Object }}
+ * @throws {Error} Naming the first problem found.
+ */
+export const validateSoundPack = (data) => {
+  if (!data || typeof data !== 'object' || !data.sounds || typeof data.sounds !== 'object') {
+    throw new Error('A sound pack needs a "sounds" object.');
+  }
+  const sounds = {};
+  SOUND_NAMES.forEach((name) => {
+    const notes = data.sounds[name];
+    if (notes === undefined) return;
+    if (!Array.isArray(notes) || notes.length === 0 || notes.length > MAX_NOTES) {
+      throw new Error(`Sound "${name}" must be a list of 1 to ${MAX_NOTES} notes.`);
+    }
+    notes.forEach((note, i) => checkNote(note, `Sound "${name}", note ${i + 1}`));
+    sounds[name] = notes;
+  });
+  if (Object.keys(sounds).length === 0) throw new Error(`The pack defines none of: ${SOUND_NAMES.join(', ')}.`);
+
+  const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim().slice(0, 40) : 'Custom';
+  return { id: 'custom', name, sounds };
+};
+
+/**
+ * Reads a sound pack from a JSON file's text.
+ * @param {string} text
+ * @returns {{ id: 'custom', name: string, sounds: Object }}
+ * @throws {Error} When the text is not JSON or not a valid pack.
+ */
+export const parseSoundPack = (text) => validateSoundPack(JSON.parse(text));
+
+/**
+ * Restores the stored custom pack, dropping it if it is no longer valid.
+ * @param {*} saved
+ * @returns {Object|null}
+ */
+export const restoreSoundPack = (saved) => {
+  if (!saved) return null;
+  try {
+    return validateSoundPack(saved);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Finds the pack chosen in the settings.
+ * @param {string} id - A built-in pack id, or 'custom'.
+ * @param {Object|null} customPack - The user's loaded pack, if any.
+ * @returns {Object} The pack; the classic one when the id is unknown.
+ */
+export const resolveSoundPack = (id, customPack) =>
+  (id === 'custom' && customPack) || SOUND_PACKS.find((pack) => pack.id === id) || SOUND_PACKS[0];
+
+/**
+ * The notes of a sound, falling back to the classic pack.
+ * @param {Object} pack
+ * @param {string} name - One of `SOUND_NAMES`.
+ * @returns {Array<Object>}
+ */
+export const soundNotes = (pack, name) => pack.sounds[name] || SOUND_PACKS[0].sounds[name];
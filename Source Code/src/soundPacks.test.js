@@ -0,0 +1,100 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: soundPacks.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for sound packs: envelopes, scheduling on a recording audio context,
+ * and validation of user-supplied packs.
+ *
+ */
+
+import {
+  SOUND_PACKS,
+  envelopeSteps,
+  scheduleSound,
+  validateSoundPack,
+  parseSoundPack,
+  resolveSoundPack,
+  soundNotes,
+} from './soundPacks';
+
+/** An audio context that records every call instead of making sound. */
+const recordingContext = () => {
+  const calls = [];
+  const param = (node, name) => new Proxy({}, {
+    get: (target, method) => (...args) => calls.push([node, `${name}.${method}`, ...args]),
+  });
+  let count = 0;
+  const node = (kind) => {
+    const id = `${kind}${count++}`;
+    return {
+      id,
+      gain: param(id, 'gain'),
+      frequency: param(id, 'frequency'),
+      detune: param(id, 'detune'),
+      set type(value) { calls.push([id, 'type', value]); },
+      connect: (target) => calls.push([id, 'connect', target.id]),
+      start: (time) => calls.push([id, 'start', time]),
+      stop: (time) => calls.push([id, 'stop', time]),
+    };
+  };
+  return { calls, ctx: { currentTime: 5, createOscillator: () => node('osc'), createGain: () => node('gain') } };
+};
+
+test('turns envelopes into gain automation', () => {
+  expect(envelopeSteps({ freq: 440, duration: 0.1, level: 0.5 })).toEqual([
+    { ramp: 'set', value: 0.5, time: 0 },
+    { ramp: 'exponential', value: 0.0001, time: 0.1 },
+  ]);
+  expect(envelopeSteps({ freq: 440, duration: 1, envelope: { attack: 0.25, decay: 0.25, sustain: 0.5, release: 0.25 } })).toEqual([
+    { ramp: 'set', value: 0, time: 0 },
+    { ramp: 'linear', value: 1, time: 0.25 },
+    { ramp: 'exponential', value: 0.5, time: 0.5 },
+    { ramp: 'set', value: 0.5, time: 0.75 },
+    { ramp: 'exponential', value: 0.0001, time: 1 },
+  ]);
+});
+
+test('schedules notes on the context clock', () => {
+  const { ctx, calls } = recordingContext();
+  const end = scheduleSound(ctx, { id: 'master' }, [
+    { freq: 400, duration: 0.1 },
+    { at: 0.05, freq: 600, wave: 'square', detune: 7, slideTo: 900, duration: 0.15 },
+  ]);
+
+  expect(end).toBeCloseTo(5.2);
+  expect(calls).toContainEqual(['osc0', 'start', 5]);
+  expect(calls).toContainEqual(['osc2', 'start', 5.05]);
+  expect(calls).toContainEqual(['osc2', 'type', 'square']);
+  expect(calls).toContainEqual(['osc2', 'detune.setValueAtTime', 7, 5.05]);
+  expect(calls).toContainEqual(['osc2', 'frequency.exponentialRampToValueAtTime', 900, 5.2]);
+  expect(calls).toContainEqual(['gain3', 'connect', 'master']);
+});
+
+test('validates user-supplied packs and falls back to the classic sounds', () => {
+  SOUND_PACKS.forEach((pack) => expect(() => validateSoundPack(pack)).not.toThrow());
+
+  const pack = parseSoundPack('{"name": "Mine", "sounds": {"add": [{"freq": 500, "duration": 0.2}], "other": 1}}');
+  expect(pack).toEqual({ id: 'custom', name: 'Mine', sounds: { add: [{ freq: 500, duration: 0.2 }] } });
+  expect(soundNotes(pack, 'delete')).toBe(SOUND_PACKS[0].sounds.delete);
+
+  expect(() => parseSoundPack('not json')).toThrow();
+  expect(() => validateSoundPack({ sounds: {} })).toThrow('defines none');
+  expect(() => validateSoundPack({ sounds: { add: [{ freq: -1, duration: 1 }] } })).toThrow('Sound "add", note 1: "freq"');
+  expect(() => validateSoundPack({ sounds: { add: [{ freq: 1, duration: 1, wave: 'noise' }] } })).toThrow('"wave"');
+
+  expect(resolveSoundPack('custom', pack)).toBe(pack);
+  expect(resolveSoundPack('custom', null)).toBe(SOUND_PACKS[0]);
+  expect(resolveSoundPack('retro', null).name).toBe('Retro 8-bit');
+});
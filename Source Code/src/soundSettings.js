@@ -0,0 +1,60 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: soundSettings.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The user's sound preferences: a master switch, a master volume, one
+ * switch per sound event and the sound pack (see `soundPacks.js`). Stored as the 'sound-settings' setting and applied
+ * to `SoundEngine` by `TodoApp`.
+ *
+ */
+
+/** Sound events that can be switched individually, in display order. */
+export const SOUND_EVENTS = [
+  { id: 'add', label: 'Add task' },
+  { id: 'toggle', label: 'Complete task' },
+  { id: 'delete', label: 'Delete task' },
+  { id: 'victory', label: 'Goal achieved' },
+  { id: 'credits', label: 'Credits' },
+  { id: 'click', label: 'Interface clicks' },
+];
+
+/** Everything on at 70% volume, with the classic sounds. */
+export const DEFAULT_SOUND_SETTINGS = {
+  enabled: true,
+  volume: 0.7,
+  events: Object.fromEntries(SOUND_EVENTS.map(({ id }) => [id, true])),
+  pack: 'classic',
+};
+
+/**
+ * Sanitizes stored sound settings, filling gaps with the defaults.
+ * @param {*} saved
+ * @returns {{ enabled: boolean, volume: number, events: Object<string, boolean>, pack: string }}
+ */
+export const normalizeSoundSettings = (saved) => {
+  if (!saved || typeof saved !== 'object') return DEFAULT_SOUND_SETTINGS;
+  const volume = typeof saved.volume === 'number' && Number.isFinite(saved.volume)
+    ? Math.min(1, Math.max(0, saved.volume))
+    : DEFAULT_SOUND_SETTINGS.volume;
+  const events = Object.fromEntries(
+    SOUND_EVENTS.map(({ id }) => [id, saved.events && typeof saved.events[id] === 'boolean' ? saved.events[id] : true])
+  );
+  return {
+    enabled: typeof saved.enabled === 'boolean' ? saved.enabled : true,
+    volume,
+    events,
+    pack: typeof saved.pack === 'string' ? saved.pack : DEFAULT_SOUND_SETTINGS.pack,
+  };
+};
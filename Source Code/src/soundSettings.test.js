@@ -0,0 +1,35 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: soundSettings.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for loading stored sound preferences.
+ *
+ */
+
+import { DEFAULT_SOUND_SETTINGS, normalizeSoundSettings } from './soundSettings';
+
+test('falls back to the defaults for missing or broken settings', () => {
+  expect(normalizeSoundSettings(null)).toEqual(DEFAULT_SOUND_SETTINGS);
+  expect(normalizeSoundSettings({ enabled: 'no', volume: 'loud', events: 3 })).toEqual(DEFAULT_SOUND_SETTINGS);
+});
+
+test('keeps valid choices and clamps the volume', () => {
+  const settings = normalizeSoundSettings({ enabled: false, volume: 1.5, events: { delete: false, unknown: false } });
+  expect(settings.enabled).toBe(false);
+  expect(settings.volume).toBe(1);
+  expect(settings.events.delete).toBe(false);
+  expect(settings.events.add).toBe(true);
+  expect(settings.events).not.toHaveProperty('unknown');
+});
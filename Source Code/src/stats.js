@@ -0,0 +1,184 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: stats.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Productivity statistics computed from the stored todos, including the
+ * archive. Everything is derived from two timestamps per task:
+ * - `createdAt`: set when a task is added. Older tasks fall back to their
+ *   id, which has always been `Date.now()` at creation.
+ * - `completedAt`: set when a task is completed. Tasks completed before the
+ *   field existed are left out of the time-based figures.
+ *
+ * All functions are pure and take the current time as an argument. Days and
+ * hours are in local time; weeks start on Monday.
+ *
+ */
+
+import { PRIORITY_LEVELS } from './todoViews';
+
+// Ids older than this are not timestamps (e.g. imported or hand-written ids)
+const EARLIEST_TIMESTAMP = Date.UTC(2015, 0, 1);
+
+/**
+ * When a task was created, if known.
+ * @param {Object} todo
+ * @returns {number|null}
+ */
+export const createdAtOf = (todo) => {
+  if (typeof todo.createdAt === 'number') return todo.createdAt;
+  return typeof todo.id === 'number' && todo.id >= EARLIEST_TIMESTAMP ? todo.id : null;
+};
+
+/** Local midnight of the day containing `time`. */
+const startOfDay = (time) => {
+  const date = new Date(time);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+};
+
+/** Local midnight of the Monday starting the week containing `time`. */
+const startOfWeek = (time) => {
+  const date = new Date(startOfDay(time));
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7)).getTime();
+};
+
+/** Local midnight `days` days after (or before) the given midnight. */
+const shiftDays = (midnight, days) => {
+  const date = new Date(midnight);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days).getTime();
+};
+
+const completionTimes = (todos) =>
+  todos.filter((todo) => todo.completed && typeof todo.completedAt === 'number').map((todo) => todo.completedAt);
+
+/**
+ * Completions per day for the last `days` days, oldest first.
+ * @param {Array<Object>} todos
+ * @param {number} now
+ * @param {number} [days=14]
+ * @returns {Array<{ start: number, count: number }>}
+ */
+export const completionsPerDay = (todos, now, days = 14) => {
+  const today = startOfDay(now);
+  const buckets = Array.from({ length: days }, (_, i) => ({ start: shiftDays(today, i - days + 1), count: 0 }));
+  completionTimes(todos).forEach((time) => {
+    const bucket = buckets.find((b) => b.start === startOfDay(time));
+    if (bucket) bucket.count++;
+  });
+  return buckets;
+};
+
+/**
+ * Completions per week for the last `weeks` weeks, oldest first.
+ * @param {Array<Object>} todos
+ * @param {number} now
+ * @param {number} [weeks=8]
+ * @returns {Array<{ start: number, count: number }>}
+ */
+export const completionsPerWeek = (todos, now, weeks = 8) => {
+  const thisWeek = startOfWeek(now);
+  const buckets = Array.from({ length: weeks }, (_, i) => ({ start: shiftDays(thisWeek, (i - weeks + 1) * 7), count: 0 }));
+  completionTimes(todos).forEach((time) => {
+    const bucket = buckets.find((b) => b.start === startOfWeek(time));
+    if (bucket) bucket.count++;
+  });
+  return buckets;
+};
+
+/**
+ * Number of consecutive days, up to today, with at least one completion.
+ * A streak is still alive today if it ran until yesterday.
+ * @param {Array<Object>} todos
+ * @param {number} now
+ * @returns {number}
+ */
+export const currentStreak = (todos, now) => {
+  const days = new Set(completionTimes(todos).map(startOfDay));
+  let day = startOfDay(now);
+  if (!days.has(day)) day = shiftDays(day, -1);
+  let streak = 0;
+  while (days.has(day)) {
+    streak++;
+    day = shiftDays(day, -1);
+  }
+  return streak;
+};
+
+/**
+ * Average time from creation to completion.
+ * @param {Array<Object>} todos
+ * @returns {number|null} Milliseconds, or null when nothing can be measured.
+ */
+export const averageCompletionTime = (todos) => {
+  const durations = todos
+    .filter((todo) => todo.completed && typeof todo.completedAt === 'number' && createdAtOf(todo) !== null)
+    .map((todo) => todo.completedAt - createdAtOf(todo))
+    .filter((duration) => duration >= 0);
+  if (durations.length === 0) return null;
+  return durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+};
+
+/**
+ * Task and completion counts per priority, highest priority first.
+ * @param {Array<Object>} todos
+ * @returns {Array<{ priority: string, total: number, completed: number }>}
+ */
+export const priorityBreakdown = (todos) =>
+  [...PRIORITY_LEVELS].reverse().map((priority) => {
+    const matching = todos.filter((todo) => (todo.priority || 'Medium') === priority);
+    return { priority, total: matching.length, completed: matching.filter((todo) => todo.completed).length };
+  });
+
+/**
+ * Completions by weekday (rows, Monday first) and hour of day (columns).
+ * @param {Array<Object>} todos
+ * @returns {Array<Array<number>>} A 7 x 24 matrix of counts.
+ */
+export const hourHeatmap = (todos) => {
+  const grid = Array.from({ length: 7 }, () => Array(24).fill(0));
+  completionTimes(todos).forEach((time) => {
+    const date = new Date(time);
+    grid[(date.getDay() + 6) % 7][date.getHours()]++;
+  });
+  return grid;
+};
+
+/**
+ * Formats a duration compactly: "45m", "5h", "3d".
+ * @param {number} ms
+ * @returns {string}
+ */
+export const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${Math.max(minutes, 1)}m`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours}h`;
+  return `${Math.round(hours / 24)}d`;
+};
+
+/**
+ * Every figure shown on the statistics panel.
+ * @param {Array<Object>} todos
+ * @param {number} now
+ * @returns {Object}
+ */
+export const computeStats = (todos, now) => ({
+  perDay: completionsPerDay(todos, now),
+  perWeek: completionsPerWeek(todos, now),
+  streak: currentStreak(todos, now),
+  averageCompletion: averageCompletionTime(todos),
+  byPriority: priorityBreakdown(todos),
+  heatmap: hourHeatmap(todos),
+  totalCompleted: todos.filter((todo) => todo.completed).length,
+});
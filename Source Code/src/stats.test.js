@@ -0,0 +1,88 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: stats.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the productivity statistics aggregations.
+ *
+ */
+
+import {
+  averageCompletionTime,
+  completionsPerDay,
+  completionsPerWeek,
+  createdAtOf,
+  currentStreak,
+  formatDuration,
+  hourHeatmap,
+  priorityBreakdown,
+} from './stats';
+
+// Wednesday, 10 January 2024, 18:00 local time
+const NOW = new Date(2024, 0, 10, 18).getTime();
+const at = (day, hours = 9) => new Date(2024, 0, day, hours).getTime();
+const done = (completedAt, extra = {}) => ({ id: completedAt, text: 'Task', completed: true, completedAt, ...extra });
+
+test('buckets completions per day and per Monday-based week', () => {
+  const todos = [done(at(10)), done(at(10, 14)), done(at(8)), done(at(7)), done(at(1)), { id: 1, text: 'Open', completed: false }];
+
+  const perDay = completionsPerDay(todos, NOW, 7);
+  expect(perDay).toHaveLength(7);
+  expect(perDay[0].start).toBe(new Date(2024, 0, 4).getTime());
+  expect(perDay.map((bucket) => bucket.count)).toEqual([0, 0, 0, 1, 1, 0, 2]);
+
+  const perWeek = completionsPerWeek(todos, NOW, 3);
+  expect(perWeek.map((bucket) => new Date(bucket.start).getDate())).toEqual([25, 1, 8]);
+  expect(perWeek.map((bucket) => bucket.count)).toEqual([0, 2, 3]);
+});
+
+test('counts the current streak, keeping it alive until the day is over', () => {
+  expect(currentStreak([done(at(10)), done(at(9)), done(at(8)), done(at(6))], NOW)).toBe(3);
+  expect(currentStreak([done(at(9)), done(at(8))], NOW)).toBe(2);
+  expect(currentStreak([done(at(8))], NOW)).toBe(0);
+  expect(currentStreak([{ id: 1, text: 'Legacy', completed: true }], NOW)).toBe(0);
+});
+
+test('averages creation-to-completion time, falling back to timestamp ids', () => {
+  const todos = [
+    done(at(10, 12), { createdAt: at(10, 10) }),
+    done(at(10, 14), { id: at(10, 10) }),
+    done(at(10, 14), { id: 7 }),
+  ];
+  expect(createdAtOf(todos[1])).toBe(at(10, 10));
+  expect(createdAtOf(todos[2])).toBeNull();
+  expect(averageCompletionTime(todos)).toBe(3 * 60 * 60 * 1000);
+  expect(averageCompletionTime([])).toBeNull();
+  expect(formatDuration(3 * 60 * 60 * 1000)).toBe('3h');
+  expect(formatDuration(5 * 24 * 60 * 60 * 1000)).toBe('5d');
+});
+
+test('breaks down priorities and maps completions onto a weekday-hour grid', () => {
+  const todos = [
+    done(at(10, 9), { priority: 'High' }),
+    done(at(8, 9), { priority: 'Low' }),
+    { id: 1, text: 'Open', completed: false },
+  ];
+  expect(priorityBreakdown(todos)).toEqual([
+    { priority: 'High', total: 1, completed: 1 },
+    { priority: 'Medium', total: 1, completed: 0 },
+    { priority: 'Low', total: 1, completed: 1 },
+  ]);
+
+  const grid = hourHeatmap(todos);
+  expect(grid).toHaveLength(7);
+  expect(grid[2][9]).toBe(1); // Wednesday
+  expect(grid[0][9]).toBe(1); // Monday
+  expect(grid.flat().reduce((sum, count) => sum + count, 0)).toBe(2);
+});
@@ -0,0 +1,91 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: subtasks.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Checklists nested under a task. A todo may carry an ordered `subtasks`
+ * array of `{ id, text, completed }`; these helpers create, validate and
+ * measure them. Like the rest of the data layer they never mutate input.
+ *
+ * Progress Rules:
+ * - A completed task counts as fully done, whatever its checklist says.
+ * - An open task with a checklist counts the fraction of its steps done.
+ * - An open task without a checklist counts as not started.
+ * The list total only reaches 100% once every task is actually completed.
+ *
+ */
+
+/**
+ * Returns the checklist of a task (tasks saved before subtasks have none).
+ * @param {Object} todo
+ * @returns {Array<Object>}
+ */
+export const subtasksOf = (todo) => todo.subtasks || [];
+
+/**
+ * Creates a subtask whose id does not collide with its siblings.
+ * @param {string} text
+ * @param {Array<Object>} siblings - The existing checklist.
+ * @returns {{ id: number, text: string, completed: boolean }}
+ */
+export const createSubtask = (text, siblings = []) => {
+  let id = Date.now();
+  while (siblings.some((subtask) => subtask.id === id)) id++;
+  return { id, text: text.trim(), completed: false };
+};
+
+/**
+ * Sanitizes a stored checklist, dropping entries without an id or text.
+ * @param {*} subtasks
+ * @returns {Array<Object>}
+ */
+export const normalizeSubtasks = (subtasks) =>
+  (Array.isArray(subtasks) ? subtasks : [])
+    .filter((subtask) => subtask &&
+      (typeof subtask.id === 'number' || typeof subtask.id === 'string') &&
+      typeof subtask.text === 'string' && subtask.text.trim() !== '')
+    .map((subtask) => ({ ...subtask, completed: subtask.completed === true }));
+
+/**
+ * Counts the finished and total steps of a task's checklist.
+ * @param {Object} todo
+ * @returns {{ done: number, total: number }}
+ */
+export const subtaskCounts = (todo) => {
+  const subtasks = subtasksOf(todo);
+  return { done: subtasks.filter((subtask) => subtask.completed).length, total: subtasks.length };
+};
+
+/**
+ * Returns how far along a single task is, from 0 to 1.
+ * @param {Object} todo
+ * @returns {number}
+ */
+export const taskProgress = (todo) => {
+  if (todo.completed) return 1;
+  const { done, total } = subtaskCounts(todo);
+  return total === 0 ? 0 : done / total;
+};
+
+/**
+ * Rolls task and subtask progress up into a whole percentage for a list.
+ * An unfinished list never rounds up to 100.
+ * @param {Array<Object>} todos
+ * @returns {number} 0-100.
+ */
+export const listProgress = (todos) => {
+  if (todos.length === 0) return 0;
+  const percentage = Math.round((todos.reduce((sum, todo) => sum + taskProgress(todo), 0) / todos.length) * 100);
+  return todos.every((todo) => todo.completed) ? 100 : Math.min(percentage, 99);
+};
@@ -0,0 +1,46 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: subtasks.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the rolled-up progress of tasks with checklists.
+ *
+ */
+
+import { listProgress, taskProgress, normalizeSubtasks } from './subtasks';
+
+const step = (id, completed) => ({ id, text: `Step ${id}`, completed });
+
+test('counts subtask progress instead of all-or-nothing', () => {
+  const todos = [
+    { id: 1, text: 'Plain', completed: true },
+    { id: 2, text: 'Half done', completed: false, subtasks: [step(1, true), step(2, false)] },
+  ];
+  expect(taskProgress(todos[1])).toBe(0.5);
+  expect(listProgress(todos)).toBe(75);
+});
+
+test('only reaches 100% once every task is completed', () => {
+  const open = { id: 1, text: 'Steps done', completed: false, subtasks: [step(1, true)] };
+  expect(listProgress([open])).toBe(99);
+  expect(listProgress([{ ...open, completed: true }])).toBe(100);
+  expect(listProgress([])).toBe(0);
+});
+
+test('drops unusable stored subtasks', () => {
+  expect(normalizeSubtasks([step(1, 'yes'), { id: 2, text: '  ' }, null])).toEqual([
+    { id: 1, text: 'Step 1', completed: false },
+  ]);
+  expect(normalizeSubtasks('nope')).toEqual([]);
+});
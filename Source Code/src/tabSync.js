@@ -0,0 +1,161 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: tabSync.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Live synchronization of the todo list between tabs of the same browser.
+ * Each tab broadcasts what changed (not the whole list) and merges incoming
+ * changes by task `id`, so concurrent edits to different tasks never
+ * overwrite each other.
+ *
+ * Conflict Rules:
+ * - Task edits: the most recently received version of a task wins.
+ * - Reorders: every drag carries a stamp `{ at, tabId }`. A tab adopts a
+ *   remote order only if that stamp is newer than the last order it applied
+ *   (ties broken by tab id). Every tab ends up on the same order, so drag
+ *   order does not flicker back and forth.
+ *
+ * List metadata (`lists`) is synchronized with the same helpers, in
+ * messages of its own. Lists are never dragged, so their order needs no stamp.
+ *
+ * Transport:
+ * `BroadcastChannel` where available, otherwise the `storage` event fired by
+ * writes to a dedicated localStorage key.
+ *
+ */
+
+import { mergeReorderedSubset } from './todoViews';
+
+const CHANNEL_NAME = 'react-todo-sync';
+const FALLBACK_KEY = 'react-todo-sync-message';
+
+/**
+ * Compares two order stamps.
+ * @returns {number} Positive when `a` is newer than `b`.
+ */
+export const compareStamps = (a, b) => {
+  if (!b) return a ? 1 : 0;
+  if (!a) return -1;
+  if (a.at !== b.at) return a.at - b.at;
+  return a.tabId < b.tabId ? -1 : a.tabId > b.tabId ? 1 : 0;
+};
+
+/**
+ * Describes how `next` differs from `prev`.
+ * Tasks are compared by object identity (they are never mutated in place).
+ *
+ * @param {Array<Object>} prev
+ * @param {Array<Object>} next
+ * @returns {Object|null} `{ upserts, removals, order, reordered }`, or null if nothing changed.
+ */
+export const diffTodos = (prev, next) => {
+  const prevById = new Map(prev.map((todo) => [todo.id, todo]));
+  const nextIds = new Set(next.map((todo) => todo.id));
+
+  const upserts = next.filter((todo) => prevById.get(todo.id) !== todo);
+  const removals = prev.filter((todo) => !nextIds.has(todo.id)).map((todo) => todo.id);
+  const order = next.map((todo) => todo.id);
+
+  // A reorder is a change of sequence among tasks present on both sides
+  const prevOrder = prev.map((todo) => todo.id).filter((id) => nextIds.has(id));
+  const sharedOrder = order.filter((id) => prevById.has(id));
+  const reordered = prevOrder.some((id, i) => id !== sharedOrder[i]);
+
+  if (upserts.length === 0 && removals.length === 0 && !reordered) return null;
+  return { upserts, removals, order, reordered };
+};
+
+/**
+ * Merges a remote change set into the local list.
+ *
+ * @param {Array<Object>} todos - The local list.
+ * @param {Object} changes - Output of `diffTodos` from another tab.
+ * @param {boolean} acceptOrder - Whether the remote order wins the stamp comparison.
+ * @returns {Array<Object>} The merged list (the same array if nothing changed).
+ */
+export const applyRemoteChanges = (todos, changes, acceptOrder) => {
+  const removed = new Set(changes.removals);
+  let merged = todos.filter((todo) => !removed.has(todo.id));
+
+  changes.upserts.forEach((remote) => {
+    const index = merged.findIndex((todo) => todo.id === remote.id);
+    if (index !== -1) {
+      merged = merged.map((todo, i) => (i === index ? remote : todo));
+      return;
+    }
+    // New task: insert after its nearest predecessor in the sender's order
+    const position = changes.order.indexOf(remote.id);
+    let insertAt = 0;
+    for (let i = position - 1; i >= 0; i--) {
+      const predecessor = merged.findIndex((todo) => todo.id === changes.order[i]);
+      if (predecessor !== -1) {
+        insertAt = predecessor + 1;
+        break;
+      }
+    }
+    merged = [...merged.slice(0, insertAt), remote, ...merged.slice(insertAt)];
+  });
+
+  if (changes.reordered && acceptOrder) {
+    const byId = new Map(merged.map((todo) => [todo.id, todo]));
+    const remoteSequence = changes.order.filter((id) => byId.has(id)).map((id) => byId.get(id));
+    merged = mergeReorderedSubset(merged, remoteSequence);
+  }
+
+  const unchanged = merged.length === todos.length && merged.every((todo, i) => todo === todos[i]);
+  return unchanged ? todos : merged;
+};
+
+/**
+ * Opens the cross-tab channel.
+ *
+ * @param {Function} onMessage - Receives every message posted by other tabs.
+ * @returns {{ tabId: string, post: Function, close: Function }}
+ */
+export const createTabChannel = (onMessage) => {
+  const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      tabId,
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+
+  // Fallback: other tabs receive a `storage` event for every write to the key
+  const handleStorage = (event) => {
+    if (event.key !== FALLBACK_KEY || !event.newValue) return;
+    try {
+      onMessage(JSON.parse(event.newValue).message);
+    } catch (error) {
+      // Ignore malformed messages
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+  return {
+    tabId,
+    post: (message) => {
+      try {
+        // The nonce makes every write a change, so repeated messages still fire
+        window.localStorage.setItem(FALLBACK_KEY, JSON.stringify({ message, nonce: Math.random() }));
+      } catch (error) {
+        // Sync is best-effort; the local tab keeps working
+      }
+    },
+    close: () => window.removeEventListener('storage', handleStorage),
+  };
+};
@@ -0,0 +1,64 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: tabSync.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Unit tests for the cross-tab merge rules: edits to different tasks merge by
+ * id, and concurrent reorders converge on the newest stamp in every tab.
+ *
+ */
+
+import { diffTodos, applyRemoteChanges, compareStamps } from './tabSync';
+
+const a = { id: 1, text: 'A' };
+const b = { id: 2, text: 'B' };
+const c = { id: 3, text: 'C' };
+
+test('merges concurrent edits to different tasks', () => {
+  const base = [a, b, c];
+  const tabOne = [{ ...a, text: 'A edited' }, b, c];
+  const tabTwo = [a, b, { ...c, completed: true }];
+
+  const merged = applyRemoteChanges(tabTwo, diffTodos(base, tabOne), false);
+  expect(merged.map((t) => t.text)).toEqual(['A edited', 'B', 'C']);
+  expect(merged[2].completed).toBe(true);
+});
+
+test('inserts a remote task after its predecessor and applies removals', () => {
+  const d = { id: 4, text: 'D' };
+  const changes = diffTodos([a, b, c], [a, d, c]);
+
+  expect(applyRemoteChanges([a, b, c], changes, false)).toEqual([a, d, c]);
+});
+
+test('concurrent reorders converge on the newest stamp', () => {
+  const base = [a, b, c];
+  const orderOne = [c, a, b];
+  const orderTwo = [b, c, a];
+  const stampOne = { at: 100, tabId: 'one' };
+  const stampTwo = { at: 100, tabId: 'two' };
+
+  // Tab one receives tab two's drag, and vice versa
+  const inOne = applyRemoteChanges(orderOne, diffTodos(base, orderTwo), compareStamps(stampTwo, stampOne) > 0);
+  const inTwo = applyRemoteChanges(orderTwo, diffTodos(base, orderOne), compareStamps(stampOne, stampTwo) > 0);
+
+  expect(inOne).toEqual(orderTwo);
+  expect(inTwo).toEqual(orderTwo);
+});
+
+test('returns the same array when nothing changed', () => {
+  const todos = [a, b];
+  expect(diffTodos(todos, todos)).toBeNull();
+  expect(applyRemoteChanges(todos, { upserts: [a], removals: [], order: [1, 2], reordered: false }, false)).toBe(todos);
+});
@@ -0,0 +1,139 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: tags.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tags (labels) for tasks. Typing `#tag` anywhere in a task's text adds the
+ * tag; the marker is removed from the visible text and the tag is stored in
+ * the todo's `tags` array (lowercase, unique, in the order typed).
+ *
+ * Tag colors are presentation settings, kept separately as a
+ * `{ [tag]: swatch id }` map. Tags without a chosen color get a stable color
+ * from the palette based on their name. The swatches are theme tokens
+ * (`--color-tag-<id>`), so every theme shows them in its own shades.
+ *
+ */
+
+/** Colors offered by the tag manager, in display order. */
+export const TAG_PALETTE = [
+  { id: 'cyan', label: 'Cyan' },
+  { id: 'green', label: 'Green' },
+  { id: 'yellow', label: 'Yellow' },
+  { id: 'orange', label: 'Orange' },
+  { id: 'red', label: 'Red' },
+  { id: 'violet', label: 'Violet' },
+  { id: 'pink', label: 'Pink' },
+  { id: 'gray', label: 'Gray' },
+];
+
+// Earlier versions stored the dark theme's hex value of a swatch
+const LEGACY_SWATCHES = {
+  '#61dafb': 'cyan',
+  '#00ff88': 'green',
+  '#ffcc00': 'yellow',
+  '#ff8c42': 'orange',
+  '#ff4444': 'red',
+  '#c77dff': 'violet',
+  '#ff6ec7': 'pink',
+  '#a0a0a0': 'gray',
+};
+
+const TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+/**
+ * Normalizes a tag name: lowercase, no leading `#`, no spaces.
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeTag = (name) =>
+  String(name).trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase();
+
+/**
+ * Sanitizes a stored tag array.
+ * @param {*} tags
+ * @returns {Array<string>}
+ */
+export const normalizeTags = (tags) =>
+  [...new Set((Array.isArray(tags) ? tags : []).filter((tag) => typeof tag === 'string').map(normalizeTag))]
+    .filter(Boolean);
+
+/**
+ * Splits `#tag` markers out of typed task text.
+ * @param {string} input - e.g. "Send report #work #urgent"
+ * @returns {{ text: string, tags: Array<string> }} e.g. `{ text: 'Send report', tags: ['work', 'urgent'] }`
+ */
+export const parseTags = (input) => {
+  const tags = [];
+  const text = input.replace(TAG_PATTERN, (match, space, name) => {
+    tags.push(name);
+    return space;
+  });
+  return { text: text.replace(/\s+/g, ' ').trim(), tags: normalizeTags(tags) };
+};
+
+/**
+ * Lists every tag used in the given todos, alphabetically.
+ * @param {Array<Object>} todos
+ * @returns {Array<string>}
+ */
+export const collectTags = (todos) =>
+  [...new Set(todos.flatMap((todo) => todo.tags || []))].sort();
+
+/**
+ * Renames a tag on every task. Renaming onto an existing tag merges the two.
+ * Untouched tasks keep their identity.
+ * @param {Array<Object>} todos
+ * @param {string} from
+ * @param {string} to
+ * @returns {Array<Object>}
+ */
+export const renameTag = (todos, from, to) => {
+  const target = normalizeTag(to);
+  return todos.map((todo) => {
+    if (!(todo.tags || []).includes(from)) return todo;
+    return { ...todo, tags: normalizeTags(todo.tags.map((tag) => (tag === from ? target : tag))) };
+  });
+};
+
+/**
+ * Per-tag completion breakdown for the stats line.
+ * @param {Array<Object>} todos
+ * @returns {Array<{ tag: string, done: number, total: number }>}
+ */
+export const tagStats = (todos) =>
+  collectTags(todos).map((tag) => {
+    const tagged = todos.filter((todo) => (todo.tags || []).includes(tag));
+    return { tag, done: tagged.filter((todo) => todo.completed).length, total: tagged.length };
+  });
+
+/**
+ * The CSS color of a palette swatch in the active theme.
+ * @param {string} id - A `TAG_PALETTE` id.
+ * @returns {string}
+ */
+export const swatchColor = (id) => `var(--color-tag-${id})`;
+
+/**
+ * Returns the display color of a tag, as a CSS color.
+ * @param {string} tag
+ * @param {Object<string, string>} colors - User-chosen swatch ids.
+ * @returns {string}
+ */
+export const tagColor = (tag, colors = {}) => {
+  const chosen = LEGACY_SWATCHES[colors[tag]] || colors[tag];
+  if (TAG_PALETTE.some(({ id }) => id === chosen)) return swatchColor(chosen);
+  if (chosen) return chosen;
+  const hash = [...tag].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 7);
+  return swatchColor(TAG_PALETTE[hash % TAG_PALETTE.length].id);
+};
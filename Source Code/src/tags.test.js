@@ -0,0 +1,68 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: tags.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for `#tag` parsing, tag renaming/merging, tag colors and the per-tag
+ * breakdown.
+ *
+ */
+
+import { TAG_PALETTE, parseTags, renameTag, swatchColor, tagColor, tagStats } from './tags';
+import { THEMES, themeVariables } from './themes';
+
+test('parses #tags out of the task text', () => {
+  expect(parseTags('Send report #Work #urgent')).toEqual({ text: 'Send report', tags: ['work', 'urgent'] });
+  expect(parseTags('#home   Fix sink #home')).toEqual({ text: 'Fix sink', tags: ['home'] });
+  expect(parseTags('Issue#42 stays')).toEqual({ text: 'Issue#42 stays', tags: [] });
+});
+
+test('renaming onto an existing tag merges them', () => {
+  const untouched = { id: 3, text: 'C', tags: ['home'] };
+  const todos = [
+    { id: 1, text: 'A', tags: ['job', 'work'] },
+    { id: 2, text: 'B', tags: ['job'] },
+    untouched,
+  ];
+  const renamed = renameTag(todos, 'job', 'work');
+  expect(renamed.map((todo) => todo.tags)).toEqual([['work'], ['work'], ['home']]);
+  expect(renamed[2]).toBe(untouched);
+});
+
+test('breaks completion down per tag', () => {
+  const todos = [
+    { id: 1, text: 'A', completed: true, tags: ['work'] },
+    { id: 2, text: 'B', completed: false, tags: ['work', 'home'] },
+    { id: 3, text: 'C', completed: false },
+  ];
+  expect(tagStats(todos)).toEqual([
+    { tag: 'home', done: 0, total: 1 },
+    { tag: 'work', done: 1, total: 2 },
+  ]);
+});
+
+test('tag colors are theme tokens that every theme defines', () => {
+  const palette = TAG_PALETTE.map(({ id }) => swatchColor(id));
+  expect(palette).toContain(tagColor('work'));
+  expect(tagColor('work')).toBe(tagColor('work'));
+  for (const tokens of Object.values(THEMES)) {
+    const variables = themeVariables(tokens);
+    for (const { id } of TAG_PALETTE) expect(variables[`--color-tag-${id}`]).toMatch(/^#[0-9a-f]{6}$/);
+  }
+});
+
+test('a chosen tag color wins, including one saved as a hex value', () => {
+  expect(tagColor('work', { work: 'red' })).toBe('var(--color-tag-red)');
+  expect(tagColor('work', { work: '#ff4444' })).toBe('var(--color-tag-red)');
+});
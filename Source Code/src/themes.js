@@ -0,0 +1,262 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: themes.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The color themes and the accent color preference.
+ *
+ * Each theme is a set of color tokens. `themeVariables` turns the tokens
+ * into CSS custom properties (`--color-bg`, `--color-accent`, ...) that
+ * `TodoApp` sets on the root element; the stylesheet only ever uses those
+ * variables (and a few colors mixed from them in its THEMES section), and
+ * the Framer Motion values and celebration particles read the same tokens,
+ * so a theme changes every color in one place.
+ *
+ * The web app manifest cannot follow the theme: its `theme_color` and
+ * `background_color` are the dark theme's background, which the install
+ * splash shows before any script runs. The `theme-color` meta tag is then
+ * kept in step with the active theme by `TodoApp`.
+ *
+ * The stored choice can also be 'system', which follows the operating
+ * system's `prefers-color-scheme` (and `prefers-contrast: more`) setting.
+ * The accent can be overridden with any color, or left to the theme.
+ *
+ */
+
+/** Choices offered in the settings panel, in display order. */
+export const THEME_CHOICES = [
+  { id: 'system', label: 'System' },
+  { id: 'dark', label: 'Dark' },
+  { id: 'light', label: 'Light' },
+  { id: 'high-contrast', label: 'High contrast' },
+];
+
+/**
+ * Color tokens of each theme.
+ *
+ * - bg / surface / surfaceRaised: page, cards and dialogs, items inside them
+ * - field: text inputs; input / inputText: the main task input
+ * - text ... textDim: from body text down to the faintest hints
+ * - border / borderStrong: dividers and hovered outlines
+ * - accent / onAccent: highlights and the text drawn on them
+ * - success / danger / dangerSoft / warning: completion, deletion, medium priority
+ * - onDanger: text drawn on the danger colors
+ * - repeat: repeating tasks
+ * - shadow: drop shadows and the backdrops behind dialogs and overlays
+ * - tagCyan ... tagGray: the tag colors offered by the tag manager (`tags`)
+ */
+export const THEMES = {
+  dark: {
+    bg: '#282c34',
+    surface: '#3b404e',
+    surfaceRaised: '#454a59',
+    field: '#282c34',
+    input: '#ffffff',
+    inputText: '#282c34',
+    text: '#ffffff',
+    textSoft: '#d0d0d0',
+    textMuted: '#a0a0a0',
+    textFaint: '#888888',
+    textDim: '#666666',
+    border: 'rgba(255, 255, 255, 0.1)',
+    borderStrong: 'rgba(255, 255, 255, 0.3)',
+    accent: '#61dafb',
+    onAccent: '#282c34',
+    success: '#00ff88',
+    danger: '#ff4444',
+    dangerSoft: '#ff6b6b',
+    onDanger: '#ffffff',
+    warning: '#ffcc00',
+    repeat: '#c77dff',
+    shadow: '#000000',
+    tagCyan: '#61dafb',
+    tagGreen: '#00ff88',
+    tagYellow: '#ffcc00',
+    tagOrange: '#ff8c42',
+    tagRed: '#ff4444',
+    tagViolet: '#c77dff',
+    tagPink: '#ff6ec7',
+    tagGray: '#a0a0a0',
+  },
+  light: {
+    bg: '#f5f7fa',
+    surface: '#ffffff',
+    surfaceRaised: '#ebf0f5',
+    field: '#ffffff',
+    input: '#ffffff',
+    inputText: '#282c34',
+    text: '#282c34',
+    textSoft: '#3d4350',
+    textMuted: '#5f6670',
+    textFaint: '#6e737b',
+    textDim: '#86868b',
+    border: '#d1d9e0',
+    borderStrong: '#a7b1bc',
+    accent: '#1b8fb8',
+    onAccent: '#ffffff',
+    success: '#00a862',
+    danger: '#d93030',
+    dangerSoft: '#e05555',
+    onDanger: '#ffffff',
+    warning: '#b38600',
+    repeat: '#8e44c9',
+    shadow: '#000000',
+    tagCyan: '#1b8fb8',
+    tagGreen: '#00a862',
+    tagYellow: '#b38600',
+    tagOrange: '#d0621b',
+    tagRed: '#d93030',
+    tagViolet: '#8e44c9',
+    tagPink: '#c23f8c',
+    tagGray: '#6e737b',
+  },
+  'high-contrast': {
+    bg: '#000000',
+    surface: '#000000',
+    surfaceRaised: '#141414',
+    field: '#000000',
+    input: '#000000',
+    inputText: '#ffffff',
+    text: '#ffffff',
+    textSoft: '#ffffff',
+    textMuted: '#e6e6e6',
+    textFaint: '#d0d0d0',
+    textDim: '#c0c0c0',
+    border: '#ffffff',
+    borderStrong: '#ffff00',
+    accent: '#00e5ff',
+    onAccent: '#000000',
+    success: '#00ff66',
+    danger: '#ff6666',
+    dangerSoft: '#ff8080',
+    onDanger: '#000000',
+    warning: '#ffee00',
+    repeat: '#e0a8ff',
+    shadow: '#000000',
+    tagCyan: '#00e5ff',
+    tagGreen: '#00ff66',
+    tagYellow: '#ffee00',
+    tagOrange: '#ffb066',
+    tagRed: '#ff6666',
+    tagViolet: '#e0a8ff',
+    tagPink: '#ff99dd',
+    tagGray: '#d0d0d0',
+  },
+};
+
+/** Accent colors offered as swatches; any other color can be picked too. */
+export const ACCENT_PRESETS = [
+  { color: '#61dafb', label: 'Cyan' },
+  { color: '#00ff88', label: 'Green' },
+  { color: '#c77dff', label: 'Violet' },
+  { color: '#ff6ec7', label: 'Pink' },
+  { color: '#ff8c42', label: 'Orange' },
+  { color: '#ffcc00', label: 'Yellow' },
+];
+
+/** Follow the system, with the theme's own accent. */
+export const DEFAULT_THEME_SETTINGS = {
+  theme: 'system',
+  accent: null,
+};
+
+/** Media queries for the operating system's color scheme and contrast settings. */
+export const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+export const MORE_CONTRAST_QUERY = '(prefers-contrast: more)';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Whether a value is a `#rrggbb` color, the format `<input type="color">` uses.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isHexColor = (value) => typeof value === 'string' && HEX_COLOR.test(value);
+
+/**
+ * Sanitizes stored theme settings, filling gaps with the defaults.
+ * @param {*} saved
+ * @returns {{ theme: string, accent: string|null }}
+ */
+export const normalizeThemeSettings = (saved) => {
+  if (!saved || typeof saved !== 'object') return DEFAULT_THEME_SETTINGS;
+  return {
+    theme: THEME_CHOICES.some(({ id }) => id === saved.theme) ? saved.theme : DEFAULT_THEME_SETTINGS.theme,
+    accent: isHexColor(saved.accent) ? saved.accent.toLowerCase() : DEFAULT_THEME_SETTINGS.accent,
+  };
+};
+
+/**
+ * Turns the stored choice into the theme in effect.
+ * @param {string} choice - One of the `THEME_CHOICES` ids.
+ * @param {{ prefersDark: boolean, prefersContrast: boolean }} system
+ * @returns {'dark'|'light'|'high-contrast'}
+ */
+export const resolveTheme = (choice, { prefersDark, prefersContrast }) => {
+  if (choice !== 'system') return choice;
+  if (prefersContrast) return 'high-contrast';
+  return prefersDark ? 'dark' : 'light';
+};
+
+/**
+ * Converts a `#rrggbb` color to the "r, g, b" triple used inside `rgba()`.
+ * @param {string} hex
+ * @returns {string}
+ */
+export const hexToRgb = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`;
+};
+
+/**
+ * Picks dark or white text for a background, by its relative luminance (WCAG).
+ * @param {string} hex
+ * @returns {string}
+ */
+export const readableOn = (hex) => {
+  const [r, g, b] = hexToRgb(hex).split(', ').map((channel) => {
+    const c = Number(channel) / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  return luminance > 0.179 ? '#000000' : '#ffffff';
+};
+
+/**
+ * The tokens of a theme with the user's accent applied.
+ * @param {'dark'|'light'|'high-contrast'} themeId
+ * @param {string|null} accent - A `#rrggbb` override, or null for the theme's own.
+ * @returns {Object<string, string>}
+ */
+export const themeTokens = (themeId, accent) => {
+  const tokens = THEMES[themeId] || THEMES.dark;
+  if (!accent) return tokens;
+  return { ...tokens, accent, onAccent: readableOn(accent) };
+};
+
+/**
+ * The CSS custom properties for a set of tokens: one `--color-*` per token
+ * (camelCase becomes kebab-case), plus an `-rgb` triple for each hex color
+ * so the stylesheet can write `rgba(var(--color-accent-rgb), 0.4)`.
+ *
+ * @param {Object<string, string>} tokens
+ * @returns {Object<string, string>}
+ */
+export const themeVariables = (tokens) =>
+  Object.entries(tokens).reduce((variables, [name, value]) => {
+    const property = `--color-${name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`;
+    variables[property] = value;
+    if (isHexColor(value)) variables[`${property}-rgb`] = hexToRgb(value);
+    return variables;
+  }, {});
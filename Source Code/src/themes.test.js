@@ -0,0 +1,67 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: themes.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the theme choice, the accent override and the CSS variables.
+ *
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { DEFAULT_THEME_SETTINGS, THEMES, normalizeThemeSettings, resolveTheme, themeTokens, themeVariables } from './themes';
+import manifest from '../public/manifest.json';
+
+test('falls back to the defaults for missing or broken settings', () => {
+  expect(normalizeThemeSettings(null)).toEqual(DEFAULT_THEME_SETTINGS);
+  expect(normalizeThemeSettings({ theme: 'sepia', accent: 'red' })).toEqual(DEFAULT_THEME_SETTINGS);
+  expect(normalizeThemeSettings({ theme: 'light', accent: '#C77DFF' })).toEqual({ theme: 'light', accent: '#c77dff' });
+});
+
+test('follows the system color scheme and contrast preference', () => {
+  expect(resolveTheme('system', { prefersDark: true, prefersContrast: false })).toBe('dark');
+  expect(resolveTheme('system', { prefersDark: false, prefersContrast: false })).toBe('light');
+  expect(resolveTheme('system', { prefersDark: false, prefersContrast: true })).toBe('high-contrast');
+  expect(resolveTheme('light', { prefersDark: true, prefersContrast: true })).toBe('light');
+});
+
+test('applies a custom accent with readable text on top of it', () => {
+  expect(themeTokens('dark', null)).toBe(THEMES.dark);
+  expect(themeTokens('dark', '#ffcc00')).toMatchObject({ accent: '#ffcc00', onAccent: '#000000', bg: THEMES.dark.bg });
+  expect(themeTokens('light', '#1a237e').onAccent).toBe('#ffffff');
+});
+
+test('exposes every token as a CSS variable, with rgb triples for hex colors', () => {
+  const variables = themeVariables(themeTokens('dark', null));
+  expect(variables['--color-accent']).toBe('#61dafb');
+  expect(variables['--color-accent-rgb']).toBe('97, 218, 251');
+  expect(variables['--color-surface-raised']).toBe('#454a59');
+  expect(variables['--color-border']).toBe('rgba(255, 255, 255, 0.1)');
+  expect(variables).not.toHaveProperty('--color-border-rgb');
+});
+
+test('the stylesheet only uses theme variables and colors mixed from them', () => {
+  const css = readFileSync(join(__dirname, 'TodoApp.css'), 'utf8');
+  const defined = new Set(Object.keys(themeVariables(THEMES.dark)));
+  css.replace(/(--color-[a-z-]+):/g, (match, property) => defined.add(property));
+
+  const used = css.match(/var\(--color-[a-z-]+\)/g).map((match) => match.slice(4, -1));
+  expect(used.filter((property) => !defined.has(property))).toEqual([]);
+  expect(css.match(/#[0-9a-f]{3,8}\b|rgba?\(\s*\d/gi)).toBeNull();
+});
+
+test('the manifest matches the default dark theme', () => {
+  expect(manifest.theme_color).toBe(THEMES.dark.bg);
+  expect(manifest.background_color).toBe(THEMES.dark.bg);
+});
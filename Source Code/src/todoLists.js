@@ -0,0 +1,96 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: todoLists.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Helpers for named lists (projects). Tasks stay in one flat `todos` array
+ * and carry a `listId`; a list is simply the subset of tasks with that id.
+ * This keeps the task storage unaware of lists. The metadata (`{ id, name }`
+ * per list) is a setting of its own, which the undo history and tab sync
+ * carry alongside the tasks.
+ *
+ * Tasks saved before lists existed have no `listId` and belong to the
+ * default list.
+ *
+ */
+
+/** The list every task without a `listId` belongs to. It cannot be deleted. */
+export const DEFAULT_LIST = { id: 'default', name: 'My Tasks' };
+
+/**
+ * Returns the list id of a task, falling back to the default list.
+ * @param {Object} todo
+ * @returns {string}
+ */
+export const listIdOf = (todo) => todo.listId || DEFAULT_LIST.id;
+
+/**
+ * Returns the list a task is shown in. Tasks pointing at a list this tab does
+ * not know (e.g. created in another browser and imported) fall back to the
+ * default list rather than disappearing.
+ * @param {Object} todo
+ * @param {Array<{ id: string }>} lists - Known lists.
+ * @returns {string}
+ */
+export const resolveListId = (todo, lists) => {
+  const id = listIdOf(todo);
+  return lists.some((list) => list.id === id) ? id : DEFAULT_LIST.id;
+};
+
+/**
+ * Selects the tasks that belong to a list, in manual order.
+ * @param {Array<Object>} todos
+ * @param {string} listId
+ * @param {Array<{ id: string }>} lists - Known lists.
+ * @returns {Array<Object>}
+ */
+export const todosInList = (todos, listId, lists) =>
+  todos.filter((todo) => resolveListId(todo, lists) === listId);
+
+/**
+ * Counts the open (not completed) tasks of every list, for the tab badges.
+ * @param {Array<Object>} todos
+ * @param {Array<{ id: string }>} lists - Known lists.
+ * @returns {Object<string, number>}
+ */
+export const countOpenByList = (todos, lists) =>
+  todos.reduce((counts, todo) => {
+    if (todo.completed) return counts;
+    const id = resolveListId(todo, lists);
+    return { ...counts, [id]: (counts[id] || 0) + 1 };
+  }, {});
+
+/**
+ * Creates list metadata with a unique id.
+ * @param {string} name
+ * @returns {{ id: string, name: string }}
+ */
+export const createList = (name) => ({
+  id: `list-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  name: name.trim(),
+});
+
+/**
+ * Sanitizes saved list metadata, guaranteeing the default list is present
+ * and first.
+ * @param {*} saved - Value read from storage.
+ * @returns {Array<{ id: string, name: string }>}
+ */
+export const normalizeLists = (saved) => {
+  const lists = (Array.isArray(saved) ? saved : [])
+    .filter((list) => list && typeof list.id === 'string' && typeof list.name === 'string' && list.name.trim())
+    .filter((list, i, all) => all.findIndex((other) => other.id === list.id) === i);
+  const defaultList = lists.find((list) => list.id === DEFAULT_LIST.id) || DEFAULT_LIST;
+  return [defaultList, ...lists.filter((list) => list.id !== DEFAULT_LIST.id)];
+};
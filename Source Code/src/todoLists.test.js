@@ -0,0 +1,60 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: todoLists.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the named-list helpers: list membership, open counts, new lists
+ * and sanitizing the saved metadata.
+ *
+ */
+
+import { DEFAULT_LIST, resolveListId, todosInList, countOpenByList, createList, normalizeLists } from './todoLists';
+
+const work = { id: 'work', name: 'Work' };
+const lists = [DEFAULT_LIST, work];
+
+test('tasks without a known list belong to the default list', () => {
+  expect(resolveListId({ id: 1 }, lists)).toBe(DEFAULT_LIST.id);
+  expect(resolveListId({ id: 2, listId: 'work' }, lists)).toBe('work');
+  expect(resolveListId({ id: 3, listId: 'deleted-elsewhere' }, lists)).toBe(DEFAULT_LIST.id);
+});
+
+test('selects a list\'s tasks in manual order and counts the open ones', () => {
+  const todos = [
+    { id: 1, listId: 'work' },
+    { id: 2 },
+    { id: 3, listId: 'work', completed: true },
+    { id: 4, listId: 'work' },
+  ];
+  expect(todosInList(todos, 'work', lists).map((todo) => todo.id)).toEqual([1, 3, 4]);
+  expect(countOpenByList(todos, lists)).toEqual({ work: 2, [DEFAULT_LIST.id]: 1 });
+});
+
+test('creates lists with a trimmed name and a fresh id', () => {
+  const first = createList('  Groceries ');
+  const second = createList('Groceries');
+  expect(first.name).toBe('Groceries');
+  expect(first.id).not.toBe(second.id);
+});
+
+test('keeps the default list first and drops broken or duplicate entries', () => {
+  expect(normalizeLists(null)).toEqual([DEFAULT_LIST]);
+  expect(normalizeLists([
+    work,
+    { id: 'blank', name: '   ' },
+    { id: DEFAULT_LIST.id, name: 'Inbox' },
+    { ...work, name: 'Work again' },
+    'not a list',
+  ])).toEqual([{ id: DEFAULT_LIST.id, name: 'Inbox' }, work]);
+});
@@ -0,0 +1,408 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: todoStorage.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * The persistence layer for the React Todo App. Components never talk to
+ * `localStorage` directly; they go through the storage object exported here.
+ *
+ * Responsibilities:
+ * 1. Versioned envelope: the list is stored as `{ version, savedAt, todos }`.
+ * 2. Migrations: older payloads (the original bare array is version 1) are
+ *    upgraded step by step to `STORAGE_VERSION` when read.
+ * 3. Validation: each record is checked and normalized. Records that cannot
+ *    be repaired are moved to a quarantine key instead of crashing the app.
+ * 4. Pluggable backends: anything with `getItem`, `setItem` and `removeItem`
+ *    works. A memory backend is used when `localStorage` is unavailable.
+ * 5. Optional list store: when an IndexedDB store is supplied, the todo list
+ *    lives there instead (written incrementally), settings stay in the
+ *    key-value backend, and legacy localStorage data is imported once.
+ *
+ */
+
+import { PRIORITY_LEVELS } from './todoViews';
+import { createIndexedDBStore } from './indexedDBStore';
+import { normalizeSubtasks } from './subtasks';
+import { normalizeTags } from './tags';
+import { normalizeRecurrence } from './recurrence';
+
+/** Current envelope version written by `saveTodos`. */
+export const STORAGE_VERSION = 2;
+
+// Storage keys (kept compatible with the keys used before this module existed)
+const KEY_PREFIX = 'react-todo-';
+const LIST_KEY = 'react-todo-list';
+const QUARANTINE_KEY = 'react-todo-quarantine';
+
+/**
+ * Migration steps keyed by the version they upgrade *from*.
+ * Each step receives the parsed payload and returns the next version's shape.
+ */
+const MIGRATIONS = {
+  // v1: a bare array of todos, written by the original `useEffect`
+  1: (payload) => ({ version: 2, savedAt: null, todos: payload }),
+};
+
+/**
+ * Detects the envelope version of a parsed payload.
+ * @param {*} payload
+ * @returns {number} 0 when the payload is unrecognisable.
+ */
+const detectVersion = (payload) => {
+  if (Array.isArray(payload)) return 1;
+  if (payload && typeof payload === 'object' && Number.isInteger(payload.version)) return payload.version;
+  return 0;
+};
+
+/**
+ * Runs every migration between the payload's version and `STORAGE_VERSION`.
+ * @param {*} payload - Parsed JSON from storage.
+ * @returns {Object} A current-version envelope.
+ * @throws {Error} When the payload is unrecognisable or from a newer app version.
+ */
+export const migrate = (payload) => {
+  let version = detectVersion(payload);
+  if (version === 0) throw new Error('Unrecognised storage payload');
+  if (version > STORAGE_VERSION) throw new Error(`Storage version ${version} is newer than this app`);
+
+  let envelope = payload;
+  while (version < STORAGE_VERSION) {
+    envelope = MIGRATIONS[version](envelope);
+    version = envelope.version;
+  }
+  return envelope;
+};
+
+/**
+ * Validates and normalizes a single todo record.
+ * Missing optional fields get defaults; records without a usable `id` or
+ * `text` cannot be repaired.
+ *
+ * @param {*} record
+ * @returns {Object|null} The normalized todo, or null if it must be quarantined.
+ */
+export const validateTodo = (record) => {
+  if (!record || typeof record !== 'object') return null;
+  const idIsValid = (typeof record.id === 'number' && Number.isFinite(record.id)) ||
+    (typeof record.id === 'string' && record.id !== '');
+  if (!idIsValid) return null;
+  if (typeof record.text !== 'string' || record.text.trim() === '') return null;
+
+  const todo = {
+    ...record,
+    completed: record.completed === true,
+    priority: PRIORITY_LEVELS.includes(record.priority) ? record.priority : 'Medium',
+    dueAt: typeof record.dueAt === 'number' && Number.isFinite(record.dueAt) ? record.dueAt : null,
+    ...(record.subtasks !== undefined && { subtasks: normalizeSubtasks(record.subtasks) }),
+    ...(record.tags !== undefined && { tags: normalizeTags(record.tags) }),
+    ...(record.recurrence !== undefined && { recurrence: normalizeRecurrence(record.recurrence) }),
+  };
+  // Optional timestamps that are not numbers are dropped rather than guessed
+  ['createdAt', 'completedAt', 'archivedAt'].forEach((field) => {
+    if (field in todo && !(typeof todo[field] === 'number' && Number.isFinite(todo[field]))) delete todo[field];
+  });
+  return todo;
+};
+
+/**
+ * Validates a list of records, separating repairable todos from bad ones.
+ * Duplicate ids keep their first occurrence.
+ * @param {Array} records
+ * @returns {{ todos: Array<Object>, rejected: Array }}
+ */
+export const validateTodos = (records) => {
+  const todos = [];
+  const rejected = [];
+  const seen = new Set();
+  (Array.isArray(records) ? records : []).forEach((record) => {
+    const todo = validateTodo(record);
+    if (todo && !seen.has(todo.id)) {
+      seen.add(todo.id);
+      todos.push(todo);
+    } else {
+      rejected.push(record);
+    }
+  });
+  return { todos, rejected };
+};
+
+/**
+ * Backend: in-memory map. Used in tests and when `localStorage` is blocked
+ * (private mode, sandboxed iframes).
+ * @returns {Object} A storage backend.
+ */
+export const createMemoryBackend = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => { data.set(key, String(value)); },
+    removeItem: (key) => { data.delete(key); },
+  };
+};
+
+/**
+ * Backend: browser `localStorage`, or the memory backend if it is unusable.
+ * @returns {Object} A storage backend.
+ */
+export const createLocalStorageBackend = () => {
+  try {
+    const probe = `${KEY_PREFIX}probe`;
+    window.localStorage.setItem(probe, probe);
+    window.localStorage.removeItem(probe);
+    return window.localStorage;
+  } catch (error) {
+    console.warn('localStorage is unavailable; changes will not persist.', error);
+    return createMemoryBackend();
+  }
+};
+
+/**
+ * Creates a storage facade over a backend.
+ *
+ * @param {Object} backend - Object implementing `getItem`, `setItem`, `removeItem`.
+ * @param {Object|null} [listStore] - Optional IndexedDB store for the todo list.
+ * @returns {Object} The storage API used by the application.
+ */
+export const createTodoStorage = (backend, listStore = null) => {
+  // The list store in use after hydration (null means the key-value backend)
+  let activeListStore = null;
+  let hydratePromise = null;
+
+  /**
+   * Reads and parses a JSON value.
+   * @returns {{ ok: boolean, value: *, raw: string|null, readError: Error|null }}
+   *   `readError` is set when the backend itself failed, as opposed to the
+   *   value not being valid JSON.
+   */
+  const readJSON = (key) => {
+    let raw = null;
+    try {
+      raw = backend.getItem(key);
+    } catch (error) {
+      return { ok: false, value: null, raw, readError: error };
+    }
+    try {
+      return { ok: true, value: raw === null ? null : JSON.parse(raw), raw, readError: null };
+    } catch (error) {
+      return { ok: false, value: null, raw, readError: null };
+    }
+  };
+
+  /**
+   * Serializes and writes a JSON value.
+   * @returns {boolean} False when the write failed (e.g. quota exceeded).
+   */
+  const writeJSON = (key, value) => {
+    try {
+      backend.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      console.error(`Failed to write "${key}" to storage:`, error);
+      return false;
+    }
+  };
+
+  /**
+   * Appends unreadable data to the quarantine key so it can be inspected or
+   * recovered later instead of being silently dropped.
+   */
+  const quarantine = (reason, data) => {
+    const { value } = readJSON(QUARANTINE_KEY);
+    const entries = Array.isArray(value) ? value : [];
+    entries.push({ reason, data, at: Date.now() });
+    writeJSON(QUARANTINE_KEY, entries);
+  };
+
+  /**
+   * Reads, migrates and validates the list from the key-value backend.
+   * Individual invalid records are quarantined and the rest load.
+   * @returns {{ todos: Array<Object>, quarantined: number }}
+   * @throws {Error} When the backend cannot be read, or when the stored list
+   *   as a whole cannot be parsed or migrated (then `error.corrupt` is true).
+   */
+  const readTodos = () => {
+    const { ok, value, raw, readError } = readJSON(LIST_KEY);
+    if (readError) {
+      throw new Error(`Your saved list could not be read (${readError.message})`);
+    }
+    if (!ok) {
+      throw Object.assign(new Error('Your saved list is damaged and could not be read'), { corrupt: true });
+    }
+    if (value === null) return { todos: [], quarantined: 0 };
+
+    let envelope;
+    try {
+      envelope = migrate(value);
+    } catch (error) {
+      throw Object.assign(new Error(`Your saved list could not be read: ${error.message}`), { corrupt: true });
+    }
+
+    const { todos, rejected } = validateTodos(envelope.todos);
+    if (rejected.length > 0) {
+      quarantine('invalid records', rejected);
+    }
+    return { todos, quarantined: rejected.length };
+  };
+
+  /**
+   * Writes the list to the key-value backend in the current envelope format.
+   * @returns {boolean} False when the write failed.
+   */
+  const saveTodos = (todos) =>
+    writeJSON(LIST_KEY, { version: STORAGE_VERSION, savedAt: Date.now(), todos });
+
+  /**
+   * Loads the list from the IndexedDB store, importing legacy localStorage
+   * data the first time the store is opened.
+   * @returns {Promise<{ todos: Array<Object>, quarantined: number }>}
+   */
+  const hydrateFromListStore = async () => {
+    const { todos: records, migrated } = await listStore.loadAll();
+    if (!migrated) {
+      const legacy = readTodos();
+      await listStore.replaceAll(legacy.todos);
+      // The data now lives in IndexedDB; drop the copy so it is never re-imported
+      backend.removeItem(LIST_KEY);
+      return legacy;
+    }
+
+    const { todos, rejected } = validateTodos(records);
+    if (rejected.length > 0) {
+      quarantine('invalid records', rejected);
+    }
+    return { todos, quarantined: rejected.length };
+  };
+
+  return {
+    saveTodos,
+
+    /**
+     * Loads the todo list from the best available store. If IndexedDB cannot
+     * be opened at all (unsupported, private mode), the key-value backend is
+     * used instead. Calls made while a hydration is in flight share its result.
+     * @returns {Promise<{ todos: Array<Object>, quarantined: number }>}
+     * @throws {Error} When the chosen store cannot be read, or holds a damaged
+     *   list (`error.corrupt`, see `setAsideSavedTodos`). Nothing is changed then.
+     */
+    hydrateTodos() {
+      if (!hydratePromise) {
+        const promise = (async () => {
+          if (listStore) {
+            let opened = true;
+            try {
+              await listStore.ready();
+            } catch (error) {
+              opened = false;
+              console.warn('IndexedDB is unavailable; falling back to localStorage.', error);
+            }
+            if (opened) {
+              const result = await hydrateFromListStore();
+              activeListStore = listStore;
+              return result;
+            }
+          }
+          activeListStore = null;
+          return readTodos();
+        })();
+        hydratePromise = promise;
+        promise
+          .finally(() => { if (hydratePromise === promise) hydratePromise = null; })
+          .catch(() => { }); // The caller handles the failure
+      }
+      return hydratePromise;
+    },
+
+    /**
+     * Forgets a hydration still in flight (e.g. one that timed out), so the
+     * next `hydrateTodos` starts over instead of waiting on it.
+     */
+    resetHydration() {
+      hydratePromise = null;
+    },
+
+    /**
+     * Moves a damaged stored list to the quarantine key, so the next
+     * hydration starts with an empty list. The data stays recoverable.
+     */
+    setAsideSavedTodos() {
+      const { raw } = readJSON(LIST_KEY);
+      if (raw === null) return;
+      quarantine('set aside after a failed load', raw);
+      backend.removeItem(LIST_KEY);
+    },
+
+    /**
+     * Persists the list to whichever store `hydrateTodos` selected.
+     * @param {Array<Object>} todos
+     * @returns {Promise<boolean>} False when the write failed.
+     */
+    async persistTodos(todos) {
+      if (!activeListStore) return saveTodos(todos);
+      try {
+        await activeListStore.applyChanges(todos);
+        return true;
+      } catch (error) {
+        console.error('Failed to write the list to IndexedDB:', error);
+        return false;
+      }
+    },
+
+    /**
+     * Reads a JSON setting stored under `react-todo-<name>`.
+     * Legacy settings written as bare strings are returned as-is.
+     * @param {string} name
+     * @param {*} fallback - Returned when the setting is missing.
+     * @returns {*}
+     */
+    loadSetting(name, fallback) {
+      const { ok, value, raw } = readJSON(`${KEY_PREFIX}${name}`);
+      if (!ok) return raw === null ? fallback : raw;
+      return value === null ? fallback : value;
+    },
+
+    /**
+     * Writes a JSON setting stored under `react-todo-<name>`.
+     * @returns {boolean} False when the write failed.
+     */
+    saveSetting(name, value) {
+      return writeJSON(`${KEY_PREFIX}${name}`, value);
+    },
+
+    /**
+     * Deletes a setting stored under `react-todo-<name>`.
+     */
+    removeSetting(name) {
+      try {
+        backend.removeItem(`${KEY_PREFIX}${name}`);
+      } catch (error) {
+        console.error(`Failed to remove "${name}" from storage:`, error);
+      }
+    },
+
+    /**
+     * Returns every quarantined entry (for diagnostics and recovery).
+     * @returns {Array<Object>}
+     */
+    loadQuarantine() {
+      const { value } = readJSON(QUARANTINE_KEY);
+      return Array.isArray(value) ? value : [];
+    },
+  };
+};
+
+// Export the application-wide storage instance
+export default createTodoStorage(
+  typeof window !== 'undefined' ? createLocalStorageBackend() : createMemoryBackend(),
+  typeof indexedDB !== 'undefined' ? createIndexedDBStore(indexedDB) : null
+);
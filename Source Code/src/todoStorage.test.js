@@ -0,0 +1,121 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: todoStorage.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Unit tests for the storage layer: migration of the legacy bare-array format,
+ * quarantine of invalid or unparseable data, and write failures.
+ *
+ */
+
+import { createTodoStorage, createMemoryBackend, STORAGE_VERSION } from './todoStorage';
+
+const setup = (initial = {}) => {
+  const backend = createMemoryBackend();
+  Object.entries(initial).forEach(([key, value]) => backend.setItem(key, value));
+  return { backend, storage: createTodoStorage(backend) };
+};
+
+test('migrates the legacy bare array and normalizes records', async () => {
+  const { storage } = setup({
+    'react-todo-list': JSON.stringify([{ id: 1, text: 'Legacy task', completed: false }]),
+  });
+
+  const { todos, quarantined } = await storage.hydrateTodos();
+  expect(quarantined).toBe(0);
+  expect(todos).toEqual([
+    { id: 1, text: 'Legacy task', completed: false, priority: 'Medium', dueAt: null },
+  ]);
+});
+
+test('writes the versioned envelope', () => {
+  const { backend, storage } = setup();
+  storage.saveTodos([{ id: 1, text: 'Task', completed: true, priority: 'High', dueAt: null }]);
+
+  const saved = JSON.parse(backend.getItem('react-todo-list'));
+  expect(saved.version).toBe(STORAGE_VERSION);
+  expect(saved.todos).toHaveLength(1);
+});
+
+test('quarantines invalid records instead of throwing', async () => {
+  const { storage } = setup({
+    'react-todo-list': JSON.stringify([
+      { id: 1, text: 'Good' },
+      { id: 2 },
+      'not a todo',
+      { id: 1, text: 'Duplicate id' },
+    ]),
+  });
+
+  const { todos, quarantined } = await storage.hydrateTodos();
+  expect(todos.map((t) => t.text)).toEqual(['Good']);
+  expect(quarantined).toBe(3);
+  expect(storage.loadQuarantine()[0].data).toHaveLength(3);
+});
+
+test('hydration rejects a list saved by a newer version instead of overwriting it', async () => {
+  const saved = JSON.stringify({ version: STORAGE_VERSION + 1, todos: [] });
+  const { backend, storage } = setup({ 'react-todo-list': saved });
+
+  await expect(storage.hydrateTodos()).rejects.toMatchObject({ corrupt: true, message: expect.stringContaining('newer than this app') });
+  expect(backend.getItem('react-todo-list')).toBe(saved);
+});
+
+test('reports a failed write instead of throwing', () => {
+  const backend = createMemoryBackend();
+  backend.setItem = () => { throw new Error('QuotaExceededError'); };
+  const storage = createTodoStorage(backend);
+  const originalError = console.error;
+  console.error = () => { };
+
+  expect(storage.saveTodos([])).toBe(false);
+  console.error = originalError;
+});
+
+test('reads legacy string settings', () => {
+  const { storage } = setup({ 'react-todo-view-mode': 'grouped' });
+  expect(storage.loadSetting('view-mode', 'manual')).toBe('grouped');
+  expect(storage.loadSetting('missing', 'fallback')).toBe('fallback');
+});
+
+test('hydration rejects when the saved list is unreadable and changes nothing', async () => {
+  const { backend, storage } = setup({ 'react-todo-list': '{not json' });
+
+  await expect(storage.hydrateTodos()).rejects.toMatchObject({ corrupt: true });
+  expect(backend.getItem('react-todo-list')).toBe('{not json');
+
+  storage.setAsideSavedTodos();
+  expect(storage.loadQuarantine()[0].data).toBe('{not json');
+  await expect(storage.hydrateTodos()).resolves.toEqual({ todos: [], quarantined: 0 });
+});
+
+test('hydration rejects when the backend cannot be read', async () => {
+  const backend = createMemoryBackend();
+  backend.getItem = () => { throw new Error('SecurityError'); };
+  const storage = createTodoStorage(backend);
+
+  await expect(storage.hydrateTodos()).rejects.toThrow('SecurityError');
+});
+
+test('a reset hydration starts over instead of reusing the pending one', async () => {
+  const { backend, storage } = setup();
+  const first = storage.hydrateTodos();
+  expect(storage.hydrateTodos()).toBe(first);
+
+  storage.resetHydration();
+  backend.setItem('react-todo-list', JSON.stringify([{ id: 1, text: 'Later' }]));
+  const { todos } = await storage.hydrateTodos();
+  expect(todos.map((t) => t.text)).toEqual(['Later']);
+  await first;
+});
@@ -0,0 +1,281 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: todoTransfer.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Import and export of the task list, so it can be backed up or moved to
+ * another browser. All functions are pure: they turn todos into text and
+ * text into todos. Downloading and file picking live in the UI layer.
+ *
+ * Formats:
+ * - JSON: a versioned envelope, the lossless format.
+ * - CSV: one row per task with a header line (RFC 4180 quoting).
+ * - Markdown: a checklist, `- [ ] text` / `- [x] text`, with `!high` or
+ *   `!low` appended for non-default priorities.
+ * - Plain text (import only): one task per line.
+ *
+ */
+
+import { PRIORITY_LEVELS } from './todoViews';
+import { STORAGE_VERSION, validateTodo } from './todoStorage';
+
+/** Identifies JSON exports produced by this app. */
+export const EXPORT_FORMAT = 'react-todo-app';
+
+/** Export formats offered in the menu, with file details. */
+export const EXPORT_TYPES = {
+  json: { label: 'JSON', extension: 'json', mime: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mime: 'text/csv' },
+  markdown: { label: 'Markdown', extension: 'md', mime: 'text/markdown' },
+};
+
+const CSV_COLUMNS = ['text', 'completed', 'priority', 'dueAt'];
+
+// --- Export ---
+
+/**
+ * Serializes todos as a versioned JSON document.
+ * @param {Array<Object>} todos
+ * @returns {string}
+ */
+export const toJSON = (todos) =>
+  JSON.stringify({ format: EXPORT_FORMAT, version: STORAGE_VERSION, exportedAt: new Date().toISOString(), todos }, null, 2);
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or line break.
+ */
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes todos as CSV. Due dates are written as ISO 8601 strings.
+ * @param {Array<Object>} todos
+ * @returns {string}
+ */
+export const toCSV = (todos) => {
+  const rows = todos.map((todo) => [
+    todo.text,
+    todo.completed ? 'true' : 'false',
+    todo.priority || 'Medium',
+    todo.dueAt ? new Date(todo.dueAt).toISOString() : '',
+  ].map(csvField).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+/**
+ * Serializes todos as a Markdown checklist.
+ * @param {Array<Object>} todos
+ * @returns {string}
+ */
+export const toMarkdown = (todos) =>
+  todos.map((todo) => {
+    const priority = todo.priority && todo.priority !== 'Medium' ? ` !${todo.priority.toLowerCase()}` : '';
+    return `- [${todo.completed ? 'x' : ' '}] ${todo.text.replace(/\r?\n/g, ' ')}${priority}`;
+  }).join('\n');
+
+/**
+ * Serializes todos in the given export type.
+ * @param {Array<Object>} todos
+ * @param {string} type - A key of `EXPORT_TYPES`.
+ * @returns {string}
+ */
+export const exportTodos = (todos, type) => {
+  if (type === 'csv') return toCSV(todos);
+  if (type === 'markdown') return toMarkdown(todos);
+  return toJSON(todos);
+};
+
+// --- Import ---
+
+/**
+ * Splits CSV text into rows of fields, honouring quoted fields that contain
+ * commas, escaped quotes or line breaks.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Normalizes a priority written in any case ("high", "HIGH").
+ * @returns {string|undefined}
+ */
+const parsePriority = (value) =>
+  PRIORITY_LEVELS.find((level) => level.toLowerCase() === String(value || '').trim().toLowerCase());
+
+const parseBoolean = (value) => ['true', 'yes', '1', 'x', 'done'].includes(String(value).trim().toLowerCase());
+
+const parseDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+const fromJSON = (text) => {
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : data && Array.isArray(data.todos) ? data.todos : null;
+  if (!records) throw new Error('The JSON file does not contain a task list.');
+  return records
+    .filter((record) => record && typeof record.text === 'string')
+    .map((record) => ({
+      ...record,
+      completed: record.completed === true,
+      priority: parsePriority(record.priority) || 'Medium',
+      dueAt: parseDate(record.dueAt),
+    }));
+};
+
+const fromCSV = (rows) => {
+  const header = rows[0].map((name) => name.trim().toLowerCase());
+  const column = (name) => header.indexOf(name.toLowerCase());
+  return rows.slice(1).map((row) => ({
+    text: row[column('text')] || '',
+    completed: parseBoolean(row[column('completed')] || ''),
+    priority: parsePriority(row[column('priority')]) || 'Medium',
+    dueAt: parseDate(row[column('dueAt')]),
+  }));
+};
+
+const MARKDOWN_ITEM = /^\s*[-*+]\s+\[( |x|X)\]\s+(.*)$/;
+const PRIORITY_SUFFIX = /\s+!(high|medium|low)\s*$/i;
+
+const fromMarkdown = (lines) =>
+  lines
+    .map((line) => line.match(MARKDOWN_ITEM))
+    .filter(Boolean)
+    .map(([, mark, rest]) => {
+      const suffix = rest.match(PRIORITY_SUFFIX);
+      return {
+        text: suffix ? rest.slice(0, suffix.index) : rest,
+        completed: mark.toLowerCase() === 'x',
+        priority: suffix ? parsePriority(suffix[1]) : 'Medium',
+        dueAt: null,
+      };
+    });
+
+const fromPlainText = (lines) =>
+  lines.map((line) => ({ text: line, completed: false, priority: 'Medium', dueAt: null }));
+
+/**
+ * Detects the format of imported text.
+ * @param {string} text
+ * @returns {'json'|'csv'|'markdown'|'text'}
+ */
+export const detectFormat = (text) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+  const firstLine = trimmed.split(/\r?\n/)[0].toLowerCase();
+  if (firstLine.split(',').map((name) => name.trim().replace(/"/g, '')).includes('text')) return 'csv';
+  if (trimmed.split(/\r?\n/).some((line) => MARKDOWN_ITEM.test(line))) return 'markdown';
+  return 'text';
+};
+
+/**
+ * Parses imported text into task drafts (without ids).
+ * @param {string} text - File contents.
+ * @returns {{ format: string, items: Array<Object> }}
+ * @throws {Error} When a JSON file cannot be read as a task list.
+ */
+export const parseImport = (text) => {
+  const format = detectFormat(text);
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+
+  let items;
+  if (format === 'json') items = fromJSON(text);
+  else if (format === 'csv') items = fromCSV(parseCSV(text));
+  else if (format === 'markdown') items = fromMarkdown(lines);
+  else items = fromPlainText(lines);
+
+  return {
+    format,
+    items: items
+      .map((item) => ({ ...item, text: String(item.text).trim() }))
+      .filter((item) => item.text !== ''),
+  };
+};
+
+/** Text key used for duplicate detection. */
+const textKey = (text) => text.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Marks imported drafts whose text already exists in the list.
+ * @param {Array<Object>} items - Parsed drafts.
+ * @param {Array<Object>} existing - The current list.
+ * @returns {Array<Object>} Drafts with a `duplicate` boolean.
+ */
+export const markDuplicates = (items, existing) => {
+  const known = new Set(existing.map((todo) => textKey(todo.text)));
+  return items.map((item) => {
+    const duplicate = known.has(textKey(item.text));
+    known.add(textKey(item.text));
+    return { ...item, duplicate };
+  });
+};
+
+/**
+ * Turns drafts into validated todos with fresh ids that do not collide with
+ * the existing list.
+ * @param {Array<Object>} items - Drafts (the `duplicate` marker is dropped).
+ * @param {Array<Object>} existing - Todos whose ids must be avoided.
+ * @returns {Array<Object>}
+ */
+export const materializeImport = (items, existing = []) => {
+  const usedIds = new Set(existing.map((todo) => todo.id));
+  let nextId = Date.now();
+  return items
+    .map(({ duplicate, id, ...item }) => {
+      while (usedIds.has(nextId)) nextId++;
+      usedIds.add(nextId);
+      return validateTodo({ ...item, id: nextId });
+    })
+    .filter(Boolean);
+};
@@ -0,0 +1,59 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: todoTransfer.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Round-trip tests for every export format, plus format detection and
+ * duplicate marking on import.
+ *
+ */
+
+import { toJSON, toCSV, toMarkdown, parseImport, markDuplicates, materializeImport } from './todoTransfer';
+
+const todos = [
+  { id: 1, text: 'Buy "milk", eggs', completed: true, priority: 'High', dueAt: Date.UTC(2024, 0, 15, 9) },
+  { id: 2, text: 'Call mom', completed: false, priority: 'Medium', dueAt: null },
+  { id: 3, text: 'Water plants', completed: false, priority: 'Low', dueAt: null },
+];
+
+const fields = (items) => items.map(({ text, completed, priority }) => ({ text, completed, priority }));
+
+test('JSON and CSV round-trip text, completion, priority and due date', () => {
+  [toJSON, toCSV].forEach((serialize) => {
+    const { items } = parseImport(serialize(todos));
+    expect(fields(items)).toEqual(fields(todos));
+    expect(items[0].dueAt).toBe(todos[0].dueAt);
+  });
+});
+
+test('Markdown round-trips text, completion and priority', () => {
+  const { format, items } = parseImport(toMarkdown(todos));
+  expect(format).toBe('markdown');
+  expect(fields(items)).toEqual(fields(todos));
+});
+
+test('plain text becomes one task per non-empty line', () => {
+  const { format, items } = parseImport('First\n\n  Second  \n');
+  expect(format).toBe('text');
+  expect(items.map((item) => item.text)).toEqual(['First', 'Second']);
+});
+
+test('flags duplicates by text and assigns fresh ids', () => {
+  const marked = markDuplicates(parseImport('call MOM\nNew task').items, todos);
+  expect(marked.map((item) => item.duplicate)).toEqual([true, false]);
+
+  const imported = materializeImport(marked, todos);
+  expect(new Set(imported.map((todo) => todo.id)).size).toBe(2);
+  expect(imported.some((todo) => todos.some((existing) => existing.id === todo.id))).toBe(false);
+});
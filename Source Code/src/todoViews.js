@@ -0,0 +1,189 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: todoViews.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Pure helpers that derive "views" of the todo list (sorted, grouped, filtered) without
+ * mutating the canonical `todos` array. The array order in state is always the
+ * user's manual drag order; every view is computed from it on render.
+ *
+ * Architecture:
+ * - Stateless functions only, so they can be reused by any component.
+ * - `mergeReorderedSubset` writes a reordered view back into the full list,
+ *   which lets `Reorder.Group` operate on a subset without disturbing the
+ *   position of items that are not currently rendered.
+ *
+ */
+
+/** Priority levels in ascending order of urgency. */
+export const PRIORITY_LEVELS = ['Low', 'Medium', 'High'];
+
+/** Available list presentations. `manual` is the stored drag order. */
+export const VIEW_MODES = ['manual', 'sorted', 'grouped', 'due'];
+
+/** Human readable labels for each view mode. */
+export const VIEW_MODE_LABELS = {
+  manual: 'Manual',
+  sorted: 'By Priority',
+  grouped: 'Grouped',
+  due: 'By Due Date',
+};
+
+/**
+ * Returns the next priority in the Low -> Medium -> High cycle.
+ * @param {string} current - The current priority level.
+ * @returns {string}
+ */
+export const nextPriority = (current) =>
+  PRIORITY_LEVELS[(PRIORITY_LEVELS.indexOf(current) + 1) % PRIORITY_LEVELS.length];
+
+/**
+ * Numeric rank of a priority (higher means more urgent).
+ * Items without a priority are treated as Medium, matching the item styling.
+ * @param {string} priority
+ * @returns {number}
+ */
+const priorityRank = (priority) => {
+  const rank = PRIORITY_LEVELS.indexOf(priority);
+  return rank === -1 ? 1 : rank;
+};
+
+/**
+ * Sorts todos from High to Low priority.
+ * The sort is stable, so items of equal priority keep their manual order.
+ * @param {Array<Object>} todos
+ * @returns {Array<Object>} A new, sorted array.
+ */
+export const sortByPriority = (todos) =>
+  [...todos].sort((a, b) => priorityRank(b.priority) - priorityRank(a.priority));
+
+/**
+ * Splits todos into High/Medium/Low sections, preserving manual order inside each.
+ * Empty sections are omitted.
+ * @param {Array<Object>} todos
+ * @returns {Array<{ priority: string, todos: Array<Object> }>}
+ */
+export const groupByPriority = (todos) =>
+  [...PRIORITY_LEVELS]
+    .reverse()
+    .map((priority) => ({
+      priority,
+      todos: todos.filter((todo) => PRIORITY_LEVELS[priorityRank(todo.priority)] === priority),
+    }))
+    .filter((group) => group.todos.length > 0);
+
+/**
+ * Writes a reordered subset back into the full list.
+ * The slots previously occupied by the subset's items are refilled in the new
+ * order; every other item keeps its exact index.
+ *
+ * The subset must be in manual order before the drag (a filtered list or a
+ * priority group), never a sorted view: a sort would be written back as if
+ * the user had dragged every task into place.
+ *
+ * @param {Array<Object>} all - The complete, manually ordered list.
+ * @param {Array<Object>} reordered - The subset in its new order.
+ * @returns {Array<Object>} A new array with the subset repositioned.
+ */
+export const mergeReorderedSubset = (all, reordered) => {
+  const subsetIds = new Set(reordered.map((todo) => todo.id));
+  let cursor = 0;
+  return all.map((todo) => (subsetIds.has(todo.id) ? reordered[cursor++] : todo));
+};
+
+/** Completion-state filters shown as tabs above the list. */
+export const STATUS_FILTERS = ['all', 'active', 'completed'];
+
+/** Human readable labels for each status filter. */
+export const STATUS_FILTER_LABELS = {
+  all: 'All',
+  active: 'Active',
+  completed: 'Completed',
+};
+
+/** Filter state that shows every task. */
+export const DEFAULT_FILTERS = {
+  status: 'all',
+  priorities: [],
+  tags: [],
+  query: '',
+};
+
+/**
+ * Checks whether any filter narrows the list.
+ * @param {Object} filters - `{ status, priorities, query }`.
+ * @returns {boolean}
+ */
+export const isFilterActive = (filters) =>
+  filters.status !== 'all' || filters.priorities.length > 0 || filters.tags.length > 0 ||
+  filters.query.trim() !== '';
+
+/**
+ * Applies the status, priority, tag and text filters.
+ * A task passes the tag filter if it carries any of the selected tags.
+ * Text search is a case-insensitive substring match on the task text.
+ *
+ * @param {Array<Object>} todos
+ * @param {Object} filters - `{ status, priorities, tags, query }`.
+ * @returns {Array<Object>} The matching todos, in their original order.
+ */
+export const filterTodos = (todos, filters) => {
+  const query = filters.query.trim().toLowerCase();
+  return todos.filter((todo) => {
+    if (filters.status === 'active' && todo.completed) return false;
+    if (filters.status === 'completed' && !todo.completed) return false;
+    if (filters.priorities.length > 0 && !filters.priorities.includes(todo.priority || 'Medium')) return false;
+    if (filters.tags.length > 0 && !(todo.tags || []).some((tag) => filters.tags.includes(tag))) return false;
+    if (query && !todo.text.toLowerCase().includes(query)) return false;
+    return true;
+  });
+};
+
+/**
+ * Builds a short label describing the active filters, e.g. `Active · High · "rent"`.
+ * @param {Object} filters
+ * @returns {string} An empty string when nothing is filtered.
+ */
+export const describeFilters = (filters) => {
+  const parts = [];
+  if (filters.status !== 'all') parts.push(STATUS_FILTER_LABELS[filters.status]);
+  if (filters.priorities.length > 0) parts.push(filters.priorities.join('/'));
+  if (filters.tags.length > 0) parts.push(filters.tags.map((tag) => `#${tag}`).join('/'));
+  if (filters.query.trim()) parts.push(`"${filters.query.trim()}"`);
+  return parts.join(' · ');
+};
+
+/**
+ * Splits text into plain and matching segments for search highlighting.
+ * @param {string} text - The text to split.
+ * @param {string} query - The search term (case-insensitive).
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export const splitHighlight = (text, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [{ text, match: false }];
+
+  const segments = [];
+  const haystack = text.toLowerCase();
+  let cursor = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    if (index > cursor) segments.push({ text: text.slice(cursor, index), match: false });
+    segments.push({ text: text.slice(index, index + needle.length), match: true });
+    cursor = index + needle.length;
+    index = haystack.indexOf(needle, cursor);
+  }
+  if (cursor < text.length) segments.push({ text: text.slice(cursor), match: false });
+  return segments;
+};
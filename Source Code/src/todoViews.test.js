@@ -0,0 +1,55 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: todoViews.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the sorted and grouped views and for writing a reordered view
+ * back into the manual order.
+ *
+ */
+
+import { sortByPriority, groupByPriority, mergeReorderedSubset, filterTodos, DEFAULT_FILTERS } from './todoViews';
+
+const todo = (id, priority, text = `task ${id}`) => ({ id, text, priority, completed: false });
+const ids = (todos) => todos.map((t) => t.id);
+
+// Manual order 1..5
+const manual = [todo(1, 'Low'), todo(2, 'High'), todo(3, 'Medium'), todo(4, 'High'), todo(5, 'Low')];
+
+test('sorts by priority without changing the manual order of equal tasks', () => {
+  expect(ids(sortByPriority(manual))).toEqual([2, 4, 3, 1, 5]);
+  expect(ids(manual)).toEqual([1, 2, 3, 4, 5]);
+  expect(groupByPriority(manual).map((group) => [group.priority, ids(group.todos)])).toEqual([
+    ['High', [2, 4]],
+    ['Medium', [3]],
+    ['Low', [1, 5]],
+  ]);
+});
+
+test('a drag inside one priority group only swaps that group\'s slots', () => {
+  const [high] = groupByPriority(manual);
+  const reordered = [high.todos[1], high.todos[0]];
+  expect(ids(mergeReorderedSubset(manual, reordered))).toEqual([1, 4, 3, 2, 5]);
+});
+
+test('a drag in a filtered list leaves the hidden tasks where they were', () => {
+  const visible = filterTodos(manual, { ...DEFAULT_FILTERS, priorities: ['Low'] });
+  expect(ids(visible)).toEqual([1, 5]);
+  expect(ids(mergeReorderedSubset(manual, [visible[1], visible[0]]))).toEqual([5, 2, 3, 4, 1]);
+});
+
+test('an unchanged subset leaves the manual order as it was', () => {
+  expect(ids(mergeReorderedSubset(manual, sortByPriority(manual).filter((t) => t.priority === 'Low')))).toEqual([1, 2, 3, 4, 5]);
+  expect(mergeReorderedSubset(manual, [])).toEqual(manual);
+});
@@ -0,0 +1,86 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: useFocusTrap.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * A custom React hook that keeps keyboard focus inside a full-screen
+ * overlay while it is open. Focus moves into the overlay when it opens,
+ * Tab and Shift+Tab wrap around its focusable elements, Escape closes it,
+ * and focus returns to wherever it was before once the overlay goes away
+ * (unless something else has been focused in the meantime).
+ *
+ * The overlay element is passed in directly (from a callback ref held in
+ * state) rather than as a ref object: overlays inside `AnimatePresence`
+ * mount only after the previous view has finished exiting, so "open" and
+ * "in the DOM" happen at different times.
+ *
+ */
+
+import { useEffect } from 'react';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Hook: Focus Trap.
+ *
+ * @param {HTMLElement|null} container - The mounted overlay, or null when
+ *   closed. It should have `tabIndex={-1}` so it can hold focus when it
+ *   contains no controls.
+ * @param {Function} onEscape - Called when Escape is pressed.
+ */
+const useFocusTrap = (container, onEscape) => {
+  useEffect(() => {
+    if (!container) return undefined;
+    const previouslyFocused = document.activeElement;
+    const focusables = () => [...container.querySelectorAll(FOCUSABLE)];
+
+    (focusables()[0] || container).focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        onEscape();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      const items = focusables();
+      if (items.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      // Only if nothing else took focus meanwhile (e.g. a command focusing the input)
+      const focusIsStranded = container.contains(document.activeElement) || document.activeElement === document.body;
+      if (focusIsStranded && previouslyFocused && previouslyFocused.focus && document.contains(previouslyFocused)) {
+        previouslyFocused.focus();
+      }
+    };
+  }, [container]);
+};
+
+export default useFocusTrap;
@@ -0,0 +1,159 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: useTodoHistory.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * A custom React hook that wraps the `todos` array and the list metadata
+ * (`lists`) in a bounded undo/redo history. Every recorded mutation pushes
+ * the previous snapshot onto `past`; undo and redo move snapshots between
+ * `past`, `present` and `future`.
+ *
+ * Architecture:
+ * - A snapshot is `{ todos, lists }`, so undoing a list deletion brings back
+ *   the list together with its tasks. Neither array nor its objects are
+ *   mutated in place, so consecutive snapshots share most of their objects
+ *   and stay cheap.
+ * - The stream of `onReorder` calls fired during one drag is coalesced into a
+ *   single history entry.
+ * - `past` and `future` are persisted (setting 'history', at most
+ *   `HISTORY_LIMIT` steps each) so history survives a page reload. If the
+ *   write does not fit, the stored copy is dropped rather than competing
+ *   with the list for the storage quota.
+ *
+ */
+
+import { useState, useEffect } from 'react';
+import storage from './todoStorage';
+
+/** Maximum number of undo steps kept in memory and in storage. */
+export const HISTORY_LIMIT = 50;
+
+// Actions whose rapid repeats merge into one entry, and the merge window
+const COALESCED_ACTIONS = ['Reorder'];
+const COALESCE_WINDOW = 1000;
+
+/**
+ * Reads the persisted undo/redo stacks. Snapshots saved before lists were
+ * part of the history are bare task arrays; they get the current lists.
+ * @param {Array<Object>} lists - The lists to give bare snapshots.
+ * @returns {{ past: Array, future: Array }}
+ */
+const loadStacks = (lists) => {
+  const saved = storage.loadSetting('history', null);
+  const snapshots = (stack) => (Array.isArray(stack) ? stack : [])
+    .map((snapshot) => (Array.isArray(snapshot) ? { todos: snapshot, lists } : snapshot))
+    .filter((snapshot) => snapshot && Array.isArray(snapshot.todos) && Array.isArray(snapshot.lists));
+  if (!saved || typeof saved !== 'object') return { past: [], future: [] };
+  return {
+    past: snapshots(saved.past).slice(-HISTORY_LIMIT),
+    future: snapshots(saved.future).slice(0, HISTORY_LIMIT),
+  };
+};
+
+/**
+ * Applies a value or an updater function to one field of a snapshot.
+ * @returns {Object} The same snapshot if the field did not change.
+ */
+const updateField = (snapshot, field, next) => {
+  const value = typeof next === 'function' ? next(snapshot[field]) : next;
+  return value === snapshot[field] ? snapshot : { ...snapshot, [field]: value };
+};
+
+/**
+ * Hook: Undoable Todo State.
+ *
+ * @param {Function} [loadInitialTodos] - Lazy initializer for the present list.
+ * @param {Function} [loadInitialLists] - Lazy initializer for the list metadata.
+ * @returns {Object} `{ todos, lists, setTodos, setLists, setSnapshot, undo, redo, canUndo, canRedo }`.
+ *   `setTodos(next, action)` and `setLists(next, action)` accept a value or an
+ *   updater function; `setSnapshot(updater, action)` changes both in one step.
+ *   `action` is a short label such as 'Delete'; pass `null` to change the
+ *   state without recording an undo step (bookkeeping updates).
+ */
+export default function useTodoHistory(loadInitialTodos = () => [], loadInitialLists = () => []) {
+  const [history, setHistory] = useState(() => {
+    const present = { todos: loadInitialTodos(), lists: loadInitialLists() };
+    return { ...loadStacks(present.lists), present, lastAction: null };
+  });
+
+  /**
+   * Effect: Persist History.
+   * Stores the undo/redo stacks next to the list so they survive reloads.
+   */
+  useEffect(() => {
+    if (!storage.saveSetting('history', { past: history.past, future: history.future })) {
+      storage.removeSetting('history');
+    }
+  }, [history.past, history.future]);
+
+  const setSnapshot = (update, action = 'Change') => {
+    setHistory((prev) => {
+      const present = update(prev.present);
+      if (present === prev.present) return prev;
+      if (action === null) return { ...prev, present };
+
+      const now = Date.now();
+      const coalesce = COALESCED_ACTIONS.includes(action) &&
+        prev.lastAction &&
+        prev.lastAction.type === action &&
+        now - prev.lastAction.at < COALESCE_WINDOW;
+
+      return {
+        past: coalesce ? prev.past : [...prev.past, prev.present].slice(-HISTORY_LIMIT),
+        present,
+        future: [],
+        lastAction: { type: action, at: now },
+      };
+    });
+  };
+
+  const setTodos = (next, action) => setSnapshot((snapshot) => updateField(snapshot, 'todos', next), action);
+  const setLists = (next, action) => setSnapshot((snapshot) => updateField(snapshot, 'lists', next), action);
+
+  const undo = () => {
+    setHistory((prev) => {
+      if (prev.past.length === 0) return prev;
+      return {
+        past: prev.past.slice(0, -1),
+        present: prev.past[prev.past.length - 1],
+        future: [prev.present, ...prev.future].slice(0, HISTORY_LIMIT),
+        lastAction: null,
+      };
+    });
+  };
+
+  const redo = () => {
+    setHistory((prev) => {
+      if (prev.future.length === 0) return prev;
+      return {
+        past: [...prev.past, prev.present].slice(-HISTORY_LIMIT),
+        present: prev.future[0],
+        future: prev.future.slice(1),
+        lastAction: null,
+      };
+    });
+  };
+
+  return {
+    todos: history.present.todos,
+    lists: history.present.lists,
+    setTodos,
+    setLists,
+    setSnapshot,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+}
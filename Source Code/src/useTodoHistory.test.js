@@ -0,0 +1,111 @@
+/**
+ * ----------------------------------------------------------------------------
+ * File: useTodoHistory.test.js
+ * Authors:
+ *      Amey Thakur
+ *      GitHub: https://github.com/ameythakur
+ *
+ *      Mega Satish
+ *      GitHub: https://github.com/msatmod
+ *
+ * Repository: https://github.com/Amey-Thakur/REACT-TODO-APP
+ * License: MIT License
+ * Release Date: June 25, 2022
+ * ----------------------------------------------------------------------------
+ *
+ * File Overview:
+ * Tests for the undo/redo history: recording, undo, redo, the step limit,
+ * persistence across reloads, and list metadata sharing a step with the tasks.
+ *
+ */
+
+import { renderHook, act } from '@testing-library/react';
+import useTodoHistory, { HISTORY_LIMIT } from './useTodoHistory';
+
+const setup = () => renderHook(() => useTodoHistory(() => []));
+const todo = (id) => ({ id, text: `task ${id}`, completed: false });
+
+// History is persisted, so every test starts from empty storage
+beforeEach(() => localStorage.clear());
+
+test('records a step per change and walks back and forth through them', () => {
+  const { result } = setup();
+  act(() => result.current.setTodos([todo(1)], 'Add'));
+  act(() => result.current.setTodos((prev) => [...prev, todo(2)], 'Add'));
+  expect(result.current.canUndo).toBe(true);
+  expect(result.current.canRedo).toBe(false);
+
+  act(() => result.current.undo());
+  expect(result.current.todos).toEqual([todo(1)]);
+  act(() => result.current.undo());
+  expect(result.current.todos).toEqual([]);
+  expect(result.current.canUndo).toBe(false);
+
+  act(() => result.current.redo());
+  act(() => result.current.redo());
+  expect(result.current.todos).toEqual([todo(1), todo(2)]);
+  expect(result.current.canRedo).toBe(false);
+});
+
+test('a new change clears the redo stack', () => {
+  const { result } = setup();
+  act(() => result.current.setTodos([todo(1)], 'Add'));
+  act(() => result.current.undo());
+  expect(result.current.canRedo).toBe(true);
+  act(() => result.current.setTodos([todo(2)], 'Add'));
+  expect(result.current.canRedo).toBe(false);
+});
+
+test('keeps at most HISTORY_LIMIT undo steps', () => {
+  const { result } = setup();
+  for (let i = 1; i <= HISTORY_LIMIT + 5; i += 1) {
+    act(() => result.current.setTodos([todo(i)], 'Edit'));
+  }
+  for (let i = 0; i < HISTORY_LIMIT + 5; i += 1) {
+    act(() => result.current.undo());
+  }
+  // The oldest five steps were dropped, so undo stops at the sixth list
+  expect(result.current.todos).toEqual([todo(5)]);
+  expect(result.current.canUndo).toBe(false);
+});
+
+test('bookkeeping changes are not undoable', () => {
+  const { result } = setup();
+  act(() => result.current.setTodos([todo(1)], null));
+  expect(result.current.todos).toEqual([todo(1)]);
+  expect(result.current.canUndo).toBe(false);
+});
+
+test('history survives a remount, as after a page reload', () => {
+  const first = setup();
+  act(() => first.result.current.setTodos([todo(1)], 'Add'));
+  act(() => first.result.current.setTodos([todo(1), todo(2)], 'Add'));
+  first.unmount();
+
+  const { result } = renderHook(() => useTodoHistory(() => [todo(1), todo(2)]));
+  expect(result.current.canUndo).toBe(true);
+  act(() => result.current.undo());
+  expect(result.current.todos).toEqual([todo(1)]);
+  act(() => result.current.undo());
+  expect(result.current.todos).toEqual([]);
+});
+
+test('reads history saved before lists were part of it', () => {
+  localStorage.setItem('react-todo-history', JSON.stringify({ past: [[todo(9)]], future: [] }));
+  const { result } = setup();
+  act(() => result.current.undo());
+  expect(result.current.todos).toEqual([todo(9)]);
+  expect(result.current.lists).toEqual([]);
+});
+
+test('one step can change the tasks and the lists together', () => {
+  const work = { id: 'work', name: 'Work' };
+  const { result } = renderHook(() => useTodoHistory(() => [{ ...todo(1), listId: 'work' }], () => [work]));
+  act(() => result.current.setSnapshot(() => ({ todos: [], lists: [] }), 'Delete List'));
+  expect(result.current.lists).toEqual([]);
+
+  act(() => result.current.undo());
+  expect(result.current.lists).toEqual([work]);
+  expect(result.current.todos).toEqual([{ ...todo(1), listId: 'work' }]);
+  expect(result.current.canUndo).toBe(false);
+});
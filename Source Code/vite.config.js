@@ -1,14 +1,20 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import precacheManifest from './precacheManifest';
 
 // https://vitejs.dev/config/
 export default defineConfig({
-    plugins: [react()],
+    plugins: [react(), precacheManifest()],
     base: '/REACT-TODO-APP/',
     build: {
         outDir: 'build',
     },
     server: {
         port: 3000,
+    },
+    test: {
+        globals: true,
+        environment: 'jsdom',
+        setupFiles: './src/setupTests.jsx',
     }
 });